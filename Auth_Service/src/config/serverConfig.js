@@ -1,10 +1,94 @@
+const path = require('path');
 const dotenv = require('dotenv');
-const bcrypt = require('bcrypt');
 
 dotenv.config();
 
+const NODE_ENV = process.env.NODE_ENV || 'development';
+
 module.exports = {
     PORT: process.env.PORT,
-    SALT: bcrypt.genSaltSync(9),
-    JWT_KEY: process.env.JWT_KEY
+    // The bcrypt cost factor. Every hash gets its own salt; raising the cost re-hashes passwords on the next sign-in.
+    SALT_ROUNDS: Number(process.env.SALT_ROUNDS) || 9,
+    // Tokens are signed with 'RS256' using the `<kid>.pem` keys in JWT_KEYS_DIR (the newest activated one,
+    // or JWT_ACTIVE_KID), or with 'HS256' using the shared JWT_KEY secret. If unset, 'HS256' is used when
+    // JWT_KEY is set and JWT_KEYS_DIR does not exist, as in deployments from before RS256, and 'RS256' otherwise.
+    JWT_ALGORITHM: process.env.JWT_ALGORITHM,
+    JWT_KEY: process.env.JWT_KEY,
+    JWT_KEYS_DIR: process.env.JWT_KEYS_DIR || 'keys',
+    JWT_ACTIVE_KID: process.env.JWT_ACTIVE_KID,
+    // Running instances re-read JWT_KEYS_DIR every JWT_KEYS_RELOAD_SECONDS. A new key is published right away
+    // but only signs once it is JWT_KEY_ACTIVATION_SECONDS old, by when verifiers caching the key set have fetched it.
+    JWT_KEYS_RELOAD_SECONDS: Number(process.env.JWT_KEYS_RELOAD_SECONDS) || 60,
+    JWT_KEY_ACTIVATION_SECONDS: Number(process.env.JWT_KEY_ACTIVATION_SECONDS) || 600,
+    // Development conveniences, like creating a missing signing key, are only enabled in 'development'.
+    NODE_ENV,
+    // The `aud` claim of access tokens. Services verifying tokens locally must require it,
+    // otherwise other tokens signed with the same keys (like MFA challenges) would pass as access tokens.
+    ACCESS_TOKEN_AUDIENCE: process.env.ACCESS_TOKEN_AUDIENCE || 'airline-services',
+    ACCESS_TOKEN_EXPIRY: process.env.ACCESS_TOKEN_EXPIRY || '15m',
+    // Lifetime of the access tokens API clients obtain with the client credentials grant.
+    CLIENT_TOKEN_EXPIRY: process.env.CLIENT_TOKEN_EXPIRY || '15m',
+    // Lifetime of the codes third-party apps exchange for tokens in the authorization code flow.
+    AUTHORIZATION_CODE_EXPIRY_MINUTES: Number(process.env.AUTHORIZATION_CODE_EXPIRY_MINUTES) || 1,
+    REFRESH_TOKEN_EXPIRY_DAYS: Number(process.env.REFRESH_TOKEN_EXPIRY_DAYS) || 7,
+    // Lifetime of an impersonation token when the admin does not ask for one, and the longest one allowed.
+    IMPERSONATION_DEFAULT_MINUTES: Number(process.env.IMPERSONATION_DEFAULT_MINUTES) || 15,
+    IMPERSONATION_MAX_MINUTES: Number(process.env.IMPERSONATION_MAX_MINUTES) || 60,
+    // Sign-in throttling: after LOGIN_DELAY_AFTER_FAILURES failures for an email (LOGIN_IP_DELAY_AFTER_FAILURES
+    // for an IP), every further attempt has to wait LOGIN_DELAY_BASE_SECONDS, doubled per failure.
+    // LOGIN_LOCKOUT_THRESHOLD failures for an email (LOGIN_IP_LOCKOUT_THRESHOLD for an IP) lock it for
+    // LOGIN_LOCKOUT_MINUTES. Counters reset once no failure happened for LOGIN_FAILURE_WINDOW_MINUTES.
+    LOGIN_DELAY_AFTER_FAILURES: Number(process.env.LOGIN_DELAY_AFTER_FAILURES) || 3,
+    LOGIN_IP_DELAY_AFTER_FAILURES: Number(process.env.LOGIN_IP_DELAY_AFTER_FAILURES) || 10,
+    LOGIN_DELAY_BASE_SECONDS: Number(process.env.LOGIN_DELAY_BASE_SECONDS) || 1,
+    LOGIN_LOCKOUT_THRESHOLD: Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10,
+    LOGIN_IP_LOCKOUT_THRESHOLD: Number(process.env.LOGIN_IP_LOCKOUT_THRESHOLD) || 50,
+    LOGIN_LOCKOUT_MINUTES: Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+    LOGIN_FAILURE_WINDOW_MINUTES: Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15,
+    // Sign-in risk: a sign-in scoring RISK_STEP_UP_SCORE or more (out of 100) must be confirmed with a code
+    // emailed to the user, valid for STEP_UP_CODE_EXPIRY_MINUTES. RISK_FAILURE_BURST_THRESHOLD recent failures
+    // for the email count as a burst, and moving faster than RISK_MAX_TRAVEL_SPEED_KMH between sign-ins as impossible travel.
+    RISK_STEP_UP_SCORE: Number(process.env.RISK_STEP_UP_SCORE) || 50,
+    RISK_FAILURE_BURST_THRESHOLD: Number(process.env.RISK_FAILURE_BURST_THRESHOLD) || 3,
+    RISK_MAX_TRAVEL_SPEED_KMH: Number(process.env.RISK_MAX_TRAVEL_SPEED_KMH) || 1000,
+    STEP_UP_CODE_EXPIRY_MINUTES: Number(process.env.STEP_UP_CODE_EXPIRY_MINUTES) || 5,
+    // 'none' disables the location based checks, 'table' looks IP addresses up in the JSON file GEOIP_TABLE_FILE.
+    GEOIP_LOCATOR: process.env.GEOIP_LOCATOR || 'none',
+    GEOIP_TABLE_FILE: process.env.GEOIP_TABLE_FILE,
+    // Password policy. The character class rules can be switched off by setting them to 'false'.
+    PASSWORD_MIN_LENGTH: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+    PASSWORD_MAX_LENGTH: Number(process.env.PASSWORD_MAX_LENGTH) || 100,
+    PASSWORD_REQUIRE_LOWERCASE: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+    PASSWORD_REQUIRE_UPPERCASE: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+    PASSWORD_REQUIRE_DIGIT: process.env.PASSWORD_REQUIRE_DIGIT !== 'false',
+    PASSWORD_REQUIRE_SYMBOL: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+    // A file with one breached password per line; passwords in it are rejected.
+    PASSWORD_DENY_LIST_PATH: process.env.PASSWORD_DENY_LIST_PATH || path.join(__dirname, 'breached-passwords.txt'),
+    // Two-factor authentication. Users with any of the MFA_REQUIRED_ROLES (comma separated) must enroll.
+    MFA_ISSUER: process.env.MFA_ISSUER || 'Airline Management',
+    MFA_REQUIRED_ROLES: (process.env.MFA_REQUIRED_ROLES ?? 'ADMIN,AIRLINE_BUSINESS').split(',').filter(Boolean),
+    MFA_CHALLENGE_EXPIRY: process.env.MFA_CHALLENGE_EXPIRY || '5m',
+    MFA_RECOVERY_CODE_COUNT: Number(process.env.MFA_RECOVERY_CODE_COUNT) || 10,
+    PASSWORD_RESET_TOKEN_EXPIRY_MINUTES: Number(process.env.PASSWORD_RESET_TOKEN_EXPIRY_MINUTES) || 30,
+    EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS: Number(process.env.EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS) || 24,
+    // Passwordless sign-in: links expire after MAGIC_LINK_TOKEN_EXPIRY_MINUTES, and at most
+    // MAGIC_LINK_REQUEST_LIMIT links are sent per email within MAGIC_LINK_REQUEST_WINDOW_MINUTES.
+    MAGIC_LINK_TOKEN_EXPIRY_MINUTES: Number(process.env.MAGIC_LINK_TOKEN_EXPIRY_MINUTES) || 10,
+    MAGIC_LINK_REQUEST_LIMIT: Number(process.env.MAGIC_LINK_REQUEST_LIMIT) || 3,
+    MAGIC_LINK_REQUEST_WINDOW_MINUTES: Number(process.env.MAGIC_LINK_REQUEST_WINDOW_MINUTES) || 15,
+    // Days between a user asking for their account to be erased and the erasure, during which they can cancel.
+    ERASURE_GRACE_PERIOD_DAYS: Number(process.env.ERASURE_GRACE_PERIOD_DAYS) || 30,
+    ORGANIZATION_INVITATION_EXPIRY_HOURS: Number(process.env.ORGANIZATION_INVITATION_EXPIRY_HOURS) || 72,
+    // How long users created by a bulk import can use their invite link to choose a password.
+    ACCOUNT_INVITE_EXPIRY_HOURS: Number(process.env.ACCOUNT_INVITE_EXPIRY_HOURS) || 72,
+    // At most VERIFICATION_RESEND_LIMIT verification emails are sent per user within the window.
+    VERIFICATION_RESEND_LIMIT: Number(process.env.VERIFICATION_RESEND_LIMIT) || 3,
+    VERIFICATION_RESEND_WINDOW_MINUTES: Number(process.env.VERIFICATION_RESEND_WINDOW_MINUTES) || 60,
+    // Base URL of the frontend, used to build the links sent in emails.
+    APP_URL: process.env.APP_URL || 'http://localhost:3000',
+    MAIL_FROM: process.env.MAIL_FROM || 'no-reply@airline.local',
+    // 'console' logs every email, 'file' writes every email as a JSON file into MAIL_OUTBOX_DIR. Both expose the
+    // links and codes in the emails, so only development falls back to 'console'; elsewhere it has to be chosen explicitly.
+    MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || (NODE_ENV === 'development' ? 'console' : undefined),
+    MAIL_OUTBOX_DIR: process.env.MAIL_OUTBOX_DIR || 'mail-outbox'
 }
\ No newline at end of file
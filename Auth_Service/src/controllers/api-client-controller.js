@@ -0,0 +1,116 @@
+/**
+ * This file contains the controller logic for the admin management of API clients.
+ */
+
+const ApiClientService = require('../services/api-client-service');
+
+const apiClientService = new ApiClientService();
+
+/**
+ * Controller for registering a new API client. The response contains the client secret,
+ * which cannot be retrieved again later.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const createClient = async (req, res) => {
+    try {
+        const response = await apiClientService.createClient({
+            name: req.body.name,
+            scopes: req.body.scopes,
+            grantTypes: req.body.grantTypes,
+            redirectUris: req.body.redirectUris
+        });
+        return res.status(201).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully created the client, store the secret now as it is not shown again'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to create the client'
+        });
+    }
+};
+
+/**
+ * Controller for listing all API clients.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const getClients = async (req, res) => {
+    try {
+        const response = await apiClientService.listClients();
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully fetched the clients'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to fetch the clients'
+        });
+    }
+};
+
+/**
+ * Controller for replacing the secret of the client given by the `:clientId` route parameter.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const rotateClientSecret = async (req, res) => {
+    try {
+        const response = await apiClientService.rotateSecret(req.params.clientId);
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully rotated the client secret, store the secret now as it is not shown again'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to rotate the client secret'
+        });
+    }
+};
+
+/**
+ * Controller for revoking the client given by the `:clientId` route parameter.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const revokeClient = async (req, res) => {
+    try {
+        const response = await apiClientService.revokeClient(req.params.clientId);
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully revoked the client'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to revoke the client'
+        });
+    }
+};
+
+module.exports = {
+    createClient,
+    getClients,
+    rotateClientSecret,
+    revokeClient
+};
\ No newline at end of file
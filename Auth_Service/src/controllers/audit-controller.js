@@ -0,0 +1,52 @@
+/**
+ * This file contains the controller logic for querying the audit log.
+ */
+
+const AuditService = require('../services/audit-service');
+
+const auditService = new AuditService();
+
+/**
+ * Controller for querying the audit log. Answers one page of events in the usual envelope,
+ * or all matching events as a CSV download when the query string contains `format=csv`.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const getEvents = async (req, res) => {
+    try {
+        const { type, outcome, userId, email, ip, from, to, page, limit, format } = req.query;
+        const filters = {
+            type,
+            outcome,
+            userId: userId && Number(userId),
+            email,
+            ip,
+            from: from && new Date(from),
+            to: to && new Date(to)
+        };
+        if (format === 'csv') {
+            const csv = await auditService.exportEvents(filters);
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="audit-events-${new Date().toISOString().slice(0, 10)}.csv"`);
+            return res.status(200).send(csv);
+        }
+        const response = await auditService.listEvents(filters, page, limit);
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully fetched the audit events'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to fetch the audit events'
+        });
+    }
+};
+
+module.exports = {
+    getEvents
+};
\ No newline at end of file
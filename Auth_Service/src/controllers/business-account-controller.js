@@ -0,0 +1,143 @@
+/**
+ * This file contains the controller logic for business account requests:
+ * users following their own request, and admins reviewing the queue.
+ */
+
+const BusinessAccountService = require('../services/business-account-service');
+const { getRequestContext } = require('../utils/helper');
+
+const businessAccountService = new BusinessAccountService();
+
+/**
+ * Controller for fetching the business account request of the authenticated user.
+ * Must be used after the `authenticate` middleware.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const getOwnRequest = async (req, res) => {
+    try {
+        const response = await businessAccountService.getOwnRequest(req.user.id);
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully fetched the business account request'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to fetch the business account request'
+        });
+    }
+};
+
+/**
+ * Controller for listing business account requests, filtered by the `status`, `page` and `limit` query parameters.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const getRequests = async (req, res) => {
+    try {
+        const response = await businessAccountService.listRequests({
+            status: req.query.status,
+            page: req.query.page,
+            limit: req.query.limit
+        });
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully fetched the business account requests'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to fetch the business account requests'
+        });
+    }
+};
+
+/**
+ * Controller for fetching the business account request given by the `:id` route parameter.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const getRequest = async (req, res) => {
+    try {
+        const response = await businessAccountService.getRequest(req.params.id);
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully fetched the business account request'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to fetch the business account request'
+        });
+    }
+};
+
+/**
+ * Controller for approving the business account request given by the `:id` route parameter.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const approveRequest = async (req, res) => {
+    try {
+        const response = await businessAccountService.approveRequest(req.params.id, req.user.id, getRequestContext(req));
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully approved the business account request'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to approve the business account request'
+        });
+    }
+};
+
+/**
+ * Controller for rejecting the business account request given by the `:id` route parameter,
+ * with the `reason` sent in the request body.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const rejectRequest = async (req, res) => {
+    try {
+        const response = await businessAccountService.rejectRequest(req.params.id, req.user.id, req.body.reason.trim(), getRequestContext(req));
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully rejected the business account request'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to reject the business account request'
+        });
+    }
+};
+
+module.exports = {
+    getOwnRequest,
+    getRequests,
+    getRequest,
+    approveRequest,
+    rejectRequest
+};
\ No newline at end of file
@@ -0,0 +1,65 @@
+/**
+ * This file contains the controller logic for the email verification HTTP requests.
+ */
+
+const EmailVerificationService = require('../services/email-verification-service');
+
+const emailVerificationService = new EmailVerificationService();
+
+/**
+ * Controller for confirming an email with the token from the verification email.
+ * The token is read from the `token` query parameter so the emailed link works directly.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const verifyEmail = async (req, res) => {
+    try {
+        const response = await emailVerificationService.verifyEmail(req.query.token);
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully verified the email'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to verify the email'
+        });
+    }
+};
+
+/**
+ * Controller for requesting a new verification email.
+ * It answers with the same response whether or not the email is registered.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const resendVerificationEmail = async (req, res) => {
+    try {
+        await emailVerificationService.resendVerificationEmail(req.body.email);
+        return res.status(200).json({
+            success: true,
+            data: {},
+            err: {},
+            message: 'If an unverified account exists for this email, a verification link has been sent'
+        });
+    } catch (error) {
+        if (error.retryAfter) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to resend the verification email'
+        });
+    }
+};
+
+module.exports = {
+    verifyEmail,
+    resendVerificationEmail
+};
\ No newline at end of file
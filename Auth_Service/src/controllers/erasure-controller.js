@@ -0,0 +1,141 @@
+/**
+ * This file contains the controller logic for data-subject requests: users exporting their data
+ * or having their account erased, and admins processing the erasures.
+ */
+
+const ErasureService = require('../services/erasure-service');
+const { getRequestContext } = require('../utils/helper');
+
+const erasureService = new ErasureService();
+
+/**
+ * Controller for downloading the data stored about the authenticated user as a JSON file.
+ * Must be used after the `authenticate` middleware.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const exportData = async (req, res) => {
+    try {
+        const response = await erasureService.exportData(req.user.id);
+        res.set('Content-Disposition', `attachment; filename="account-export-${new Date().toISOString().slice(0, 10)}.json"`);
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully exported the account data'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to export the account data'
+        });
+    }
+};
+
+/**
+ * Controller for scheduling the erasure of the authenticated user's account.
+ * The current password comes from the request body.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const requestErasure = async (req, res) => {
+    try {
+        const response = await erasureService.requestErasure(req.user.id, req.body.password, getRequestContext(req));
+        return res.status(202).json({
+            success: true,
+            data: response, // The pending request and when the account will be erased
+            err: {},
+            message: 'Successfully scheduled the erasure of the account'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to schedule the erasure of the account'
+        });
+    }
+};
+
+/**
+ * Controller for cancelling the pending erasure of the authenticated user's account.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const cancelErasure = async (req, res) => {
+    try {
+        const response = await erasureService.cancelErasure(req.user.id);
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully cancelled the erasure of the account'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to cancel the erasure of the account'
+        });
+    }
+};
+
+/**
+ * Controller for listing erasure requests, filtered by the optional `status` in the query string.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const getRequests = async (req, res) => {
+    try {
+        const { status, page, limit } = req.query;
+        const response = await erasureService.listRequests({ status, page, limit });
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully fetched the erasure requests'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to fetch the erasure requests'
+        });
+    }
+};
+
+/**
+ * Controller for erasing every account whose grace period is over.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const processRequests = async (req, res) => {
+    try {
+        const response = await erasureService.processDueRequests(req.user.id, getRequestContext(req));
+        return res.status(200).json({
+            success: true,
+            data: response, // The IDs of the processed and of the failed requests
+            err: {},
+            message: 'Successfully processed the due erasure requests'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to process the erasure requests'
+        });
+    }
+};
+
+module.exports = {
+    exportData,
+    requestErasure,
+    cancelErasure,
+    getRequests,
+    processRequests
+};
\ No newline at end of file
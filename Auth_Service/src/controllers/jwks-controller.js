@@ -0,0 +1,30 @@
+/**
+ * This file contains the controller logic for publishing the token signing keys.
+ */
+
+const { getJwks } = require('../utils/jwt-signer');
+
+/**
+ * Controller for the JSON Web Key Set other services use to verify access tokens locally.
+ * The key set is returned as is, without the usual response envelope, as JWKS clients expect.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const getKeys = (req, res) => {
+    try {
+        // Lets verifiers cache the keys for a while; a newly added key is picked up within the overlap period.
+        res.set('Cache-Control', 'public, max-age=300');
+        return res.status(200).json(getJwks());
+    } catch (error) {
+        return res.status(500).json({
+            message: 'Something went wrong',
+            data: {},
+            success: false,
+            err: 'Not able to fetch the signing keys'
+        });
+    }
+};
+
+module.exports = {
+    getKeys
+};
\ No newline at end of file
@@ -0,0 +1,64 @@
+/**
+ * This file contains the controller logic for the passwordless (magic link) sign-in HTTP requests.
+ */
+
+const MagicLinkService = require('../services/magic-link-service');
+const UserService = require('../services/user-service');
+const { getRequestContext } = require('../utils/helper');
+
+const magicLinkService = new MagicLinkService();
+const userService = new UserService();
+
+/**
+ * Controller for requesting a sign-in link by email.
+ * It answers with the same response whether or not the email is registered.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const requestLink = async (req, res) => {
+    try {
+        await magicLinkService.sendLink(req.body.email);
+        return res.status(200).json({
+            success: true,
+            data: {},
+            err: {},
+            message: 'If an account exists for this email, a sign-in link has been sent'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to send the sign-in link'
+        });
+    }
+};
+
+/**
+ * Controller for signing in with the token from a sign-in link.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const verifyLink = async (req, res) => {
+    try {
+        const response = await userService.completeMagicLinkSignIn(req.body.token, getRequestContext(req));
+        return res.status(200).json({
+            success: true,
+            data: response, // Contains the access token and the refresh token, or an MFA challenge
+            err: {},
+            message: 'Successfully signed in'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Authentication failed'
+        });
+    }
+};
+
+module.exports = {
+    requestLink,
+    verifyLink
+};
\ No newline at end of file
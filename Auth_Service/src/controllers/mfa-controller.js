@@ -0,0 +1,96 @@
+/**
+ * This file contains the controller logic for the two-factor authentication HTTP requests.
+ */
+
+const MfaService = require('../services/mfa-service');
+const UserService = require('../services/user-service');
+const { getRequestContext } = require('../utils/helper');
+
+const mfaService = new MfaService();
+const userService = new UserService();
+
+/**
+ * Controller for starting the two-factor authentication enrollment of the authenticated user.
+ * Must be used after the `authenticateMfaEnrollment` middleware.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const enroll = async (req, res) => {
+    try {
+        const response = await mfaService.enroll(req.user.id);
+        return res.status(200).json({
+            success: true,
+            data: response, // Contains the secret and the otpauth URI for the authenticator app
+            err: {},
+            message: 'Scan the secret with an authenticator app and confirm a code to finish the enrollment'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to start the enrollment'
+        });
+    }
+};
+
+/**
+ * Controller for confirming the enrollment with a code from the authenticator app.
+ * Users that were sent here by a mandatory enrollment challenge also receive their first token pair.
+ * Must be used after the `authenticateMfaEnrollment` middleware.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const activate = async (req, res) => {
+    try {
+        const response = req.mfaEnrollment
+            ? await userService.completeMfaEnrollment(req.user.id, req.body.code, getRequestContext(req))
+            : { recoveryCodes: await mfaService.activate(req.user.id, req.body.code) };
+        return res.status(200).json({
+            success: true,
+            data: response, // Contains the recovery codes, which are only shown this once
+            err: {},
+            message: 'Successfully enabled two-factor authentication'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to enable two-factor authentication'
+        });
+    }
+};
+
+/**
+ * Controller for the second step of a sign-in, exchanging the challenge token and a code for tokens.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const verifySignIn = async (req, res) => {
+    try {
+        const response = await userService.completeMfaSignIn(req.body.mfaToken, req.body.code, getRequestContext(req));
+        return res.status(200).json({
+            success: true,
+            data: response, // Contains the access token and the refresh token
+            err: {},
+            message: 'Successfully signed in'
+        });
+    } catch (error) {
+        if (error.retryAfter) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Authentication failed'
+        });
+    }
+};
+
+module.exports = {
+    enroll,
+    activate,
+    verifySignIn
+};
\ No newline at end of file
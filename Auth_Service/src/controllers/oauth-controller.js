@@ -0,0 +1,150 @@
+/**
+ * This file contains the controller logic for the OAuth 2.0 endpoints.
+ * Unlike the rest of the API, the responses of the token endpoint follow RFC 6749 instead of
+ * the usual envelope, so standard OAuth client libraries can talk to it. The authorization
+ * endpoint is called by the frontend showing the consent screen and uses the usual envelope.
+ */
+
+const { StatusCodes } = require('http-status-codes');
+const ApiClientService = require('../services/api-client-service');
+const OAuthService = require('../services/oauth-service');
+const OAuthError = require('../utils/oauth-error');
+const { getRequestContext } = require('../utils/helper');
+
+const apiClientService = new ApiClientService();
+const oauthService = new OAuthService();
+
+/**
+ * Reads the client credentials from the HTTP Basic 'Authorization' header,
+ * falling back to `client_id` and `client_secret` in the request body.
+ * @param {object} req - The Express request object.
+ * @returns {object} An object containing the `clientId` and `clientSecret`.
+ * @throws {OAuthError} An 'invalid_client' error if the header is not a valid `id:secret` pair.
+ */
+const getClientCredentials = (req) => {
+    const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+    if (scheme === 'Basic' && encoded) {
+        const decoded = Buffer.from(encoded, 'base64').toString();
+        const separator = decoded.indexOf(':');
+        if (separator !== -1) {
+            try {
+                return {
+                    clientId: decodeURIComponent(decoded.slice(0, separator)),
+                    clientSecret: decodeURIComponent(decoded.slice(separator + 1))
+                };
+            } catch (error) {
+                // Malformed percent-encoding is answered like any other malformed credentials below.
+            }
+        }
+        throw new OAuthError('invalid_client', 'The Basic credentials are malformed', StatusCodes.UNAUTHORIZED);
+    }
+    return { clientId: req.body.client_id, clientSecret: req.body.client_secret };
+};
+
+/**
+ * Controller for the token endpoint. Supports the 'client_credentials', 'authorization_code' and 'refresh_token' grants.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const token = async (req, res) => {
+    // Token responses must never be cached (RFC 6749, section 5.1).
+    res.set('Cache-Control', 'no-store');
+    res.set('Pragma', 'no-cache');
+    try {
+        let response;
+        switch (req.body.grant_type) {
+            case 'client_credentials':
+                response = await apiClientService.issueClientToken(getClientCredentials(req), req.body.scope);
+                break;
+            case 'authorization_code':
+                response = await oauthService.exchangeCode(getClientCredentials(req), {
+                    code: req.body.code,
+                    codeVerifier: req.body.code_verifier,
+                    redirectUri: req.body.redirect_uri
+                }, getRequestContext(req));
+                break;
+            case 'refresh_token':
+                response = await oauthService.refreshToken(getClientCredentials(req), req.body.refresh_token, getRequestContext(req));
+                break;
+            default:
+                return res.status(400).json({
+                    error: 'unsupported_grant_type',
+                    error_description: `The grant type '${req.body.grant_type}' is not supported`
+                });
+        }
+        return res.status(200).json(response);
+    } catch (error) {
+        if (error.name !== 'OAuthError') {
+            return res.status(500).json({ error: 'server_error', error_description: 'Something went wrong' });
+        }
+        if (error.statusCode === 401) {
+            res.set('WWW-Authenticate', 'Basic realm="oauth"');
+        }
+        return res.status(error.statusCode).json({
+            error: error.error,
+            error_description: error.explanation
+        });
+    }
+};
+
+/**
+ * Controller for describing an authorization request (`GET /oauth/authorize`), so the frontend can ask
+ * the user for consent. The parameters of the request are passed in the query string.
+ * Must be used after the `authenticate` middleware.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const getAuthorizationRequest = async (req, res) => {
+    try {
+        const response = await oauthService.getAuthorizationRequest(req.user.id, req.query);
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully validated the authorization request'
+        });
+    } catch (error) {
+        return authorizationErrorResponse(res, error);
+    }
+};
+
+/**
+ * Controller for the decision of the user on an authorization request (`POST /oauth/authorize`).
+ * The body repeats the parameters of the request and sets `approved` to true or false.
+ * The frontend sends the user to the returned `redirectTo` URI.
+ * Must be used after the `authenticate` middleware.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const authorize = async (req, res) => {
+    try {
+        const response = await oauthService.authorize(req.user.id, req.body, req.body.approved === true, getRequestContext(req));
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: req.body.approved === true ? 'Successfully authorized the client' : 'Successfully denied the client'
+        });
+    } catch (error) {
+        return authorizationErrorResponse(res, error);
+    }
+};
+
+/**
+ * Answers a failed authorization request. Errors that may be reported to the client carry
+ * the `redirectTo` URI the frontend should send the user to.
+ */
+const authorizationErrorResponse = (res, error) => {
+    return res.status(error.statusCode || 500).json({
+        message: error.message || 'Something went wrong',
+        data: error.redirectTo ? { redirectTo: error.redirectTo } : {},
+        success: false,
+        err: error.explanation || 'Not able to process the authorization request'
+    });
+};
+
+module.exports = {
+    token,
+    getAuthorizationRequest,
+    authorize
+};
\ No newline at end of file
@@ -0,0 +1,195 @@
+/**
+ * This file contains the controller logic for organizations, their members and invitations.
+ * Every controller must be used after the `authenticate` middleware.
+ */
+
+const OrganizationService = require('../services/organization-service');
+const { getRequestContext } = require('../utils/helper');
+
+const organizationService = new OrganizationService();
+
+/**
+ * Controller for creating an organization owned by the authenticated user.
+ * Expects the `name` and an optional `iataCode` in the request body.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const createOrganization = async (req, res) => {
+    try {
+        const response = await organizationService.createOrganization(req.user.id, {
+            name: req.body.name,
+            iataCode: req.body.iataCode
+        });
+        return res.status(201).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully created the organization'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to create the organization'
+        });
+    }
+};
+
+/**
+ * Controller for fetching the organization of the authenticated user with its members.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const getOwnOrganization = async (req, res) => {
+    try {
+        const response = await organizationService.getOrganizationOf(req.user.id);
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully fetched the organization'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to fetch the organization'
+        });
+    }
+};
+
+/**
+ * Controller for inviting someone to the organization given by the `:id` route parameter.
+ * Expects the `email` and an optional membership `role` in the request body.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const inviteMember = async (req, res) => {
+    try {
+        const response = await organizationService.inviteMember(req.user.id, req.params.id, {
+            email: req.body.email,
+            role: req.body.role
+        }, getRequestContext(req));
+        return res.status(201).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully sent the invitation'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to send the invitation'
+        });
+    }
+};
+
+/**
+ * Controller for listing the pending invitations of the organization given by the `:id` route parameter.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const getInvitations = async (req, res) => {
+    try {
+        const response = await organizationService.listInvitations(req.user.id, req.params.id);
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully fetched the invitations'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to fetch the invitations'
+        });
+    }
+};
+
+/**
+ * Controller for revoking the invitation given by the `:invitationId` route parameter.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const revokeInvitation = async (req, res) => {
+    try {
+        const response = await organizationService.revokeInvitation(req.user.id, req.params.id, req.params.invitationId);
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully revoked the invitation'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to revoke the invitation'
+        });
+    }
+};
+
+/**
+ * Controller for accepting the invitation whose token is sent as `token` in the request body.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const acceptInvitation = async (req, res) => {
+    try {
+        const response = await organizationService.acceptInvitation(req.user.id, req.body.token, getRequestContext(req));
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully joined the organization, refresh your tokens to act on its behalf'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to accept the invitation'
+        });
+    }
+};
+
+/**
+ * Controller for removing the member given by the `:userId` route parameter from the organization.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const removeMember = async (req, res) => {
+    try {
+        const response = await organizationService.removeMember(req.user.id, req.params.id, req.params.userId);
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully removed the member'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to remove the member'
+        });
+    }
+};
+
+module.exports = {
+    createOrganization,
+    getOwnOrganization,
+    inviteMember,
+    getInvitations,
+    revokeInvitation,
+    acceptInvitation,
+    removeMember
+};
\ No newline at end of file
@@ -0,0 +1,116 @@
+/**
+ * This file contains the controller logic for the password recovery HTTP requests.
+ */
+
+const PasswordService = require('../services/password-service');
+const { getRequestContext } = require('../utils/helper');
+
+const passwordService = new PasswordService();
+
+/**
+ * Controller for requesting a password reset email.
+ * It always answers with the same response, whether or not the email is registered.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const forgotPassword = async (req, res) => {
+    try {
+        await passwordService.forgotPassword(req.body.email);
+        return res.status(200).json({
+            success: true,
+            data: {},
+            err: {},
+            message: 'If an account exists for this email, a password reset link has been sent'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to request a password reset'
+        });
+    }
+};
+
+/**
+ * Controller for setting a new password with a reset token.
+ * It expects the token and the new password in the request body.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const resetPassword = async (req, res) => {
+    try {
+        const response = await passwordService.resetPassword(req.body.token, req.body.password, getRequestContext(req));
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully reset the password'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to reset the password'
+        });
+    }
+};
+
+/**
+ * Controller for choosing the first password of an account created through a bulk import.
+ * It expects the invite token and the password in the request body.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const setupAccount = async (req, res) => {
+    try {
+        const response = await passwordService.setupAccount(req.body.token, req.body.password);
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully set up the account'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to set up the account'
+        });
+    }
+};
+
+/**
+ * Controller for changing the password of the authenticated user.
+ * It expects the current password as `oldPassword` and the new one as `newPassword` in the request body,
+ * and must be used after the `authenticate` middleware.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const changePassword = async (req, res) => {
+    try {
+        const response = await passwordService.changePassword(req.user.id, req.body.oldPassword, req.body.newPassword, getRequestContext(req));
+        return res.status(200).json({
+            success: true,
+            data: response, // Contains a new token pair, all previous sessions have been ended
+            err: {},
+            message: 'Successfully changed the password'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to change the password'
+        });
+    }
+};
+
+module.exports = {
+    forgotPassword,
+    resetPassword,
+    setupAccount,
+    changePassword
+};
\ No newline at end of file
@@ -0,0 +1,70 @@
+/**
+ * This file contains the controller logic for permission checks and the permission catalogue.
+ */
+
+const PermissionService = require('../services/permission-service');
+
+const permissionService = new PermissionService();
+
+/**
+ * Controller for checking if the authenticated user holds the permission given in the `permission` query parameter.
+ * Answers 200 when the user holds it, directly or through an inherited role, and 403 when they do not.
+ * This must be used after the `authenticate` middleware.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const hasPermission = async (req, res) => {
+    try {
+        const response = await permissionService.hasPermission(req.user.id, req.query.permission);
+        if (!response) {
+            return res.status(403).json({
+                success: false,
+                data: false,
+                err: `User does not have the permission ${req.query.permission}`,
+                message: 'Not authorized'
+            });
+        }
+        return res.status(200).json({
+            success: true,
+            data: true,
+            err: {},
+            message: 'User is authorized'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Authorization failed'
+        });
+    }
+};
+
+/**
+ * Controller for listing every permission with the roles it is granted to.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const getPermissions = async (req, res) => {
+    try {
+        const response = await permissionService.listPermissions();
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully fetched all permissions'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to fetch the permissions'
+        });
+    }
+};
+
+module.exports = {
+    hasPermission,
+    getPermissions
+};
\ No newline at end of file
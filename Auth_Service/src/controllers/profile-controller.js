@@ -0,0 +1,89 @@
+/**
+ * This file contains the controller logic for the profile of the authenticated user (`/me`).
+ */
+
+const ProfileService = require('../services/profile-service');
+
+const profileService = new ProfileService();
+
+/**
+ * Controller for fetching the profile of the authenticated user.
+ * Must be used after the `authenticate` middleware.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const getProfile = async (req, res) => {
+    try {
+        const response = await profileService.getProfile(req.user.id);
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully fetched the profile'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to fetch the profile'
+        });
+    }
+};
+
+/**
+ * Controller for updating the profile of the authenticated user.
+ * Must be used after the `authenticate` middleware.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const updateProfile = async (req, res) => {
+    try {
+        const response = await profileService.updateProfile(req.user.id, req.body);
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: response.pendingEmail
+                ? 'Successfully updated the profile, confirm the new email with the link sent to it'
+                : 'Successfully updated the profile'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to update the profile'
+        });
+    }
+};
+
+/**
+ * Controller for confirming an email change with the token sent to the new address.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const confirmEmailChange = async (req, res) => {
+    try {
+        const response = await profileService.confirmEmailChange(req.query.token);
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully changed the email'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to change the email'
+        });
+    }
+};
+
+module.exports = {
+    getProfile,
+    updateProfile,
+    confirmEmailChange
+};
\ No newline at end of file
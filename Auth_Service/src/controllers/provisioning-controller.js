@@ -0,0 +1,37 @@
+/**
+ * This file contains the controller logic for provisioning users in bulk from a CSV file.
+ */
+
+const ProvisioningService = require('../services/provisioning-service');
+const { getRequestContext } = require('../utils/helper');
+
+const provisioningService = new ProvisioningService();
+
+/**
+ * Controller for creating the users listed in the CSV file sent as the request body.
+ * Answers with a report on every row, also when some of them could not be imported.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const importUsers = async (req, res) => {
+    try {
+        const response = await provisioningService.importUsers(req.body, req.user.id, getRequestContext(req));
+        return res.status(response.created > 0 ? 201 : 200).json({
+            success: true,
+            data: response, // The number of created and failed rows and the outcome of each row
+            err: {},
+            message: `Created ${response.created} of ${response.total} users`
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to import the users'
+        });
+    }
+};
+
+module.exports = {
+    importUsers
+};
\ No newline at end of file
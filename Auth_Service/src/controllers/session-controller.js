@@ -0,0 +1,63 @@
+/**
+ * This file contains the controller logic for the sessions of the authenticated user (`/me/sessions`).
+ */
+
+const SessionService = require('../services/session-service');
+const { getRequestContext } = require('../utils/helper');
+
+const sessionService = new SessionService();
+
+/**
+ * Controller for listing the active sessions of the authenticated user.
+ * Must be used after the `authenticate` middleware.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const getSessions = async (req, res) => {
+    try {
+        const response = await sessionService.listSessions(req.user.id, req.user.sessionId);
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully fetched the sessions'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to fetch the sessions'
+        });
+    }
+};
+
+/**
+ * Controller for signing the authenticated user out of the session given by the `:id` route parameter.
+ * Must be used after the `authenticate` middleware.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const revokeSession = async (req, res) => {
+    try {
+        const response = await sessionService.revokeSession(req.user.id, Number(req.params.id), getRequestContext(req));
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully revoked the session'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to revoke the session'
+        });
+    }
+};
+
+module.exports = {
+    getSessions,
+    revokeSession
+};
\ No newline at end of file
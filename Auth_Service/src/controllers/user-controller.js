@@ -5,27 +5,32 @@
  */
 
 const UserService = require('../services/user-service');
+const { getRequestContext } = require('../utils/helper');
 
 // Create a single, reusable instance of the UserService to handle business logic.
 const userService = new UserService();
 
 /**
  * Controller for handling user registration (signup).
- * It expects an email and password in the request body.
+ * It expects an email and password in the request body. A signup requesting a business account
+ * also sends `requestedRole: 'AIRLINE_BUSINESS'` and the `company` details.
  * @param {object} req - The Express request object.
  * @param {object} res - The Express response object.
  */
 const create = async (req, res) => {
     try {
+        const company = req.body.requestedRole ? req.body.company : null;
         // Delegate the user creation logic to the user service.
         const response = await userService.create({
             email: req.body.email,
             password: req.body.password
-        });
+        }, getRequestContext(req), company);
         // On success, return a 201 Created status with the new user's data.
         return res.status(201).json({
             success: true,
-            message: 'Successfully created a new user',
+            message: company
+                ? 'Successfully created a new user, the business account request is pending review'
+                : 'Successfully created a new user',
             data: response,
             err: {}
         });
@@ -48,15 +53,45 @@ const create = async (req, res) => {
 const signIn = async (req, res) => {
     try {
         // Delegate the sign-in logic to the user service.
-        const response = await userService.signIn(req.body.email, req.body.password);
-        // On success, return a 200 OK status with the JWT.
+        const response = await userService.signIn(req.body.email, req.body.password, getRequestContext(req));
+        // On success, return a 200 OK status with the token pair.
+        return res.status(200).json({
+            success: true,
+            data: response, // Contains the access token and the refresh token
+            err: {},
+            message: 'Successfully signed in'
+        });
+    } catch (error) {
+        if (error.retryAfter) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Authentication failed'
+        });
+    }
+};
+
+/**
+ * Controller for confirming a suspicious sign-in, exchanging the step-up token and the emailed code for tokens.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const verifyStepUp = async (req, res) => {
+    try {
+        const response = await userService.completeStepUpSignIn(req.body.stepUpToken, req.body.code, getRequestContext(req));
         return res.status(200).json({
             success: true,
-            data: response, // Contains the JWT
+            data: response, // Contains the access token and the refresh token
             err: {},
             message: 'Successfully signed in'
         });
     } catch (error) {
+        if (error.retryAfter) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
         return res.status(error.statusCode || 500).json({
             message: error.message || 'Something went wrong',
             data: {},
@@ -66,6 +101,55 @@ const signIn = async (req, res) => {
     }
 };
 
+/**
+ * Controller for exchanging a refresh token for a new access/refresh token pair.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const refreshToken = async (req, res) => {
+    try {
+        // The presented refresh token is rotated, so it cannot be used a second time.
+        const response = await userService.refresh(req.body.refreshToken, getRequestContext(req));
+        return res.status(200).json({
+            success: true,
+            data: response, // Contains the new access token and refresh token
+            err: {},
+            message: 'Successfully refreshed the token'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Token refresh failed'
+        });
+    }
+};
+
+/**
+ * Controller for ending the session of the access token sent in the 'x-access-token' header.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const logout = async (req, res) => {
+    try {
+        const response = await userService.logout(req.headers['x-access-token'], getRequestContext(req));
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully logged out'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Logout failed'
+        });
+    }
+};
+
 /**
  * Controller for validating a JWT and checking if a user is authenticated.
  * @param {object} req - The Express request object.
@@ -95,15 +179,41 @@ const isAuthenticated = async (req, res) => {
 };
 
 /**
- * Controller for checking if a user has the 'ADMIN' role.
- * This is an authorization check that should be used after authentication.
+ * Controller for RFC 7662-style token introspection.
+ * The token is read from the `token` field of the request body. An invalid token
+ * is not an error: it is answered with 200 and `{ active: false }`.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const introspect = async (req, res) => {
+    try {
+        const response = await userService.introspect(req.body.token);
+        return res.status(200).json({
+            success: true,
+            err: {},
+            data: response, // Contains `active` and, for active tokens, `sub`, `email`, `roles`, `exp` and `iat`
+            message: 'Successfully introspected the token'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Introspection failed'
+        });
+    }
+};
+
+/**
+ * Controller for checking if the authenticated user has the 'ADMIN' role.
+ * This is an authorization check that must be used after the `authenticate` middleware.
  * @param {object} req - The Express request object.
  * @param {object} res - The Express response object.
  */
 const isAdmin = async(req, res) => {
     try {
-        // Delegate the admin check to the user service, passing the user ID.
-        const response = await userService.isAdmin(req.body.id);
+        // Delegate the admin check to the user service, passing the ID resolved from the token.
+        const response = await userService.isAdmin(req.user.id);
         // Return a boolean indicating if the user is an admin.
         return res.status(200).json({
             data: response, // true or false
@@ -121,10 +231,312 @@ const isAdmin = async(req, res) => {
     }
 };
 
+/**
+ * Controller for checking if the authenticated user has the role given in the `role` query parameter.
+ * Answers 200 when the user has the role and 403 when they do not.
+ * This must be used after the `authenticate` middleware.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const authorize = async (req, res) => {
+    try {
+        const response = await userService.hasAnyRole(req.user.id, [req.query.role]);
+        if (!response) {
+            return res.status(403).json({
+                success: false,
+                data: false,
+                err: `User does not have the role ${req.query.role}`,
+                message: 'Not authorized'
+            });
+        }
+        return res.status(200).json({
+            success: true,
+            data: true,
+            err: {},
+            message: 'User is authorized'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Authorization failed'
+        });
+    }
+};
+
+/**
+ * Controller for listing every role that can be assigned to a user.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const getRoles = async (req, res) => {
+    try {
+        const response = await userService.getAllRoles();
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully fetched all roles'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to fetch the roles'
+        });
+    }
+};
+
+/**
+ * Controller for listing the roles of the user given by the `:id` route parameter.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const getUserRoles = async (req, res) => {
+    try {
+        const response = await userService.getUserRoles(req.params.id);
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully fetched the roles of the user'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to fetch the roles of the user'
+        });
+    }
+};
+
+/**
+ * Controller for granting the role given in the request body to a user.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const grantRole = async (req, res) => {
+    try {
+        const response = await userService.grantRole(req.params.id, req.body.role, req.user.id, getRequestContext(req));
+        return res.status(200).json({
+            success: true,
+            data: response, // The roles of the user after the grant
+            err: {},
+            message: 'Successfully granted the role'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to grant the role'
+        });
+    }
+};
+
+/**
+ * Controller for revoking the role given by the `:role` route parameter from a user.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const revokeRole = async (req, res) => {
+    try {
+        const response = await userService.revokeRole(req.params.id, req.params.role, req.user.id, getRequestContext(req));
+        return res.status(200).json({
+            success: true,
+            data: response, // The roles of the user after the revocation
+            err: {},
+            message: 'Successfully revoked the role'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to revoke the role'
+        });
+    }
+};
+
+/**
+ * Controller for lifting the sign-in lockout of the user given by the `:id` route parameter.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const unlockUser = async (req, res) => {
+    try {
+        const response = await userService.unlockUser(req.params.id);
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully unlocked the user'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to unlock the user'
+        });
+    }
+};
+
+/**
+ * Controller for issuing an impersonation token for the user given by the `:id` route parameter.
+ * The `reason` and optional `durationMinutes` come from the request body.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const impersonateUser = async (req, res) => {
+    try {
+        const { reason, durationMinutes } = req.body;
+        const response = await userService.impersonate(
+            req.params.id,
+            req.user.id,
+            { reason: reason.trim(), ...(durationMinutes !== undefined && { durationMinutes }) },
+            getRequestContext(req)
+        );
+        return res.status(201).json({
+            success: true,
+            data: response, // Contains the access token, which cannot be refreshed, and when it expires
+            err: {},
+            message: 'Successfully started impersonating the user'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to impersonate the user'
+        });
+    }
+};
+
+/**
+ * Controller for listing users with optional email search, role filter, pagination and sorting.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const getUsers = async (req, res) => {
+    try {
+        const response = await userService.listUsers({
+            email: req.query.email,
+            role: req.query.role,
+            page: req.query.page,
+            limit: req.query.limit,
+            sort: req.query.sort
+        });
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully fetched the users'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to fetch the users'
+        });
+    }
+};
+
+/**
+ * Controller for deactivating the user given by the `:id` route parameter.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const deactivateUser = async (req, res) => {
+    try {
+        const response = await userService.deactivateUser(req.params.id, req.user.id, getRequestContext(req));
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully deactivated the user'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to deactivate the user'
+        });
+    }
+};
+
+/**
+ * Controller for reactivating the user given by the `:id` route parameter.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const reactivateUser = async (req, res) => {
+    try {
+        const response = await userService.reactivateUser(req.params.id);
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully reactivated the user'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to reactivate the user'
+        });
+    }
+};
+
+/**
+ * Controller for permanently deleting the user given by the `:id` route parameter.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const deleteUser = async (req, res) => {
+    try {
+        const response = await userService.deleteUser(req.params.id, req.user.id);
+        return res.status(200).json({
+            success: true,
+            data: response,
+            err: {},
+            message: 'Successfully deleted the user'
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Not able to delete the user'
+        });
+    }
+};
+
 // Export all controller functions for use in the routes.
 module.exports = {
     create,
     signIn,
+    verifyStepUp,
+    refreshToken,
+    logout,
     isAuthenticated,
-    isAdmin
+    introspect,
+    isAdmin,
+    authorize,
+    getRoles,
+    getUserRoles,
+    grantRole,
+    revokeRole,
+    unlockUser,
+    impersonateUser,
+    getUsers,
+    deactivateUser,
+    reactivateUser,
+    deleteUser
 };
\ No newline at end of file
@@ -3,6 +3,7 @@ const bodyParser = require('body-parser');
 
 const { PORT } = require('./config/serverConfig');
 const apiRoutes = require('./routes/index');
+const wellKnownRoutes = require('./routes/well-known');
 
 const db = require('./models/index');
 
@@ -14,6 +15,7 @@ const prepareAndStartServer = () => {
     app.use(bodyParser.urlencoded({extended: true}));
 
     app.use('/api', apiRoutes);
+    app.use('/.well-known', wellKnownRoutes);
 
     app.listen(PORT, async () => {
         console.log(`Server Started on Port: ${PORT}`);
@@ -0,0 +1,159 @@
+/**
+ * This file contains Express middleware functions that protect routes by
+ * authenticating the caller from the 'x-access-token' header and checking
+ * what the authenticated user is allowed to do.
+ */
+
+const UserService = require('../services/user-service');
+const MfaService = require('../services/mfa-service');
+const PermissionService = require('../services/permission-service');
+
+const userService = new UserService();
+const mfaService = new MfaService();
+const permissionService = new PermissionService();
+
+/**
+ * Authenticates the access token sent in the 'x-access-token' header and
+ * attaches the authenticated user and their current session to `req.user`.
+ * For impersonation tokens `req.user.impersonatorId` holds the ID of the acting admin.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const authenticate = async (req, res, next) => {
+    try {
+        const { user, storedToken, payload } = await userService.authenticate(req.headers['x-access-token']);
+        req.user = { id: user.id, email: user.email, sessionId: storedToken.sessionId };
+        if (payload.act) {
+            req.user.impersonatorId = Number(payload.act.sub);
+        }
+        next();
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Authentication failed'
+        });
+    }
+};
+
+/**
+ * Rejects requests made with an impersonation token. Used after the authentication middleware on
+ * routes that change the credentials or grants of an account, which only its owner may do.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const denyImpersonation = (req, res, next) => {
+    if (req.user && req.user.impersonatorId) {
+        return res.status(403).json({
+            success: false,
+            data: {},
+            message: 'Not allowed while impersonating',
+            err: 'This action cannot be performed with an impersonation token'
+        });
+    }
+    next();
+};
+
+/**
+ * Authenticates the caller of the two-factor enrollment routes. Signed-in users send their
+ * access token as usual; users whose role makes two-factor authentication mandatory have no
+ * access token yet and send the 'enroll' challenge from the sign-in as `mfaToken` in the body,
+ * in which case `req.mfaEnrollment` is set.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const authenticateMfaEnrollment = (req, res, next) => {
+    if (!req.body.mfaToken) {
+        return authenticate(req, res, next);
+    }
+    try {
+        const { id } = mfaService.verifyChallenge(req.body.mfaToken, 'enroll');
+        req.user = { id };
+        req.mfaEnrollment = true;
+        next();
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            message: error.message || 'Something went wrong',
+            data: {},
+            success: false,
+            err: error.explanation || 'Authentication failed'
+        });
+    }
+};
+
+/**
+ * Creates the middleware chain that only lets users with at least one of the given roles through,
+ * counting the roles inherited through the role hierarchy.
+ * The caller is authenticated from the 'x-access-token' header first, so an invalid or missing
+ * token is answered with 401 while a valid token lacking the roles is answered with 403.
+ * @param {...string} roles - The names of the accepted roles.
+ * @returns {Array<function>} The `authenticate` middleware followed by the role check.
+ */
+const authorize = (...roles) => {
+    const checkRoles = async (req, res, next) => {
+        try {
+            const allowed = await userService.hasAnyRole(req.user.id, roles);
+            if (!allowed) {
+                return res.status(403).json({
+                    success: false,
+                    data: {},
+                    message: 'Not authorized',
+                    err: `This action requires one of the roles: ${roles.join(', ')}`
+                });
+            }
+            next();
+        } catch (error) {
+            return res.status(error.statusCode || 500).json({
+                message: error.message || 'Something went wrong',
+                data: {},
+                success: false,
+                err: error.explanation || 'Authorization failed'
+            });
+        }
+    };
+    return [authenticate, checkRoles];
+};
+
+/**
+ * Creates the middleware chain that only lets users holding the given permission through,
+ * granted to one of their roles or inherited. Answers 401 for an invalid or missing token
+ * and 403 when the user lacks the permission.
+ * @param {string} permission - The name of the required permission, e.g. 'users:write'.
+ * @returns {Array<function>} The `authenticate` middleware followed by the permission check.
+ */
+const requirePermission = (permission) => {
+    const checkPermission = async (req, res, next) => {
+        try {
+            const allowed = await permissionService.hasPermission(req.user.id, permission);
+            if (!allowed) {
+                return res.status(403).json({
+                    success: false,
+                    data: {},
+                    message: 'Not authorized',
+                    err: `This action requires the permission ${permission}`
+                });
+            }
+            next();
+        } catch (error) {
+            return res.status(error.statusCode || 500).json({
+                message: error.message || 'Something went wrong',
+                data: {},
+                success: false,
+                err: error.explanation || 'Authorization failed'
+            });
+        }
+    };
+    return [authenticate, checkPermission];
+};
+
+module.exports = {
+    authenticate,
+    authenticateMfaEnrollment,
+    denyImpersonation,
+    authorize,
+    requirePermission
+};
\ No newline at end of file
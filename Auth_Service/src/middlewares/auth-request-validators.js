@@ -5,6 +5,22 @@
  * preventing unnecessary processing and improving security.
  */
 
+const { AuditEventTypes, AuditOutcomes } = require('../utils/audit-event-types');
+const { MembershipRoles } = require('../utils/membership-roles');
+const { BusinessRequestStatuses } = require('../utils/business-request-statuses');
+const { ErasureRequestStatuses } = require('../utils/erasure-request-statuses');
+const { Roles } = require('../utils/roles');
+const { IMPERSONATION_MAX_MINUTES } = require('../config/serverConfig');
+
+// The fields the admin user listing can be sorted by.
+const USER_SORT_FIELDS = ['id', 'email', 'name', 'status', 'createdAt'];
+
+// Checks an optional query string parameter holding a positive integer, e.g. a page number.
+const isPositiveInteger = (value) => value === undefined || /^[1-9][0-9]*$/.test(value);
+
+// Checks a required token. Arrays and objects are rejected too, as JSON bodies and repeated query parameters can hold them.
+const isToken = (value) => typeof value === 'string' && value.length > 0;
+
 /**
  * Validates that the request body for user authentication (signup/signin)
  * contains both an email and a password.
@@ -28,18 +44,41 @@ const validateUserAuth = (req, res, next) => {
 };
 
 /**
- * Validates that the request body for an admin check contains the user's ID.
+ * Validates the optional business account request of a signup: the only role that can be
+ * requested is AIRLINE_BUSINESS, and it needs the company's name and registration number.
  * @param {object} req - The Express request object.
  * @param {object} res - The Express response object.
  * @param {function} next - The next middleware function in the stack.
  */
-const validateIsAdminRequest = (req, res, next) => {
-    // Check if the user ID is missing from the request body.
-    if (!req.body.id) {
+const validateBusinessSignupRequest = (req, res, next) => {
+    const { requestedRole, company } = req.body;
+    if (requestedRole === undefined) {
+        return next();
+    }
+    if (requestedRole !== Roles.AIRLINE_BUSINESS || !company || !company.name || !company.registrationNumber) {
         return res.status(400).json({
             success: false,
             data: {},
-            err: 'User ID not provided in the request',
+            err: `Only the ${Roles.AIRLINE_BUSINESS} role can be requested, together with the company name and registration number`,
+            message: 'Validation failed'
+        });
+    }
+    next();
+};
+
+/**
+ * Validates that the query string of an authorization check contains the role to check.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const validateAuthorizeRequest = (req, res, next) => {
+    // Check if the role is missing from the query string.
+    if (!req.query.role) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err: 'Role not provided in the query string',
             message: 'Validation failed'
         });
     }
@@ -47,8 +86,555 @@ const validateIsAdminRequest = (req, res, next) => {
     next();
 };
 
+/**
+ * Validates that the query string of a permission check contains the permission to check.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const validatePermissionRequest = (req, res, next) => {
+    if (!req.query.permission) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err: 'Permission not provided in the query string',
+            message: 'Validation failed'
+        });
+    }
+    next();
+};
+
+/**
+ * Validates that the request body for a token refresh contains the refresh token.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const validateRefreshRequest = (req, res, next) => {
+    if (!isToken(req.body.refreshToken)) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err: 'Refresh token not provided in the request',
+            message: 'Validation failed'
+        });
+    }
+    next();
+};
+
+/**
+ * Validates that the request body for granting a role contains the role name.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const validateRoleRequest = (req, res, next) => {
+    if (!req.body.role) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err: 'Role not provided in the request',
+            message: 'Validation failed'
+        });
+    }
+    next();
+};
+
+/**
+ * Validates that the request body for a token introspection contains the token.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const validateIntrospectRequest = (req, res, next) => {
+    if (!isToken(req.body.token)) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err: 'Token not provided in the request',
+            message: 'Validation failed'
+        });
+    }
+    next();
+};
+
+/**
+ * Validates that the request body contains the email of the account
+ * (used by the forgot password and resend verification requests).
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const validateEmailRequest = (req, res, next) => {
+    if (!req.body.email) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err: 'Email not provided in the request',
+            message: 'Validation failed'
+        });
+    }
+    next();
+};
+
+/**
+ * Validates that the request body for a password reset contains the reset token and the new password.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const validateResetPasswordRequest = (req, res, next) => {
+    if (!isToken(req.body.token) || !req.body.password) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err: 'Reset token or new password missing in the request',
+            message: 'Validation failed'
+        });
+    }
+    next();
+};
+
+/**
+ * Validates that the request body for setting up an invited account contains the invite token and the password.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const validateSetupAccountRequest = (req, res, next) => {
+    if (!isToken(req.body.token) || !req.body.password) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err: 'Invite token or password missing in the request',
+            message: 'Validation failed'
+        });
+    }
+    next();
+};
+
+/**
+ * Validates that the query string contains the token from an emailed link
+ * (used by the email verification and email change confirmation requests).
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const validateVerifyEmailRequest = (req, res, next) => {
+    if (!isToken(req.query.token)) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err: 'Verification token not provided in the query string',
+            message: 'Validation failed'
+        });
+    }
+    next();
+};
+
+/**
+ * Validates that the request body for a password change contains the current and the new password.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const validateChangePasswordRequest = (req, res, next) => {
+    if (!req.body.oldPassword || !req.body.newPassword) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err: 'Current or new password missing in the request',
+            message: 'Validation failed'
+        });
+    }
+    next();
+};
+
+/**
+ * Validates that the request body contains a two-factor authentication code.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const validateMfaCodeRequest = (req, res, next) => {
+    if (!req.body.code) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err: 'Code not provided in the request',
+            message: 'Validation failed'
+        });
+    }
+    next();
+};
+
+/**
+ * Validates that the request body for the second sign-in step contains the MFA token and the code.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const validateMfaSignInRequest = (req, res, next) => {
+    if (!isToken(req.body.mfaToken) || !req.body.code) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err: 'MFA token or code missing in the request',
+            message: 'Validation failed'
+        });
+    }
+    next();
+};
+
+/**
+ * Validates that the request body of a step-up sign-in contains the step-up token and the emailed code.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const validateStepUpRequest = (req, res, next) => {
+    if (!isToken(req.body.stepUpToken) || !req.body.code) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err: 'Step-up token or code missing in the request',
+            message: 'Validation failed'
+        });
+    }
+    next();
+};
+
+/**
+ * Validates that the request body of a magic link sign-in contains the token from the link.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const validateMagicLinkRequest = (req, res, next) => {
+    if (!isToken(req.body.token)) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err: 'Sign-in token not provided in the request',
+            message: 'Validation failed'
+        });
+    }
+    next();
+};
+
+/**
+ * Validates the query string of the admin user listing: `page` and `limit` must be
+ * positive integers and `sort` one of the sortable fields, optionally prefixed with '-'.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const validateListUsersRequest = (req, res, next) => {
+    const { page, limit, sort } = req.query;
+    if (!isPositiveInteger(page) || !isPositiveInteger(limit)) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err: 'Page and limit must be positive integers',
+            message: 'Validation failed'
+        });
+    }
+    if (sort !== undefined && !USER_SORT_FIELDS.includes(String(sort).replace(/^-/, ''))) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err: `Sort must be one of ${USER_SORT_FIELDS.join(', ')}, optionally prefixed with '-' for descending order`,
+            message: 'Validation failed'
+        });
+    }
+    next();
+};
+
+/**
+ * Validates that the request body for a new API client contains its name and a non-empty list of scopes,
+ * and that the optional `grantTypes` and `redirectUris` are lists of strings.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const validateClientRequest = (req, res, next) => {
+    const { name, scopes, grantTypes, redirectUris } = req.body;
+    const isListOfStrings = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string');
+    if (!name || !isListOfStrings(scopes) || scopes.length === 0) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err: 'Name or scopes missing in the request, scopes must be a non-empty list of strings',
+            message: 'Validation failed'
+        });
+    }
+    if ((grantTypes !== undefined && !isListOfStrings(grantTypes)) || (redirectUris !== undefined && !isListOfStrings(redirectUris))) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err: 'Grant types and redirect URIs must be lists of strings',
+            message: 'Validation failed'
+        });
+    }
+    next();
+};
+
+/**
+ * Validates that the request body for a new organization contains its name.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const validateOrganizationRequest = (req, res, next) => {
+    if (!req.body.name) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err: 'Name not provided in the request',
+            message: 'Validation failed'
+        });
+    }
+    next();
+};
+
+/**
+ * Validates that the request body for an invitation contains the email to invite,
+ * and that the optional membership `role` is a known one.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const validateInvitationRequest = (req, res, next) => {
+    const { email, role } = req.body;
+    if (!email || (role !== undefined && !Object.values(MembershipRoles).includes(role))) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err: `Email missing in the request or role not one of ${Object.values(MembershipRoles).join(', ')}`,
+            message: 'Validation failed'
+        });
+    }
+    next();
+};
+
+/**
+ * Validates that the request body for accepting an invitation contains the invitation token.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const validateAcceptInvitationRequest = (req, res, next) => {
+    if (!isToken(req.body.token)) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err: 'Invitation token not provided in the request',
+            message: 'Validation failed'
+        });
+    }
+    next();
+};
+
+/**
+ * Validates the query string of the business account review queue: a known `status`,
+ * and positive integers for `page` and `limit`.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const validateBusinessRequestQuery = (req, res, next) => {
+    const { status, page, limit } = req.query;
+    if (status !== undefined && !Object.values(BusinessRequestStatuses).includes(status)) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err: `Status must be one of ${Object.values(BusinessRequestStatuses).join(', ')}`,
+            message: 'Validation failed'
+        });
+    }
+    if (!isPositiveInteger(page) || !isPositiveInteger(limit)) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err: 'Page and limit must be positive integers',
+            message: 'Validation failed'
+        });
+    }
+    next();
+};
+
+/**
+ * Validates that the request body for rejecting a business account request contains the reason,
+ * at most 500 characters long.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const validateRejectionRequest = (req, res, next) => {
+    const { reason } = req.body;
+    if (typeof reason !== 'string' || !reason.trim() || reason.length > 500) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err: 'Reason must be a non-empty text of at most 500 characters',
+            message: 'Validation failed'
+        });
+    }
+    next();
+};
+
+/**
+ * Validates that the request body for erasing the caller's account contains their current password.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const validateErasureRequest = (req, res, next) => {
+    if (!req.body.password) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err: 'Current password not provided in the request',
+            message: 'Validation failed'
+        });
+    }
+    next();
+};
+
+/**
+ * Validates the query string of the admin listing of erasure requests: a known `status`
+ * and positive integers for `page` and `limit`, all optional.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const validateErasureQuery = (req, res, next) => {
+    const { status, page, limit } = req.query;
+    if (status !== undefined && !Object.values(ErasureRequestStatuses).includes(status)) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err: `Status must be one of ${Object.values(ErasureRequestStatuses).join(', ')}`,
+            message: 'Validation failed'
+        });
+    }
+    if (!isPositiveInteger(page) || !isPositiveInteger(limit)) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err: 'Page and limit must be positive integers',
+            message: 'Validation failed'
+        });
+    }
+    next();
+};
+
+/**
+ * Validates that the body of a bulk import is a CSV document, sent with the 'text/csv' content type.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const validateUserImportRequest = (req, res, next) => {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err: 'Send the CSV file as the request body with the content type text/csv',
+            message: 'Validation failed'
+        });
+    }
+    next();
+};
+
+/**
+ * Validates the request body of an impersonation: a non-blank `reason` of at most 500 characters is required,
+ * and `durationMinutes`, if given, must be a positive integer up to IMPERSONATION_MAX_MINUTES.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const validateImpersonationRequest = (req, res, next) => {
+    const { reason, durationMinutes } = req.body;
+    let err;
+    if (typeof reason !== 'string' || !reason.trim() || reason.trim().length > 500) {
+        err = 'Reason must be a non-empty text of at most 500 characters';
+    } else if (!['undefined', 'number', 'string'].includes(typeof durationMinutes) ||
+        !isPositiveInteger(durationMinutes) || durationMinutes > IMPERSONATION_MAX_MINUTES) {
+        err = `Duration must be a whole number of minutes between 1 and ${IMPERSONATION_MAX_MINUTES}`;
+    }
+    if (err) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err,
+            message: 'Validation failed'
+        });
+    }
+    next();
+};
+
+/**
+ * Validates the filters of the audit log query: known `type` and `outcome` values, a numeric
+ * `userId`, dates for `from` and `to`, positive integers for `page` and `limit`, and a `format` of 'json' or 'csv'.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the stack.
+ */
+const validateAuditQueryRequest = (req, res, next) => {
+    const { type, outcome, userId, from, to, page, limit, format } = req.query;
+    const isDate = (value) => value === undefined || !Number.isNaN(Date.parse(value));
+    let err;
+    if (type !== undefined && !Object.values(AuditEventTypes).includes(type)) {
+        err = `Type must be one of ${Object.values(AuditEventTypes).join(', ')}`;
+    } else if (outcome !== undefined && !Object.values(AuditOutcomes).includes(outcome)) {
+        err = `Outcome must be one of ${Object.values(AuditOutcomes).join(', ')}`;
+    } else if (!isPositiveInteger(userId) || !isPositiveInteger(page) || !isPositiveInteger(limit)) {
+        err = 'User ID, page and limit must be positive integers';
+    } else if (!isDate(from) || !isDate(to)) {
+        err = 'From and to must be dates, e.g. 2026-10-19 or 2026-10-19T08:00:00Z';
+    } else if (format !== undefined && !['json', 'csv'].includes(format)) {
+        err = 'Format must be json or csv';
+    }
+    if (err) {
+        return res.status(400).json({
+            success: false,
+            data: {},
+            err,
+            message: 'Validation failed'
+        });
+    }
+    next();
+};
+
 // Export the validator functions to be used in the route definitions.
 module.exports = {
     validateUserAuth,
-    validateIsAdminRequest
+    validateBusinessSignupRequest,
+    validateAuthorizeRequest,
+    validatePermissionRequest,
+    validateRefreshRequest,
+    validateRoleRequest,
+    validateIntrospectRequest,
+    validateEmailRequest,
+    validateResetPasswordRequest,
+    validateSetupAccountRequest,
+    validateVerifyEmailRequest,
+    validateChangePasswordRequest,
+    validateMfaCodeRequest,
+    validateMfaSignInRequest,
+    validateStepUpRequest,
+    validateMagicLinkRequest,
+    validateListUsersRequest,
+    validateClientRequest,
+    validateOrganizationRequest,
+    validateInvitationRequest,
+    validateAcceptInvitationRequest,
+    validateBusinessRequestQuery,
+    validateRejectionRequest,
+    validateImpersonationRequest,
+    validateUserImportRequest,
+    validateErasureRequest,
+    validateErasureQuery,
+    validateAuditQueryRequest
 };
\ No newline at end of file
@@ -4,5 +4,6 @@
  * such as the route definitions, by providing a single point of access.
  */
 module.exports = {
-    AuthRequestValidators: require('./auth-request-validators')
+    AuthRequestValidators: require('./auth-request-validators'),
+    AuthMiddlewares: require('./auth-middlewares')
 };
\ No newline at end of file
@@ -0,0 +1,15 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('Users', 'emailVerifiedAt', {
+      type: Sequelize.DATE
+    });
+    // Accounts created before email verification existed are treated as verified,
+    // otherwise none of them could sign in any more.
+    await queryInterface.bulkUpdate('Users', { emailVerifiedAt: new Date() }, {});
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Users', 'emailVerifiedAt');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,47 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('LoginThrottles', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      scope: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      key: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      failedCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      lastFailedAt: {
+        type: Sequelize.DATE
+      },
+      lockedUntil: {
+        type: Sequelize.DATE
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    await queryInterface.addIndex('LoginThrottles', ['scope', 'key'], {
+      unique: true
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('LoginThrottles');
+  }
+};
\ No newline at end of file
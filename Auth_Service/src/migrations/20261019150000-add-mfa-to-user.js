@@ -0,0 +1,20 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('Users', 'mfaSecret', {
+      type: Sequelize.STRING
+    });
+    await queryInterface.addColumn('Users', 'mfaEnabledAt', {
+      type: Sequelize.DATE
+    });
+    await queryInterface.addColumn('Users', 'mfaLastCounter', {
+      type: Sequelize.INTEGER
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Users', 'mfaLastCounter');
+    await queryInterface.removeColumn('Users', 'mfaEnabledAt');
+    await queryInterface.removeColumn('Users', 'mfaSecret');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,36 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('Users', 'pendingEmail', {
+      type: Sequelize.STRING
+    });
+    await queryInterface.addColumn('Users', 'name', {
+      type: Sequelize.STRING
+    });
+    await queryInterface.addColumn('Users', 'phone', {
+      type: Sequelize.STRING
+    });
+    await queryInterface.addColumn('Users', 'dateOfBirth', {
+      type: Sequelize.DATEONLY
+    });
+    await queryInterface.addColumn('Users', 'nationality', {
+      type: Sequelize.STRING(2)
+    });
+    await queryInterface.addColumn('Users', 'homeAirport', {
+      type: Sequelize.STRING(3)
+    });
+    await queryInterface.addColumn('Users', 'preferredCurrency', {
+      type: Sequelize.STRING(3)
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Users', 'preferredCurrency');
+    await queryInterface.removeColumn('Users', 'homeAirport');
+    await queryInterface.removeColumn('Users', 'nationality');
+    await queryInterface.removeColumn('Users', 'dateOfBirth');
+    await queryInterface.removeColumn('Users', 'phone');
+    await queryInterface.removeColumn('Users', 'name');
+    await queryInterface.removeColumn('Users', 'pendingEmail');
+  }
+};
\ No newline at end of file
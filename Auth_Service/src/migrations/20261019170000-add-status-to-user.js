@@ -0,0 +1,14 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('Users', 'status', {
+      type: Sequelize.STRING,
+      allowNull: false,
+      defaultValue: 'ACTIVE'
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Users', 'status');
+  }
+};
\ No newline at end of file
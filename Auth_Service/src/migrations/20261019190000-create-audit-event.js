@@ -0,0 +1,54 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('AuditEvents', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      type: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      outcome: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        onDelete: 'SET NULL',
+        references: {
+          model: 'Users',
+          key: 'id'
+        }
+      },
+      email: {
+        type: Sequelize.STRING
+      },
+      actorId: {
+        type: Sequelize.INTEGER
+      },
+      ip: {
+        type: Sequelize.STRING
+      },
+      userAgent: {
+        type: Sequelize.STRING(500)
+      },
+      details: {
+        type: Sequelize.JSON
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    await queryInterface.addIndex('AuditEvents', ['type', 'createdAt']);
+    await queryInterface.addIndex('AuditEvents', ['userId', 'createdAt']);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('AuditEvents');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,65 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Sessions', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        onDelete: 'CASCADE',
+        references: {
+          model: 'Users',
+          key: 'id'
+        }
+      },
+      deviceLabel: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      ip: {
+        type: Sequelize.STRING
+      },
+      userAgent: {
+        type: Sequelize.STRING(500)
+      },
+      lastUsedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      revokedAt: {
+        type: Sequelize.DATE
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    // Tokens issued before sessions existed keep a null session and start one on their next refresh.
+    await queryInterface.addColumn('RefreshTokens', 'sessionId', {
+      type: Sequelize.INTEGER,
+      onDelete: 'CASCADE',
+      references: {
+        model: 'Sessions',
+        key: 'id'
+      }
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('RefreshTokens', 'sessionId');
+    await queryInterface.dropTable('Sessions');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,30 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Existing clients keep using the client credentials grant only.
+    await queryInterface.addColumn('ApiClients', 'grantTypes', {
+      type: Sequelize.STRING,
+      allowNull: false,
+      defaultValue: 'client_credentials'
+    });
+    await queryInterface.addColumn('ApiClients', 'redirectUris', {
+      type: Sequelize.STRING(2000),
+      allowNull: false,
+      defaultValue: ''
+    });
+    // Sessions a user started by authorizing a third-party app, and the scopes they granted it.
+    await queryInterface.addColumn('Sessions', 'clientId', {
+      type: Sequelize.STRING
+    });
+    await queryInterface.addColumn('Sessions', 'scope', {
+      type: Sequelize.STRING(1000)
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Sessions', 'scope');
+    await queryInterface.removeColumn('Sessions', 'clientId');
+    await queryInterface.removeColumn('ApiClients', 'redirectUris');
+    await queryInterface.removeColumn('ApiClients', 'grantTypes');
+  }
+};
\ No newline at end of file
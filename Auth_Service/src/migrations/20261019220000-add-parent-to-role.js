@@ -0,0 +1,18 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // The role whose permissions a role inherits, e.g. ADMIN inherits from AIRLINE_BUSINESS.
+    await queryInterface.addColumn('Roles', 'parentId', {
+      type: Sequelize.INTEGER,
+      onDelete: 'SET NULL',
+      references: {
+        model: 'Roles',
+        key: 'id'
+      }
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Roles', 'parentId');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,68 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('BusinessAccountRequests', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        onDelete: 'CASCADE',
+        references: {
+          model: 'Users',
+          key: 'id'
+        }
+      },
+      companyName: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      registrationNumber: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      iataCode: {
+        type: Sequelize.STRING(2)
+      },
+      website: {
+        type: Sequelize.STRING
+      },
+      status: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: 'PENDING'
+      },
+      reviewedById: {
+        type: Sequelize.INTEGER,
+        onDelete: 'SET NULL',
+        references: {
+          model: 'Users',
+          key: 'id'
+        }
+      },
+      reviewedAt: {
+        type: Sequelize.DATE
+      },
+      rejectionReason: {
+        type: Sequelize.STRING(500)
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    await queryInterface.addIndex('BusinessAccountRequests', ['status', 'createdAt']);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('BusinessAccountRequests');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,59 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('ErasureRequests', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        onDelete: 'CASCADE',
+        references: {
+          model: 'Users',
+          key: 'id'
+        }
+      },
+      status: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: 'PENDING'
+      },
+      scheduledFor: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      cancelledAt: {
+        type: Sequelize.DATE
+      },
+      processedById: {
+        type: Sequelize.INTEGER,
+        onDelete: 'SET NULL',
+        references: {
+          model: 'Users',
+          key: 'id'
+        }
+      },
+      processedAt: {
+        type: Sequelize.DATE
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    await queryInterface.addIndex('ErasureRequests', ['status', 'scheduledFor']);
+    await queryInterface.addIndex('ErasureRequests', ['userId']);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('ErasureRequests');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,117 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+const { GrantTypes } = require('../utils/grant-types');
+
+// Redirect URIs must use HTTPS, except on the local machine where a fake client can listen on plain HTTP.
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+module.exports = (sequelize, DataTypes) => {
+  class ApiClient extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+    }
+  }
+  ApiClient.init({
+    // The public identifier the client authenticates with, e.g. 'client_3f9a0c1d2b4e5f60'.
+    clientId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        len: [1, 100]
+      }
+    },
+    // Only the SHA-256 digest of the client secret is stored, never the secret itself.
+    secretHash: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // The scopes the client may request, stored space separated as in OAuth and read as an array.
+    scopes: {
+      type: DataTypes.STRING(1000),
+      allowNull: false,
+      get() {
+        const scopes = this.getDataValue('scopes');
+        return scopes ? scopes.split(' ') : [];
+      },
+      set(scopes) {
+        this.setDataValue('scopes', scopes.join(' '));
+      },
+      validate: {
+        is: {
+          args: /^[a-z][a-z0-9:._-]*( [a-z][a-z0-9:._-]*)*$/,
+          msg: 'Scopes must be lower-case names made of letters, digits and the characters : . _ -'
+        }
+      }
+    },
+    // The grant types the client may use, stored space separated and read as an array.
+    grantTypes: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: GrantTypes.CLIENT_CREDENTIALS,
+      get() {
+        const grantTypes = this.getDataValue('grantTypes');
+        return grantTypes ? grantTypes.split(' ') : [];
+      },
+      set(grantTypes) {
+        this.setDataValue('grantTypes', grantTypes.join(' '));
+      },
+      validate: {
+        areKnownGrantTypes(value) {
+          const grantTypes = value ? value.split(' ') : [];
+          if (grantTypes.length === 0 || grantTypes.some((grantType) => !Object.values(GrantTypes).includes(grantType))) {
+            throw new Error(`Grant types must be some of ${Object.values(GrantTypes).join(', ')}`);
+          }
+        }
+      }
+    },
+    // The URIs users may be sent back to after the authorization code flow, matched exactly.
+    // Stored space separated and read as an array.
+    redirectUris: {
+      type: DataTypes.STRING(2000),
+      allowNull: false,
+      defaultValue: '',
+      get() {
+        const redirectUris = this.getDataValue('redirectUris');
+        return redirectUris ? redirectUris.split(' ') : [];
+      },
+      set(redirectUris) {
+        this.setDataValue('redirectUris', redirectUris.join(' '));
+      },
+      validate: {
+        areValidRedirectUris(value) {
+          (value ? value.split(' ') : []).forEach((redirectUri) => {
+            let url;
+            try {
+              url = new URL(redirectUri);
+            } catch (error) {
+              throw new Error(`Redirect URI ${redirectUri} is not a valid URL`);
+            }
+            const secure = url.protocol === 'https:' || (url.protocol === 'http:' && LOCAL_HOSTS.includes(url.hostname));
+            if (!secure || url.hash) {
+              throw new Error(`Redirect URI ${redirectUri} must use HTTPS (or HTTP on localhost) and have no fragment`);
+            }
+          });
+        }
+      }
+    },
+    // Revoked clients can no longer obtain tokens.
+    revokedAt: {
+      type: DataTypes.DATE
+    }
+  }, {
+    sequelize,
+    modelName: 'ApiClient',
+  });
+  return ApiClient;
+};
\ No newline at end of file
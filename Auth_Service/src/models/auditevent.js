@@ -0,0 +1,64 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class AuditEvent extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+      // Events outlive the users they are about, so deleting a user only clears the reference.
+      this.belongsTo(models.User, {
+        foreignKey: 'userId',
+        onDelete: 'SET NULL'
+      })
+    }
+  }
+  AuditEvent.init({
+    // One of the `AuditEventTypes`.
+    type: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // One of the `AuditOutcomes`.
+    outcome: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // The user the event is about; null if no account matched, e.g. a sign-in with an unknown email.
+    userId: {
+      type: DataTypes.INTEGER
+    },
+    // The email as it was at the time of the event, kept after the user is deleted.
+    email: {
+      type: DataTypes.STRING
+    },
+    // The user who performed the action when it was not the user themselves, e.g. the admin granting a role.
+    actorId: {
+      type: DataTypes.INTEGER
+    },
+    ip: {
+      type: DataTypes.STRING
+    },
+    userAgent: {
+      type: DataTypes.STRING(500)
+    },
+    // Event specific information, e.g. the role that was granted or why a sign-in failed.
+    details: {
+      type: DataTypes.JSON
+    }
+  }, {
+    sequelize,
+    modelName: 'AuditEvent',
+    updatedAt: false,
+    indexes: [
+      { fields: ['type', 'createdAt'] },
+      { fields: ['userId', 'createdAt'] }
+    ]
+  });
+  return AuditEvent;
+};
\ No newline at end of file
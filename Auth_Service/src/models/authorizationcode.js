@@ -0,0 +1,67 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class AuthorizationCode extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+      this.belongsTo(models.User, {
+        foreignKey: 'userId',
+        onDelete: 'CASCADE'
+      })
+    }
+  }
+  AuthorizationCode.init({
+    // Only the SHA-256 digest of the code is stored, never the code itself.
+    codeHash: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    // The client the code was issued to and the user who authorized it.
+    clientId: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // The redirect URI of the authorization request; the token request must repeat it.
+    redirectUri: {
+      type: DataTypes.STRING(500),
+      allowNull: false
+    },
+    // The scopes the user granted, space separated.
+    scope: {
+      type: DataTypes.STRING(1000),
+      allowNull: false
+    },
+    // The PKCE code challenge (RFC 7636). Only the 'S256' method is supported.
+    codeChallenge: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    usedAt: {
+      type: DataTypes.DATE
+    },
+    // The session started by exchanging the code, ended if the code is ever presented again.
+    sessionId: {
+      type: DataTypes.INTEGER
+    }
+  }, {
+    sequelize,
+    modelName: 'AuthorizationCode',
+  });
+  return AuthorizationCode;
+};
\ No newline at end of file
@@ -0,0 +1,90 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+const { BusinessRequestStatuses } = require('../utils/business-request-statuses');
+module.exports = (sequelize, DataTypes) => {
+  class BusinessAccountRequest extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+      this.belongsTo(models.User, {
+        foreignKey: 'userId',
+        onDelete: 'CASCADE'
+      })
+    }
+  }
+  BusinessAccountRequest.init({
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // The company details the admins review the request against.
+    companyName: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        len: {
+          args: [1, 100],
+          msg: 'Company name must be between 1 and 100 characters'
+        }
+      }
+    },
+    // The number the company is registered under with the authorities.
+    registrationNumber: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      validate: {
+        len: {
+          args: [1, 50],
+          msg: 'Registration number must be between 1 and 50 characters'
+        }
+      }
+    },
+    // The two-character IATA designator of the airline, e.g. 'AI'.
+    iataCode: {
+      type: DataTypes.STRING(2),
+      validate: {
+        is: {
+          args: /^[A-Z0-9]{2}$/,
+          msg: 'IATA code must be two upper-case letters or digits'
+        }
+      }
+    },
+    website: {
+      type: DataTypes.STRING,
+      validate: {
+        isUrl: {
+          msg: 'Website must be a valid URL'
+        }
+      }
+    },
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: BusinessRequestStatuses.PENDING,
+      validate: {
+        isIn: [Object.values(BusinessRequestStatuses)]
+      }
+    },
+    // The admin who approved or rejected the request, and when.
+    reviewedById: {
+      type: DataTypes.INTEGER
+    },
+    reviewedAt: {
+      type: DataTypes.DATE
+    },
+    // Shown to the user when the request is rejected.
+    rejectionReason: {
+      type: DataTypes.STRING(500)
+    }
+  }, {
+    sequelize,
+    modelName: 'BusinessAccountRequest',
+  });
+  return BusinessAccountRequest;
+};
\ No newline at end of file
@@ -0,0 +1,58 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+const { ErasureRequestStatuses } = require('../utils/erasure-request-statuses');
+module.exports = (sequelize, DataTypes) => {
+  class ErasureRequest extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+      this.belongsTo(models.User, {
+        foreignKey: 'userId',
+        onDelete: 'CASCADE'
+      })
+    }
+  }
+  ErasureRequest.init({
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: ErasureRequestStatuses.PENDING,
+      validate: {
+        isIn: [Object.values(ErasureRequestStatuses)]
+      }
+    },
+    // The end of the grace period; until then the user can cancel the request and keep the account.
+    scheduledFor: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    cancelledAt: {
+      type: DataTypes.DATE
+    },
+    // The admin who processed the request, and when.
+    processedById: {
+      type: DataTypes.INTEGER
+    },
+    processedAt: {
+      type: DataTypes.DATE
+    }
+  }, {
+    sequelize,
+    modelName: 'ErasureRequest',
+    indexes: [
+      { fields: ['status', 'scheduledFor'] },
+      { fields: ['userId'] }
+    ]
+  });
+  return ErasureRequest;
+};
\ No newline at end of file
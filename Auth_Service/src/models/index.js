@@ -6,7 +6,8 @@ const Sequelize = require('sequelize');
 const process = require('process');
 const basename = path.basename(__filename);
 const env = process.env.NODE_ENV || 'development';
-const config = require(__dirname + '/../config/config.json')[env];
+// DB_CONFIG_FILE points at another config file, e.g. the in-memory database of the tests.
+const config = require(process.env.DB_CONFIG_FILE || __dirname + '/../config/config.json')[env];
 const db = {};
 
 let sequelize;
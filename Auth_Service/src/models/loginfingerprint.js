@@ -0,0 +1,62 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class LoginFingerprint extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+      this.belongsTo(models.User, {
+        foreignKey: 'userId',
+        onDelete: 'CASCADE'
+      })
+    }
+  }
+  LoginFingerprint.init({
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // The SHA-256 hash of the user-agent, identifying the device the user signed in with.
+    deviceHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    ip: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // A name for the device shown to the user, e.g. 'Chrome on Windows'.
+    deviceLabel: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Where the IP address was located at the time, if a GeoIP locator is configured.
+    country: {
+      type: DataTypes.STRING(2)
+    },
+    latitude: {
+      type: DataTypes.FLOAT
+    },
+    longitude: {
+      type: DataTypes.FLOAT
+    },
+    // The last successful sign-in from this device and IP address.
+    lastSeenAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'LoginFingerprint',
+    indexes: [
+      { unique: true, fields: ['userId', 'deviceHash', 'ip'] }
+    ]
+  });
+  return LoginFingerprint;
+};
\ No newline at end of file
@@ -0,0 +1,49 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class LoginThrottle extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+    }
+  }
+  LoginThrottle.init({
+    // Either 'email' or 'ip'; failed sign-in attempts are tracked for both.
+    scope: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // The normalised email or the IP address the attempts came from.
+    key: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    failedCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    lastFailedAt: {
+      type: DataTypes.DATE
+    },
+    lockedUntil: {
+      type: DataTypes.DATE
+    }
+  }, {
+    sequelize,
+    modelName: 'LoginThrottle',
+    indexes: [
+      {
+        unique: true,
+        fields: ['scope', 'key']
+      }
+    ]
+  });
+  return LoginThrottle;
+};
\ No newline at end of file
@@ -0,0 +1,49 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class Organization extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+      this.hasMany(models.OrganizationMembership, {
+        foreignKey: 'organizationId'
+      })
+      this.hasMany(models.OrganizationInvitation, {
+        foreignKey: 'organizationId'
+      })
+    }
+  }
+  Organization.init({
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        len: {
+          args: [1, 100],
+          msg: 'Name must be between 1 and 100 characters'
+        }
+      }
+    },
+    // The two-character IATA designator of the airline, e.g. 'AI'.
+    iataCode: {
+      type: DataTypes.STRING(2),
+      unique: true,
+      validate: {
+        is: {
+          args: /^[A-Z0-9]{2}$/,
+          msg: 'IATA code must be two upper-case letters or digits'
+        }
+      }
+    }
+  }, {
+    sequelize,
+    modelName: 'Organization',
+  });
+  return Organization;
+};
\ No newline at end of file
@@ -0,0 +1,68 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+const { MembershipRoles } = require('../utils/membership-roles');
+module.exports = (sequelize, DataTypes) => {
+  class OrganizationInvitation extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+      this.belongsTo(models.Organization, {
+        foreignKey: 'organizationId',
+        onDelete: 'CASCADE'
+      })
+    }
+  }
+  OrganizationInvitation.init({
+    organizationId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // Only the user signed in with this email can accept the invitation.
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isEmail: {
+          msg: 'Email must be a valid email address'
+        }
+      }
+    },
+    // The membership role the invitee gets on accepting.
+    role: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isIn: [Object.values(MembershipRoles)]
+      }
+    },
+    // Only the SHA-256 digest of the invitation token is stored, never the token itself.
+    tokenHash: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    invitedById: {
+      type: DataTypes.INTEGER
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    acceptedAt: {
+      type: DataTypes.DATE
+    },
+    revokedAt: {
+      type: DataTypes.DATE
+    }
+  }, {
+    sequelize,
+    modelName: 'OrganizationInvitation',
+  });
+  return OrganizationInvitation;
+};
\ No newline at end of file
@@ -0,0 +1,48 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+const { MembershipRoles } = require('../utils/membership-roles');
+module.exports = (sequelize, DataTypes) => {
+  class OrganizationMembership extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+      this.belongsTo(models.Organization, {
+        foreignKey: 'organizationId',
+        onDelete: 'CASCADE'
+      })
+      this.belongsTo(models.User, {
+        foreignKey: 'userId',
+        onDelete: 'CASCADE'
+      })
+    }
+  }
+  OrganizationMembership.init({
+    organizationId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // A user belongs to at most one organization, whose ID is embedded in their access tokens.
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true
+    },
+    role: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isIn: [Object.values(MembershipRoles)]
+      }
+    }
+  }, {
+    sequelize,
+    modelName: 'OrganizationMembership',
+  });
+  return OrganizationMembership;
+};
\ No newline at end of file
@@ -0,0 +1,34 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class Permission extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+      this.belongsToMany(models.Role, {
+        through: 'Role_Permissions'
+      })
+    }
+  }
+  Permission.init({
+    // Named '<resource>:<action>', e.g. 'flights:write', and embedded in the `scope` of access tokens.
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    description: {
+      type: DataTypes.STRING
+    }
+  }, {
+    sequelize,
+    modelName: 'Permission',
+  });
+  return Permission;
+};
\ No newline at end of file
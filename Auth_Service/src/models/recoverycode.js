@@ -0,0 +1,38 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class RecoveryCode extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+      this.belongsTo(models.User, {
+        foreignKey: 'userId',
+        onDelete: 'CASCADE'
+      })
+    }
+  }
+  RecoveryCode.init({
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // Only the SHA-256 digest of the recovery code is stored, never the code itself.
+    codeHash: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    usedAt: {
+      type: DataTypes.DATE
+    }
+  }, {
+    sequelize,
+    modelName: 'RecoveryCode',
+  });
+  return RecoveryCode;
+};
\ No newline at end of file
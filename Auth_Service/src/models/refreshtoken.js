@@ -0,0 +1,57 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class RefreshToken extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+      this.belongsTo(models.User, {
+        foreignKey: 'userId',
+        onDelete: 'CASCADE'
+      })
+      this.belongsTo(models.Session, {
+        foreignKey: 'sessionId',
+        onDelete: 'CASCADE'
+      })
+    }
+  }
+  RefreshToken.init({
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // The session the token pair belongs to. Null for tokens issued before sessions were tracked.
+    sessionId: {
+      type: DataTypes.INTEGER
+    },
+    // Only the SHA-256 digest of the refresh token is stored, never the token itself.
+    tokenHash: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    // The `jti` of the access token issued together with this refresh token.
+    jti: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    revokedAt: {
+      type: DataTypes.DATE
+    }
+  }, {
+    sequelize,
+    modelName: 'RefreshToken',
+  });
+  return RefreshToken;
+};
\ No newline at end of file
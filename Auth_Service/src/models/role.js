@@ -14,12 +14,23 @@ module.exports = (sequelize, DataTypes) => {
       this.belongsToMany(models.User, {
         through: 'User_Roles'
       })
+      this.belongsToMany(models.Permission, {
+        through: 'Role_Permissions'
+      })
+      this.belongsTo(models.Role, {
+        as: 'parent',
+        foreignKey: 'parentId'
+      })
     }
   }
   Role.init({
     name: {
       type: DataTypes.STRING,
       allowNull: false
+    },
+    // The role whose permissions this role inherits, e.g. ADMIN inherits from AIRLINE_BUSINESS.
+    parentId: {
+      type: DataTypes.INTEGER
     }
   }, {
     sequelize,
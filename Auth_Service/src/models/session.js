@@ -0,0 +1,65 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class Session extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+      this.belongsTo(models.User, {
+        foreignKey: 'userId',
+        onDelete: 'CASCADE'
+      })
+      // Every token pair issued for the session, from the sign-in through each refresh.
+      this.hasMany(models.RefreshToken, {
+        foreignKey: 'sessionId'
+      })
+    }
+  }
+  Session.init({
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // A name for the device shown to the user, e.g. 'Chrome on Windows'.
+    deviceLabel: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // The IP address and user-agent the session was last used from.
+    ip: {
+      type: DataTypes.STRING
+    },
+    userAgent: {
+      type: DataTypes.STRING(500)
+    },
+    // Set for sessions of a third-party app the user authorized, with the scopes they granted it (space separated).
+    clientId: {
+      type: DataTypes.STRING
+    },
+    scope: {
+      type: DataTypes.STRING(1000)
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    // When the newest refresh token of the session expires; the session ends with it.
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    revokedAt: {
+      type: DataTypes.DATE
+    }
+  }, {
+    sequelize,
+    modelName: 'Session',
+  });
+  return Session;
+};
\ No newline at end of file
@@ -4,7 +4,8 @@ const {
 } = require('sequelize');
 const bcrypt = require('bcrypt');
 
-const { SALT } = require('../config/serverConfig');
+const { SALT_ROUNDS } = require('../config/serverConfig');
+const { UserStatuses } = require('../utils/user-statuses');
 module.exports = (sequelize, DataTypes) => {
   class User extends Model {
     /**
@@ -17,6 +18,30 @@ module.exports = (sequelize, DataTypes) => {
       this.belongsToMany(models.Role, {
         through: 'User_Roles',
       })
+      this.hasMany(models.RefreshToken, {
+        foreignKey: 'userId'
+      })
+      this.hasMany(models.UserToken, {
+        foreignKey: 'userId'
+      })
+      this.hasMany(models.RecoveryCode, {
+        foreignKey: 'userId'
+      })
+      this.hasMany(models.Session, {
+        foreignKey: 'userId'
+      })
+      this.hasOne(models.OrganizationMembership, {
+        foreignKey: 'userId'
+      })
+      this.hasMany(models.BusinessAccountRequest, {
+        foreignKey: 'userId'
+      })
+      this.hasMany(models.ErasureRequest, {
+        foreignKey: 'userId'
+      })
+      this.hasMany(models.LoginFingerprint, {
+        foreignKey: 'userId'
+      })
     }
   }
   User.init({
@@ -34,14 +59,106 @@ module.exports = (sequelize, DataTypes) => {
       validate: {
         len: [3, 100]
       }
+    },
+    // Deactivated users can neither sign in nor use tokens issued before the deactivation.
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: UserStatuses.ACTIVE,
+      validate: {
+        isIn: [Object.values(UserStatuses)]
+      }
+    },
+    // Null until the user confirms their email through the verification link.
+    emailVerifiedAt: {
+      type: DataTypes.DATE
+    },
+    // A requested new email; it replaces `email` once confirmed through the link sent to it.
+    pendingEmail: {
+      type: DataTypes.STRING,
+      validate: {
+        isEmail: true
+      }
+    },
+    name: {
+      type: DataTypes.STRING,
+      validate: {
+        len: [1, 100]
+      }
+    },
+    phone: {
+      type: DataTypes.STRING,
+      validate: {
+        is: {
+          args: /^\+?[0-9 ()-]{7,20}$/,
+          msg: 'Phone must be a valid phone number'
+        }
+      }
+    },
+    dateOfBirth: {
+      type: DataTypes.DATEONLY,
+      validate: {
+        isDate: true,
+        isInThePast(value) {
+          if (new Date(value) >= new Date()) {
+            throw new Error('Date of birth must be in the past');
+          }
+        }
+      }
+    },
+    // ISO 3166-1 alpha-2 country code, e.g. 'IN'.
+    nationality: {
+      type: DataTypes.STRING(2),
+      validate: {
+        is: {
+          args: /^[A-Z]{2}$/,
+          msg: 'Nationality must be a two-letter country code'
+        }
+      }
+    },
+    // IATA airport code, e.g. 'DEL'.
+    homeAirport: {
+      type: DataTypes.STRING(3),
+      validate: {
+        is: {
+          args: /^[A-Z]{3}$/,
+          msg: 'Home airport must be a three-letter IATA code'
+        }
+      }
+    },
+    // ISO 4217 currency code, e.g. 'INR'.
+    preferredCurrency: {
+      type: DataTypes.STRING(3),
+      validate: {
+        is: {
+          args: /^[A-Z]{3}$/,
+          msg: 'Preferred currency must be a three-letter currency code'
+        }
+      }
+    },
+    // The TOTP secret. It is set on enrollment but only enforced once `mfaEnabledAt` is set.
+    mfaSecret: {
+      type: DataTypes.STRING
+    },
+    mfaEnabledAt: {
+      type: DataTypes.DATE
+    },
+    // The time step of the last accepted TOTP code, so the same code cannot be used twice.
+    mfaLastCounter: {
+      type: DataTypes.INTEGER
     }
   }, {
     sequelize,
     modelName: 'User',
   });
 
-  User.beforeCreate((user) => {
-    const encryptedPassword = bcrypt.hashSync(user.password, SALT);
+  // `beforeSave` runs on both create and update, so a changed password is never stored in plain text.
+  User.beforeSave((user) => {
+    if (!user.changed('password')) {
+      return;
+    }
+    // Passing the cost factor (instead of a pre-generated salt) makes bcrypt generate a fresh salt per hash.
+    const encryptedPassword = bcrypt.hashSync(user.password, SALT_ROUNDS);
     user.password = encryptedPassword;
   });
   return User;
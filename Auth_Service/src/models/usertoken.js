@@ -0,0 +1,49 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class UserToken extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+      this.belongsTo(models.User, {
+        foreignKey: 'userId',
+        onDelete: 'CASCADE'
+      })
+    }
+  }
+  UserToken.init({
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // What the token may be used for, one of the values in `utils/token-purposes`.
+    purpose: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Only the SHA-256 digest of the token is stored, never the token itself.
+    tokenHash: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    // Set once the token has been used (or superseded), which makes it single-use.
+    usedAt: {
+      type: DataTypes.DATE
+    }
+  }, {
+    sequelize,
+    modelName: 'UserToken',
+  });
+  return UserToken;
+};
\ No newline at end of file
@@ -0,0 +1,86 @@
+/**
+ * This file defines the data access layer for API clients, the non-human callers
+ * that authenticate with a client ID and secret.
+ */
+const { ApiClient } = require('../models/index');
+const ValidationError = require('../utils/validation-error');
+
+// The attributes of a client that may be shown to admins. The secret hash is never part of it.
+const CLIENT_ATTRIBUTES = ['clientId', 'name', 'scopes', 'grantTypes', 'redirectUris', 'revokedAt', 'createdAt', 'updatedAt'];
+
+/**
+ * ApiClientRepository class encapsulates all database logic for the ApiClient model.
+ */
+class ApiClientRepository {
+
+    /**
+     * Registers a new API client.
+     * @param {object} data - An object containing clientId, name, secretHash, scopes, grantTypes and redirectUris.
+     * @returns {object} The created client.
+     * @throws {ValidationError} If the name or scopes fail the model validation.
+     */
+    async create(data) {
+        try {
+            const client = await ApiClient.create(data);
+            return client;
+        } catch (error) {
+            if(error.name == 'SequelizeValidationError') {
+                throw new ValidationError(error);
+            }
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves a client by its client ID, including the secret hash.
+     * @param {string} clientId - The client ID.
+     * @returns {object} The client, or null if not found.
+     */
+    async getByClientId(clientId) {
+        try {
+            const client = await ApiClient.findOne({ where: { clientId } });
+            return client;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves every registered client, newest first.
+     * @returns {Array} A list of clients without their secret hashes.
+     */
+    async getAll() {
+        try {
+            const clients = await ApiClient.findAll({
+                attributes: CLIENT_ATTRIBUTES,
+                order: [['createdAt', 'DESC'], ['id', 'DESC']]
+            });
+            return clients;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Updates a client.
+     * @param {string} clientId - The client ID.
+     * @param {object} data - The attributes to update, e.g. `secretHash` or `revokedAt`.
+     * @returns {boolean} True if the client was updated.
+     */
+    async update(clientId, data) {
+        try {
+            await ApiClient.update(data, {
+                where: { clientId }
+            });
+            return true;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+}
+
+module.exports = ApiClientRepository;
\ No newline at end of file
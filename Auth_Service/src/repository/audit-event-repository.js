@@ -0,0 +1,68 @@
+/**
+ * This file defines the data access layer for the audit log.
+ * Events are only ever added and queried, never changed.
+ */
+const { Op } = require('sequelize');
+const { AuditEvent } = require('../models/index');
+
+/**
+ * AuditEventRepository class encapsulates all database logic for the AuditEvent model.
+ */
+class AuditEventRepository {
+
+    /**
+     * Stores an audit event.
+     * @param {object} data - An object containing type, outcome and optionally userId, email, actorId, ip, userAgent and details.
+     * @returns {object} The created event.
+     */
+    async create(data) {
+        try {
+            const event = await AuditEvent.create(data);
+            return event;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Searches the audit log, newest events first.
+     * @param {object} filters - The search criteria. Every given criterion must match.
+     * @param {string} [filters.type] - The event type.
+     * @param {string} [filters.outcome] - The outcome.
+     * @param {number} [filters.userId] - The user the events are about.
+     * @param {string} [filters.email] - The email the events are about.
+     * @param {string} [filters.ip] - The IP address the events came from.
+     * @param {Date} [filters.from] - Only events at or after this time.
+     * @param {Date} [filters.to] - Only events before this time.
+     * @param {number} offset - The number of matching events to skip.
+     * @param {number} limit - The maximum number of events to return.
+     * @returns {object} An object with the `count` of all matching events and the `rows` of the page.
+     */
+    async search({ type, outcome, userId, email, ip, from, to }, offset, limit) {
+        try {
+            const where = {};
+            Object.entries({ type, outcome, userId, email, ip })
+                .filter(([, value]) => value !== undefined)
+                .forEach(([field, value]) => { where[field] = value; });
+            if (from || to) {
+                where.createdAt = {
+                    ...(from && { [Op.gte]: from }),
+                    ...(to && { [Op.lt]: to })
+                };
+            }
+            const { count, rows } = await AuditEvent.findAndCountAll({
+                where,
+                order: [['createdAt', 'DESC'], ['id', 'DESC']],
+                offset,
+                limit
+            });
+            return { count, rows };
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+}
+
+module.exports = AuditEventRepository;
\ No newline at end of file
@@ -0,0 +1,83 @@
+/**
+ * This file defines the data access layer for OAuth 2.0 authorization codes.
+ */
+const { Op } = require('sequelize');
+const { AuthorizationCode } = require('../models/index');
+
+/**
+ * AuthorizationCodeRepository class encapsulates all database logic for the AuthorizationCode model.
+ */
+class AuthorizationCodeRepository {
+
+    /**
+     * Stores a newly issued authorization code.
+     * @param {object} data - An object containing codeHash, clientId, userId, redirectUri, scope, codeChallenge and expiresAt.
+     * @returns {object} The created code record.
+     */
+    async create(data) {
+        try {
+            const authorizationCode = await AuthorizationCode.create(data);
+            return authorizationCode;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves a code by its hash, whether or not it is still usable.
+     * @param {string} codeHash - The SHA-256 digest of the code.
+     * @returns {object} The code record, or null if not found.
+     */
+    async getByHash(codeHash) {
+        try {
+            const authorizationCode = await AuthorizationCode.findOne({ where: { codeHash } });
+            return authorizationCode;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Marks an unused, unexpired code as used. The update only succeeds for the first caller,
+     * so a code can never be exchanged twice, even by concurrent requests.
+     * @param {number} id - The ID of the code record.
+     * @returns {boolean} True if this caller used up the code.
+     */
+    async consume(id) {
+        try {
+            const [affectedRows] = await AuthorizationCode.update({ usedAt: new Date() }, {
+                where: {
+                    id,
+                    usedAt: null,
+                    expiresAt: { [Op.gt]: new Date() }
+                }
+            });
+            return affectedRows === 1;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Links a used code to the session its exchange started.
+     * @param {number} id - The ID of the code record.
+     * @param {number} sessionId - The ID of the session.
+     * @returns {boolean} True if the code was updated.
+     */
+    async setSession(id, sessionId) {
+        try {
+            await AuthorizationCode.update({ sessionId }, {
+                where: { id }
+            });
+            return true;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+}
+
+module.exports = AuthorizationCodeRepository;
\ No newline at end of file
@@ -0,0 +1,147 @@
+/**
+ * This file defines the data access layer for requests for an airline business account.
+ */
+const { BusinessAccountRequest, User, sequelize } = require('../models/index');
+const ValidationError = require('../utils/validation-error');
+const { BusinessRequestStatuses } = require('../utils/business-request-statuses');
+
+/**
+ * BusinessAccountRequestRepository class encapsulates all database logic for the BusinessAccountRequest model.
+ */
+class BusinessAccountRequestRepository {
+
+    /**
+     * Runs the model validation on company details without storing anything,
+     * so they can be checked before the account they belong to is created.
+     * @param {object} data - An object containing companyName, registrationNumber, iataCode and website.
+     * @returns {boolean} True if the details are valid.
+     * @throws {ValidationError} If the details fail the model validation.
+     */
+    async validate(data) {
+        try {
+            await BusinessAccountRequest.build(data).validate({ skip: ['userId'] });
+            return true;
+        } catch (error) {
+            if(error.name == 'SequelizeValidationError') {
+                throw new ValidationError(error);
+            }
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Stores a new pending request.
+     * @param {object} data - An object containing userId and the company details.
+     * @param {object} [transaction] - The transaction to store the request in.
+     * @returns {object} The created request.
+     * @throws {ValidationError} If the company details fail the model validation.
+     */
+    async create(data, transaction = null) {
+        try {
+            const request = await BusinessAccountRequest.create(data, { transaction });
+            return request;
+        } catch (error) {
+            if(error.name == 'SequelizeValidationError') {
+                throw new ValidationError(error);
+            }
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves a request together with the user who submitted it.
+     * @param {number} id - The ID of the request.
+     * @returns {object} The request with the 'id', 'email' and 'name' of its 'User', or null if not found.
+     */
+    async getById(id) {
+        try {
+            const request = await BusinessAccountRequest.findByPk(id, {
+                include: [{
+                    model: User,
+                    attributes: ['id', 'email', 'name']
+                }]
+            });
+            return request;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves the most recent request of a user.
+     * @param {number} userId - The ID of the user.
+     * @returns {object} The request, or null if the user never requested a business account.
+     */
+    async getLatestForUser(userId) {
+        try {
+            const request = await BusinessAccountRequest.findOne({
+                where: { userId },
+                order: [['createdAt', 'DESC'], ['id', 'DESC']]
+            });
+            return request;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves one page of requests in a status, oldest first so they are reviewed in order.
+     * @param {object} filters - The `status` of the requests, `offset` and `limit`.
+     * @returns {object} An object containing the total `count` and the `requests` of the page with their 'User'.
+     */
+    async search({ status, offset, limit }) {
+        try {
+            const { count, rows } = await BusinessAccountRequest.findAndCountAll({
+                where: { status },
+                include: [{
+                    model: User,
+                    attributes: ['id', 'email', 'name']
+                }],
+                order: [['createdAt', 'ASC'], ['id', 'ASC']],
+                offset,
+                limit
+            });
+            return { count, requests: rows };
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Records the decision on a pending request. The update only succeeds while the request
+     * is still pending, so two admins cannot decide the same request.
+     * @param {number} id - The ID of the request.
+     * @param {object} decision - The new `status`, `reviewedById`, `reviewedAt` and optional `rejectionReason`.
+     * @param {number} [grantRoleId] - A role to grant the user of the request in the same transaction,
+     * so a request is never approved without its role being granted.
+     * @returns {boolean} True if this caller decided the request.
+     */
+    async decide(id, decision, grantRoleId = null) {
+        try {
+            return await sequelize.transaction(async (transaction) => {
+                const [affectedRows] = await BusinessAccountRequest.update(decision, {
+                    where: { id, status: BusinessRequestStatuses.PENDING },
+                    transaction
+                });
+                if (affectedRows !== 1) {
+                    return false;
+                }
+                if (grantRoleId) {
+                    const request = await BusinessAccountRequest.findByPk(id, { include: [User], transaction });
+                    await request.User.addRole(grantRoleId, { transaction });
+                }
+                return true;
+            });
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+}
+
+module.exports = BusinessAccountRequestRepository;
\ No newline at end of file
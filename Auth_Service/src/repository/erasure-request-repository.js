@@ -0,0 +1,116 @@
+/**
+ * This file defines the data access layer for requests to erase an account.
+ */
+const { Op } = require('sequelize');
+const { ErasureRequest, User } = require('../models/index');
+const { ErasureRequestStatuses } = require('../utils/erasure-request-statuses');
+
+/**
+ * ErasureRequestRepository class encapsulates all database logic for the ErasureRequest model.
+ */
+class ErasureRequestRepository {
+
+    /**
+     * Stores a new pending request.
+     * @param {object} data - An object containing userId and scheduledFor.
+     * @returns {object} The created request.
+     */
+    async create(data) {
+        try {
+            const request = await ErasureRequest.create(data);
+            return request;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves the pending request of a user.
+     * @param {number} userId - The ID of the user.
+     * @returns {object} The request, or null if the user has no pending request.
+     */
+    async getPendingForUser(userId) {
+        try {
+            const request = await ErasureRequest.findOne({
+                where: { userId, status: ErasureRequestStatuses.PENDING }
+            });
+            return request;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves the pending requests whose grace period is over, oldest first.
+     * @param {Date} now - The current time.
+     * @returns {Array} A list of requests with the 'id' and 'email' of their 'User'.
+     */
+    async getDue(now) {
+        try {
+            const requests = await ErasureRequest.findAll({
+                where: {
+                    status: ErasureRequestStatuses.PENDING,
+                    scheduledFor: { [Op.lte]: now }
+                },
+                include: [{
+                    model: User,
+                    attributes: ['id', 'email']
+                }],
+                order: [['scheduledFor', 'ASC'], ['id', 'ASC']]
+            });
+            return requests;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves one page of requests, optionally in one status, those due first.
+     * @param {object} filters - The optional `status` of the requests, `offset` and `limit`.
+     * @returns {object} An object containing the total `count` and the `requests` of the page with their 'User'.
+     */
+    async search({ status, offset, limit }) {
+        try {
+            const { count, rows } = await ErasureRequest.findAndCountAll({
+                where: status ? { status } : {},
+                include: [{
+                    model: User,
+                    attributes: ['id', 'email']
+                }],
+                order: [['scheduledFor', 'ASC'], ['id', 'ASC']],
+                offset,
+                limit
+            });
+            return { count, requests: rows };
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Moves a pending request to its final status. The update only succeeds while the request
+     * is still pending, so a request cannot be both cancelled and processed.
+     * @param {number} id - The ID of the request.
+     * @param {object} changes - The new `status` with `cancelledAt`, or `processedById` and `processedAt`.
+     * @param {object} [transaction] - The transaction to close the request in.
+     * @returns {boolean} True if this caller closed the request.
+     */
+    async close(id, changes, transaction = null) {
+        try {
+            const [affectedRows] = await ErasureRequest.update(changes, {
+                where: { id, status: ErasureRequestStatuses.PENDING },
+                transaction
+            });
+            return affectedRows === 1;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+}
+
+module.exports = ErasureRequestRepository;
\ No newline at end of file
@@ -0,0 +1,55 @@
+/**
+ * This file defines the data access layer for login fingerprints: the devices and IP addresses
+ * each user has successfully signed in from.
+ */
+const { LoginFingerprint } = require('../models/index');
+
+// Only the most recent fingerprints are compared against, so the checks stay fast for long-lived accounts.
+const HISTORY_LIMIT = 200;
+
+/**
+ * LoginFingerprintRepository class encapsulates all database logic for the LoginFingerprint model.
+ */
+class LoginFingerprintRepository {
+
+    /**
+     * Retrieves the fingerprints of a user, most recently seen first.
+     * @param {number} userId - The ID of the user.
+     * @returns {Array} A list of fingerprints.
+     */
+    async getRecentForUser(userId) {
+        try {
+            const fingerprints = await LoginFingerprint.findAll({
+                where: { userId },
+                order: [['lastSeenAt', 'DESC'], ['id', 'DESC']],
+                limit: HISTORY_LIMIT
+            });
+            return fingerprints;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Records a successful sign-in from a device and IP address, adding the fingerprint
+     * if it is new and refreshing it otherwise.
+     * @param {object} data - An object containing userId, deviceHash, ip, deviceLabel and the optional country, latitude and longitude.
+     * @returns {object} The fingerprint.
+     */
+    async record(data) {
+        try {
+            const { userId, deviceHash, ip } = data;
+            const [fingerprint] = await LoginFingerprint.findOrCreate({
+                where: { userId, deviceHash, ip },
+                defaults: { ...data, lastSeenAt: new Date() }
+            });
+            return await fingerprint.update({ ...data, lastSeenAt: new Date() });
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+}
+
+module.exports = LoginFingerprintRepository;
\ No newline at end of file
@@ -0,0 +1,88 @@
+/**
+ * This file defines the data access layer for the failed sign-in attempt counters
+ * that back brute-force protection.
+ */
+const { Op } = require('sequelize');
+const { LoginThrottle, sequelize } = require('../models/index');
+
+/**
+ * LoginThrottleRepository class encapsulates all database logic for the LoginThrottle model.
+ */
+class LoginThrottleRepository {
+
+    /**
+     * Retrieves the counter for an email or IP address.
+     * @param {string} scope - Either 'email' or 'ip'.
+     * @param {string} key - The normalised email or the IP address.
+     * @returns {object} The counter, or null if no failure has been recorded.
+     */
+    async get(scope, key) {
+        try {
+            const throttle = await LoginThrottle.findOne({ where: { scope, key } });
+            return throttle;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Counts a failed attempt against an email or IP address. The counter is incremented in the database
+     * within one transaction, so concurrent failures cannot overwrite each other's count.
+     * A counter whose lockout has ended and whose last failure is older than `windowStart` starts over.
+     * @param {string} scope - Either 'email' or 'ip'.
+     * @param {string} key - The normalised email or the IP address.
+     * @param {object} options - The `windowStart` date, the `threshold` of failures that locks the counter
+     * and the `lockedUntil` date it is locked until then.
+     * @returns {boolean} True if the failure was counted.
+     */
+    async addFailure(scope, key, { windowStart, threshold, lockedUntil }) {
+        try {
+            return await sequelize.transaction(async (transaction) => {
+                const now = new Date();
+                await LoginThrottle.findOrCreate({
+                    where: { scope, key },
+                    defaults: { failedCount: 0, lastFailedAt: now },
+                    transaction
+                });
+                await LoginThrottle.update({ failedCount: 0, lockedUntil: null }, {
+                    where: {
+                        scope,
+                        key,
+                        lastFailedAt: { [Op.lte]: windowStart },
+                        [Op.or]: [{ lockedUntil: null }, { lockedUntil: { [Op.lte]: now } }]
+                    },
+                    transaction
+                });
+                await LoginThrottle.increment('failedCount', { where: { scope, key }, transaction });
+                await LoginThrottle.update({ lastFailedAt: now }, { where: { scope, key }, transaction });
+                await LoginThrottle.update({ lockedUntil }, {
+                    where: { scope, key, failedCount: { [Op.gte]: threshold } },
+                    transaction
+                });
+                return true;
+            });
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Removes the counter for an email or IP address, which also lifts a lockout.
+     * @param {string} scope - Either 'email' or 'ip'.
+     * @param {string} key - The normalised email or the IP address.
+     * @returns {boolean} True if the counter was removed.
+     */
+    async reset(scope, key) {
+        try {
+            await LoginThrottle.destroy({ where: { scope, key } });
+            return true;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+}
+
+module.exports = LoginThrottleRepository;
\ No newline at end of file
@@ -0,0 +1,140 @@
+/**
+ * This file defines the data access layer for invitations to join an organization.
+ * Invitation tokens are stored hashed and can be accepted only once.
+ */
+const { Op } = require('sequelize');
+const { OrganizationInvitation, OrganizationMembership, Organization, User, sequelize } = require('../models/index');
+const ValidationError = require('../utils/validation-error');
+
+// The attributes of an invitation that may be shown to the owners of the organization.
+const INVITATION_ATTRIBUTES = ['id', 'email', 'role', 'invitedById', 'expiresAt', 'createdAt'];
+
+// Matches the invitations that can still be accepted.
+const pendingWhere = () => ({
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { [Op.gt]: new Date() }
+});
+
+/**
+ * OrganizationInvitationRepository class encapsulates all database logic for the OrganizationInvitation model.
+ */
+class OrganizationInvitationRepository {
+
+    /**
+     * Stores a new invitation.
+     * @param {object} data - An object containing organizationId, email, role, tokenHash, invitedById and expiresAt.
+     * @returns {object} The created invitation.
+     * @throws {ValidationError} If the email or role fail the model validation.
+     */
+    async create(data) {
+        try {
+            const invitation = await OrganizationInvitation.create(data);
+            return invitation;
+        } catch (error) {
+            if(error.name == 'SequelizeValidationError') {
+                throw new ValidationError(error);
+            }
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves an invitation that can still be accepted, together with its organization.
+     * @param {string} tokenHash - The SHA-256 digest of the invitation token.
+     * @returns {object} The invitation with its 'Organization', or null if there is no pending invitation.
+     */
+    async getPending(tokenHash) {
+        try {
+            const invitation = await OrganizationInvitation.findOne({
+                where: { tokenHash, ...pendingWhere() },
+                include: [{
+                    model: Organization,
+                    attributes: ['id', 'name', 'iataCode']
+                }]
+            });
+            return invitation;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves the invitations of an organization that can still be accepted.
+     * @param {number} organizationId - The ID of the organization.
+     * @returns {Array} A list of invitations, newest first.
+     */
+    async getPendingForOrganization(organizationId) {
+        try {
+            const invitations = await OrganizationInvitation.findAll({
+                where: { organizationId, ...pendingWhere() },
+                attributes: INVITATION_ATTRIBUTES,
+                order: [['createdAt', 'DESC']]
+            });
+            return invitations;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Marks a pending invitation as accepted and adds the user to its organization in one transaction,
+     * so an invitation is never used up without the membership being created. The update only succeeds
+     * for the first caller, so an invitation can never be accepted twice, even by concurrent requests.
+     * @param {object} invitation - The pending invitation.
+     * @param {number} userId - The ID of the user accepting it.
+     * @param {number} [grantRoleId] - A role to grant the user in the same transaction,
+     * so a member never lacks the role that comes with the membership.
+     * @returns {boolean} True if this caller accepted the invitation.
+     * @throws {Error} A SequelizeUniqueConstraintError if the user already belongs to an organization.
+     */
+    async accept(invitation, userId, grantRoleId = null) {
+        try {
+            return await sequelize.transaction(async (transaction) => {
+                const [affectedRows] = await OrganizationInvitation.update({ acceptedAt: new Date() }, {
+                    where: { id: invitation.id, ...pendingWhere() },
+                    transaction
+                });
+                if (affectedRows !== 1) {
+                    return false;
+                }
+                await OrganizationMembership.create({
+                    organizationId: invitation.organizationId,
+                    userId,
+                    role: invitation.role
+                }, { transaction });
+                if (grantRoleId) {
+                    const user = await User.findByPk(userId, { transaction });
+                    await user.addRole(grantRoleId, { transaction });
+                }
+                return true;
+            });
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Revokes the pending invitations of an organization, either one by its ID or all sent to an email.
+     * @param {number} organizationId - The ID of the organization.
+     * @param {object} filter - Either the `id` of the invitation or the `email` it was sent to.
+     * @returns {boolean} True if any invitation was revoked.
+     */
+    async revokePending(organizationId, filter) {
+        try {
+            const [affectedRows] = await OrganizationInvitation.update({ revokedAt: new Date() }, {
+                where: { organizationId, ...filter, ...pendingWhere() }
+            });
+            return affectedRows > 0;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+}
+
+module.exports = OrganizationInvitationRepository;
\ No newline at end of file
@@ -0,0 +1,118 @@
+/**
+ * This file defines the data access layer for organizations and their memberships.
+ */
+const { Organization, OrganizationMembership, User, sequelize } = require('../models/index');
+const ValidationError = require('../utils/validation-error');
+
+/**
+ * OrganizationRepository class encapsulates all database logic for the Organization and OrganizationMembership models.
+ */
+class OrganizationRepository {
+
+    /**
+     * Creates an organization together with the membership of its first owner.
+     * @param {object} data - An object containing the name and optional iataCode of the organization.
+     * @param {number} ownerId - The ID of the user creating the organization.
+     * @param {string} ownerRole - The membership role of the creator.
+     * @returns {object} The created organization.
+     * @throws {ValidationError} If the name or IATA code fail the model validation.
+     */
+    async createWithOwner(data, ownerId, ownerRole) {
+        try {
+            return await sequelize.transaction(async (transaction) => {
+                const organization = await Organization.create(data, { transaction });
+                await OrganizationMembership.create({
+                    organizationId: organization.id,
+                    userId: ownerId,
+                    role: ownerRole
+                }, { transaction });
+                return organization;
+            });
+        } catch (error) {
+            if(error.name == 'SequelizeValidationError') {
+                throw new ValidationError(error);
+            }
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves an organization by its IATA code.
+     * @param {string} iataCode - The two-character IATA designator.
+     * @returns {object} The organization, or null if not found.
+     */
+    async getByIataCode(iataCode) {
+        try {
+            const organization = await Organization.findOne({ where: { iataCode } });
+            return organization;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves the membership of a user together with their organization.
+     * @param {number} userId - The ID of the user.
+     * @returns {object} The membership with its 'Organization', or null if the user belongs to no organization.
+     */
+    async getMembership(userId) {
+        try {
+            const membership = await OrganizationMembership.findOne({
+                where: { userId },
+                include: [{
+                    model: Organization,
+                    attributes: ['id', 'name', 'iataCode']
+                }]
+            });
+            return membership;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves the members of an organization, owners first.
+     * @param {number} organizationId - The ID of the organization.
+     * @returns {Array} A list of memberships with the 'id', 'email' and 'name' of each 'User'.
+     */
+    async getMembers(organizationId) {
+        try {
+            const memberships = await OrganizationMembership.findAll({
+                where: { organizationId },
+                attributes: ['userId', 'role', 'createdAt'],
+                include: [{
+                    model: User,
+                    attributes: ['id', 'email', 'name']
+                }],
+                order: [['role', 'DESC'], ['createdAt', 'ASC']]
+            });
+            return memberships;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Removes a user from an organization.
+     * @param {number} organizationId - The ID of the organization.
+     * @param {number} userId - The ID of the member.
+     * @returns {boolean} True if a membership was removed.
+     */
+    async removeMember(organizationId, userId) {
+        try {
+            const removed = await OrganizationMembership.destroy({
+                where: { organizationId, userId }
+            });
+            return removed > 0;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+}
+
+module.exports = OrganizationRepository;
\ No newline at end of file
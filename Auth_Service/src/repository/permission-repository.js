@@ -0,0 +1,73 @@
+/**
+ * This file defines the data access layer for permissions and the role hierarchy.
+ */
+const { Permission, Role } = require('../models/index');
+
+/**
+ * PermissionRepository class encapsulates all database logic for the Permission model.
+ */
+class PermissionRepository {
+
+    /**
+     * Retrieves every role together with the role it inherits from.
+     * @returns {Array} A list of roles with 'id', 'name' and 'parentId' attributes.
+     */
+    async getRoleHierarchy() {
+        try {
+            const roles = await Role.findAll({
+                attributes: ['id', 'name', 'parentId']
+            });
+            return roles;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves the names of the permissions granted directly to any of the given roles.
+     * @param {Array<number>} roleIds - The IDs of the roles.
+     * @returns {Array<string>} The permission names, without duplicates.
+     */
+    async getNamesForRoles(roleIds) {
+        try {
+            const permissions = await Permission.findAll({
+                attributes: ['name'],
+                include: [{
+                    model: Role,
+                    attributes: [],
+                    where: { id: roleIds },
+                    through: { attributes: [] }
+                }]
+            });
+            return [...new Set(permissions.map((permission) => permission.name))];
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves every permission together with the roles it is granted to directly.
+     * @returns {Array} A list of permissions with 'name', 'description' and their 'Roles'.
+     */
+    async getAll() {
+        try {
+            const permissions = await Permission.findAll({
+                attributes: ['id', 'name', 'description'],
+                include: [{
+                    model: Role,
+                    attributes: ['name'],
+                    through: { attributes: [] }
+                }],
+                order: [['name', 'ASC']]
+            });
+            return permissions;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+}
+
+module.exports = PermissionRepository;
\ No newline at end of file
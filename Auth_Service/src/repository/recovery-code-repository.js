@@ -0,0 +1,67 @@
+/**
+ * This file defines the data access layer for two-factor authentication recovery codes.
+ */
+const { RecoveryCode, sequelize } = require('../models/index');
+
+/**
+ * RecoveryCodeRepository class encapsulates all database logic for the RecoveryCode model.
+ */
+class RecoveryCodeRepository {
+
+    /**
+     * Replaces all recovery codes of a user with a new set.
+     * @param {number} userId - The ID of the user.
+     * @param {Array<string>} codeHashes - The SHA-256 digests of the new codes.
+     * @returns {boolean} True if the codes were stored.
+     */
+    async replaceAll(userId, codeHashes) {
+        try {
+            await sequelize.transaction(async (transaction) => {
+                await RecoveryCode.destroy({ where: { userId }, transaction });
+                await RecoveryCode.bulkCreate(
+                    codeHashes.map((codeHash) => ({ userId, codeHash })),
+                    { transaction }
+                );
+            });
+            return true;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Marks an unused recovery code of a user as used.
+     * @param {number} userId - The ID of the user.
+     * @param {string} codeHash - The SHA-256 digest of the code.
+     * @returns {boolean} True if an unused code matched, false otherwise.
+     */
+    async consume(userId, codeHash) {
+        try {
+            const [affectedRows] = await RecoveryCode.update({ usedAt: new Date() }, {
+                where: { userId, codeHash, usedAt: null }
+            });
+            return affectedRows > 0;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Removes all recovery codes of a user.
+     * @param {number} userId - The ID of the user.
+     * @returns {boolean} True if the codes were removed.
+     */
+    async destroyAll(userId) {
+        try {
+            await RecoveryCode.destroy({ where: { userId } });
+            return true;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+}
+
+module.exports = RecoveryCodeRepository;
\ No newline at end of file
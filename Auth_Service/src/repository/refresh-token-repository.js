@@ -0,0 +1,115 @@
+/**
+ * This file defines the data access layer for refresh tokens.
+ * Every row represents one issued access/refresh token pair and is the source of truth
+ * for whether that pair has been rotated or revoked.
+ */
+const { Op } = require('sequelize');
+const { RefreshToken } = require('../models/index');
+
+/**
+ * RefreshTokenRepository class encapsulates all database logic for the RefreshToken model.
+ */
+class RefreshTokenRepository {
+
+    /**
+     * Stores a newly issued refresh token.
+     * @param {object} data - An object containing userId, tokenHash, jti and expiresAt.
+     * @returns {object} The created refresh token record.
+     */
+    async create(data) {
+        try {
+            const refreshToken = await RefreshToken.create(data);
+            return refreshToken;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves a refresh token record by the hash of the token.
+     * @param {string} tokenHash - The SHA-256 digest of the refresh token.
+     * @returns {object} The refresh token record, or null if not found.
+     */
+    async getByHash(tokenHash) {
+        try {
+            const refreshToken = await RefreshToken.findOne({ where: { tokenHash } });
+            return refreshToken;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves the refresh token record issued together with an access token.
+     * @param {string} jti - The `jti` claim of the access token.
+     * @returns {object} The refresh token record, or null if not found.
+     */
+    async getByJti(jti) {
+        try {
+            const refreshToken = await RefreshToken.findOne({ where: { jti } });
+            return refreshToken;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Marks a single refresh token (and therefore its access token) as revoked.
+     * @param {number} id - The ID of the refresh token record.
+     * @returns {boolean} True if the token was revoked.
+     */
+    async revoke(id) {
+        try {
+            await RefreshToken.update({ revokedAt: new Date() }, {
+                where: { id, revokedAt: null }
+            });
+            return true;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Revokes every token that is still active in a session.
+     * @param {number} sessionId - The ID of the session.
+     * @returns {boolean} True if the tokens were revoked.
+     */
+    async revokeAllForSession(sessionId) {
+        try {
+            await RefreshToken.update({ revokedAt: new Date() }, {
+                where: { sessionId, revokedAt: null }
+            });
+            return true;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Revokes every token that is still active for a user, ending all of their sessions.
+     * @param {number} userId - The ID of the user.
+     * @returns {boolean} True if the tokens were revoked.
+     */
+    async revokeAllForUser(userId) {
+        try {
+            await RefreshToken.update({ revokedAt: new Date() }, {
+                where: {
+                    userId,
+                    revokedAt: null,
+                    expiresAt: { [Op.gt]: new Date() }
+                }
+            });
+            return true;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+}
+
+module.exports = RefreshTokenRepository;
\ No newline at end of file
@@ -0,0 +1,141 @@
+/**
+ * This file defines the data access layer for sessions. A session is one signed-in device:
+ * it starts with a sign-in and lives on through every refresh until it expires or is revoked.
+ */
+const { Op } = require('sequelize');
+const { Session } = require('../models/index');
+
+// The attributes of a session shown to its user.
+const SESSION_ATTRIBUTES = ['id', 'deviceLabel', 'clientId', 'scope', 'ip', 'userAgent', 'createdAt', 'lastUsedAt', 'expiresAt'];
+
+/**
+ * SessionRepository class encapsulates all database logic for the Session model.
+ */
+class SessionRepository {
+
+    /**
+     * Starts a new session.
+     * @param {object} data - An object containing userId, deviceLabel, ip, userAgent, lastUsedAt and expiresAt.
+     * @returns {object} The created session.
+     */
+    async create(data) {
+        try {
+            const session = await Session.create(data);
+            return session;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves a session by its ID.
+     * @param {number} sessionId - The ID of the session.
+     * @returns {object} The session, or null if not found.
+     */
+    async getById(sessionId) {
+        try {
+            const session = await Session.findByPk(sessionId);
+            return session;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves the sessions of a user that are neither revoked nor expired, most recently used first.
+     * @param {number} userId - The ID of the user.
+     * @returns {Array} A list of sessions.
+     */
+    async getActiveForUser(userId) {
+        try {
+            const sessions = await Session.findAll({
+                where: {
+                    userId,
+                    revokedAt: null,
+                    expiresAt: { [Op.gt]: new Date() }
+                },
+                attributes: SESSION_ATTRIBUTES,
+                order: [['lastUsedAt', 'DESC'], ['id', 'DESC']]
+            });
+            return sessions;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves every session a user ever had, including revoked and expired ones, newest first.
+     * @param {number} userId - The ID of the user.
+     * @returns {Array} A list of sessions.
+     */
+    async getAllForUser(userId) {
+        try {
+            const sessions = await Session.findAll({
+                where: { userId },
+                attributes: [...SESSION_ATTRIBUTES, 'revokedAt'],
+                order: [['createdAt', 'DESC'], ['id', 'DESC']]
+            });
+            return sessions;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Updates a session, e.g. when it is used or refreshed.
+     * @param {number} sessionId - The ID of the session.
+     * @param {object} data - The attributes to update.
+     * @returns {boolean} True if the session was updated.
+     */
+    async update(sessionId, data) {
+        try {
+            await Session.update(data, {
+                where: { id: sessionId }
+            });
+            return true;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Marks a session as revoked.
+     * @param {number} sessionId - The ID of the session.
+     * @returns {boolean} True if the session was revoked.
+     */
+    async revoke(sessionId) {
+        try {
+            await Session.update({ revokedAt: new Date() }, {
+                where: { id: sessionId, revokedAt: null }
+            });
+            return true;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Revokes every session of a user that has not been revoked yet.
+     * @param {number} userId - The ID of the user.
+     * @returns {boolean} True if the sessions were revoked.
+     */
+    async revokeAllForUser(userId) {
+        try {
+            await Session.update({ revokedAt: new Date() }, {
+                where: { userId, revokedAt: null }
+            });
+            return true;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+}
+
+module.exports = SessionRepository;
\ No newline at end of file
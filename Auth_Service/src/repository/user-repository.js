@@ -2,8 +2,40 @@
  * This file defines the data access layer for User-related operations.
  * It directly interacts with the User and Role models to perform CRUD and other database actions.
  */
-const { User, Role } = require('../models/index');
+const { Op } = require('sequelize');
+const {
+    User,
+    Role,
+    RefreshToken,
+    Session,
+    UserToken,
+    RecoveryCode,
+    LoginFingerprint,
+    OrganizationMembership,
+    AuditEvent,
+    sequelize
+} = require('../models/index');
 const ValidationError = require('../utils/validation-error');
+const { UserStatuses } = require('../utils/user-statuses');
+const { generateToken } = require('../utils/helper');
+
+// The attributes a user may see of their own record. Credentials and MFA secrets are never part of it.
+const PROFILE_ATTRIBUTES = [
+    'id',
+    'email',
+    'pendingEmail',
+    'emailVerifiedAt',
+    'name',
+    'phone',
+    'dateOfBirth',
+    'nationality',
+    'homeAirport',
+    'preferredCurrency',
+    'createdAt'
+];
+
+// The attributes shown for each user when admins list users.
+const LIST_ATTRIBUTES = ['id', 'email', 'name', 'status', 'emailVerifiedAt', 'createdAt'];
 
 /**
  * UserRepository class encapsulates all database logic for the User model.
@@ -11,15 +43,24 @@ const ValidationError = require('../utils/validation-error');
 class UserRepository {
 
     /**
-     * Creates a new user in the database.
+     * Creates a new user in the database together with their roles, in a single transaction.
      * @param {object} data - An object containing user details (e.g., email, password).
+     * @param {Array<number>} [roleIds] - The IDs of the roles to assign to the user.
+     * @param {function} [onCreate] - Called with the user and the transaction once the user is created, so the caller
+     * can store records of its own with the user. Nothing is created if it fails.
      * @returns {object} The created user object.
      * @throws {ValidationError} If Sequelize validation fails (e.g., invalid email format).
      */
-    async create(data) {
+    async create(data, roleIds = [], onCreate = null) {
         try {
-            const user = await User.create(data);
-            return user;
+            return await sequelize.transaction(async (transaction) => {
+                const user = await User.create(data, { transaction });
+                await user.setRoles(roleIds, { transaction });
+                if (onCreate) {
+                    await onCreate(user, transaction);
+                }
+                return user;
+            });
         } catch (error) {
             if(error.name == 'SequelizeValidationError') {
                 // Wrap the Sequelize error in a custom validation error for consistent error handling.
@@ -30,6 +71,67 @@ class UserRepository {
         }
     }
 
+    /**
+     * Runs the model validation on user attributes without storing anything. The password is not
+     * checked, so accounts that get their password later can be validated up front.
+     * @param {object} data - An object containing user attributes, e.g. email and name.
+     * @returns {boolean} True if the attributes are valid.
+     * @throws {ValidationError} If the attributes fail the model validation.
+     */
+    async validate(data) {
+        try {
+            await User.build(data).validate({ skip: ['password'] });
+            return true;
+        } catch (error) {
+            if(error.name == 'SequelizeValidationError') {
+                throw new ValidationError(error);
+            }
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Creates several users at once, each with their roles and a single-use invite token with which
+     * they choose their password. A user whose email has been registered in the meantime is skipped;
+     * if any other user fails, none is created.
+     * @param {Array<object>} entries - The users to create, each an object containing email, name, roleIds
+     * and the `invite` token record (purpose, tokenHash and expiresAt).
+     * @returns {Array<object>} The created users in the order of the entries, with null for the skipped ones.
+     * @throws {ValidationError} If any user fails the model validation.
+     */
+    async createInvited(entries) {
+        try {
+            return await sequelize.transaction(async (transaction) => {
+                const users = [];
+                for (const { email, name, roleIds, invite } of entries) {
+                    try {
+                        // A savepoint, so a taken email only undoes its own user.
+                        users.push(await sequelize.transaction({ transaction }, async (savepoint) => {
+                            // Nobody knows this password; the user sets their own with the invite token.
+                            const user = await User.create({ email, name, password: generateToken() }, { transaction: savepoint });
+                            await user.setRoles(roleIds, { transaction: savepoint });
+                            await UserToken.create({ ...invite, userId: user.id }, { transaction: savepoint });
+                            return user;
+                        }));
+                    } catch (error) {
+                        if (error.name != 'SequelizeUniqueConstraintError') {
+                            throw error;
+                        }
+                        users.push(null);
+                    }
+                }
+                return users;
+            });
+        } catch (error) {
+            if(error.name == 'SequelizeValidationError') {
+                throw new ValidationError(error);
+            }
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
     /**
      * Deletes a user from the database by their ID.
      * @param {number} userId - The ID of the user to delete.
@@ -50,13 +152,13 @@ class UserRepository {
     /**
      * Retrieves a user by their primary key (ID), returning only essential attributes.
      * @param {number} userId - The ID of the user to retrieve.
-     * @returns {object} The user object with 'email' and 'id' attributes.
+     * @returns {object} The user object with 'email', 'id', 'status' and 'emailVerifiedAt' attributes.
      */
     async getById(userId) {
         try {
             // `findByPk` is a Sequelize method for fetching a record by its primary key.
             const user = await User.findByPk(userId, {
-                attributes: ['email', 'id'] // Excludes the password for security.
+                attributes: ['email', 'id', 'status', 'emailVerifiedAt'] // Excludes the password for security.
             });
             return user;
         } catch (error) {
@@ -80,6 +182,277 @@ class UserRepository {
         }
     }
 
+    /**
+     * Retrieves a user by their primary key (ID), including the hashed password.
+     * Only meant for credential checks; never return the result to a client.
+     * @param {number} userId - The ID of the user to retrieve.
+     * @returns {object} The full user object.
+     */
+    async getWithPassword(userId) {
+        try {
+            const user = await User.findByPk(userId);
+            return user;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Searches users for the admin listing, one page at a time.
+     * @param {object} filters - The search criteria.
+     * @param {string} [filters.email] - Only users whose email contains this text.
+     * @param {string} [filters.role] - Only users who have the role with this name.
+     * @param {Array} filters.order - The Sequelize `order` clause, e.g. `[['createdAt', 'DESC']]`.
+     * @param {number} filters.offset - The number of matching users to skip.
+     * @param {number} filters.limit - The maximum number of users to return.
+     * @returns {object} An object with the `count` of all matching users and the `users` of the page, each with their `Roles`.
+     */
+    async search({ email, role, order, offset, limit }) {
+        try {
+            const where = email ? { email: { [Op.substring]: email } } : {};
+            const roleFilter = role ? [{
+                model: Role,
+                where: { name: role },
+                attributes: [],
+                through: { attributes: [] }
+            }] : [];
+            // The role filter would also limit the roles returned with each user,
+            // so the page is selected first and loaded with all of its roles afterwards.
+            const { count, rows } = await User.findAndCountAll({
+                where,
+                include: roleFilter,
+                attributes: ['id'],
+                order,
+                offset,
+                limit,
+                distinct: true,
+                subQuery: false
+            });
+            const users = await User.findAll({
+                where: { id: rows.map((user) => user.id) },
+                attributes: LIST_ATTRIBUTES,
+                include: [{ model: Role, attributes: ['name'], through: { attributes: [] } }],
+                order
+            });
+            return { count, users };
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Sets the account status of a user.
+     * @param {number} userId - The ID of the user.
+     * @param {string} status - One of the `UserStatuses`.
+     * @returns {boolean} True if the status was updated.
+     */
+    async updateStatus(userId, status) {
+        try {
+            await User.update({ status }, {
+                where: { id: userId }
+            });
+            return true;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves the profile of a user.
+     * @param {number} userId - The ID of the user.
+     * @returns {object} The user object limited to the profile attributes, or null if not found.
+     */
+    async getProfile(userId) {
+        try {
+            const user = await User.findByPk(userId, {
+                attributes: PROFILE_ATTRIBUTES
+            });
+            return user;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Updates profile attributes of a user. Only the given attributes are validated and saved.
+     * @param {number} userId - The ID of the user.
+     * @param {object} data - The profile attributes to update.
+     * @returns {object} The updated profile.
+     * @throws {ValidationError} If any of the values fails the model validation.
+     */
+    async updateProfile(userId, data) {
+        try {
+            const user = await User.findByPk(userId);
+            user.set(data);
+            await user.save({ fields: Object.keys(data) });
+            return await this.getProfile(userId);
+        } catch (error) {
+            if(error.name == 'SequelizeValidationError') {
+                throw new ValidationError(error);
+            }
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Erases the personal data of a user in a single transaction. The row itself is kept, with an
+     * anonymized email, the ERASED status and an unknown password, so records referencing it stay consistent.
+     * The user loses their roles, organization membership, recovery codes and known devices, every session and token is revoked,
+     * and the email is replaced in the audit log as well.
+     * @param {number} userId - The ID of the user.
+     * @param {string} anonymizedEmail - The placeholder that replaces the email.
+     * @param {function} [claim] - Called with the transaction before anything is erased, so the caller can make
+     * its own change part of it. Nothing is erased if it resolves to false.
+     * @returns {boolean} True if the user was erased, false if the claim was refused.
+     */
+    async erase(userId, anonymizedEmail, claim = null) {
+        try {
+            return await sequelize.transaction(async (transaction) => {
+                if (claim && !await claim(transaction)) {
+                    return false;
+                }
+                const now = new Date();
+                const user = await User.findByPk(userId, { transaction });
+                user.set({
+                    email: anonymizedEmail,
+                    pendingEmail: null,
+                    // Hashed by the `beforeSave` hook and never handed out, so nobody knows the password.
+                    password: generateToken(),
+                    status: UserStatuses.ERASED,
+                    name: null,
+                    phone: null,
+                    dateOfBirth: null,
+                    nationality: null,
+                    homeAirport: null,
+                    preferredCurrency: null,
+                    mfaSecret: null,
+                    mfaEnabledAt: null,
+                    mfaLastCounter: null
+                });
+                await user.save({ transaction });
+                await user.setRoles([], { transaction });
+                await OrganizationMembership.destroy({ where: { userId }, transaction });
+                await RecoveryCode.destroy({ where: { userId }, transaction });
+                await LoginFingerprint.destroy({ where: { userId }, transaction });
+                await Session.update({ revokedAt: now }, { where: { userId, revokedAt: null }, transaction });
+                await RefreshToken.update({ revokedAt: now }, { where: { userId, revokedAt: null }, transaction });
+                await UserToken.update({ usedAt: now }, { where: { userId, usedAt: null }, transaction });
+                await AuditEvent.update({ email: anonymizedEmail }, { where: { userId }, transaction });
+                return true;
+            });
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Replaces the email of a user with their confirmed `pendingEmail`.
+     * Following the link sent to the new address also verifies it.
+     * @param {number} userId - The ID of the user.
+     * @returns {object} The updated profile.
+     */
+    async applyPendingEmail(userId) {
+        try {
+            const user = await User.findByPk(userId);
+            user.email = user.pendingEmail;
+            user.pendingEmail = null;
+            user.emailVerifiedAt = new Date();
+            await user.save();
+            return await this.getProfile(userId);
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Replaces a user's password. The model's `beforeSave` hook hashes the new password.
+     * @param {number} userId - The ID of the user.
+     * @param {string} password - The new plain text password.
+     * @returns {boolean} True if the password was updated.
+     * @throws {ValidationError} If the new password fails the model validation.
+     */
+    async updatePassword(userId, password) {
+        try {
+            const user = await User.findByPk(userId);
+            user.password = password;
+            await user.save();
+            return true;
+        } catch (error) {
+            if(error.name == 'SequelizeValidationError') {
+                throw new ValidationError(error);
+            }
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Marks a user's email as verified.
+     * @param {number} userId - The ID of the user.
+     * @returns {boolean} True if the user was updated.
+     */
+    async markEmailVerified(userId) {
+        try {
+            await User.update({ emailVerifiedAt: new Date() }, {
+                where: { id: userId, emailVerifiedAt: null }
+            });
+            return true;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Updates the two-factor authentication settings of a user.
+     * @param {number} userId - The ID of the user.
+     * @param {object} data - Any of mfaSecret, mfaEnabledAt and mfaLastCounter.
+     * @returns {boolean} True if the user was updated.
+     */
+    async updateMfa(userId, data) {
+        try {
+            await User.update(data, {
+                where: { id: userId }
+            });
+            return true;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Records the time step of an accepted TOTP code, but only if it is newer than the last
+     * accepted one. This makes every code single-use, even for concurrent requests.
+     * @param {number} userId - The ID of the user.
+     * @param {number} counter - The time step of the accepted code.
+     * @returns {boolean} True if the counter was recorded, false if the code was already used.
+     */
+    async recordMfaCounter(userId, counter) {
+        try {
+            const [affectedRows] = await User.update({ mfaLastCounter: counter }, {
+                where: {
+                    id: userId,
+                    [Op.or]: [
+                        { mfaLastCounter: null },
+                        { mfaLastCounter: { [Op.lt]: counter } }
+                    ]
+                }
+            });
+            return affectedRows === 1;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
     /**
      * Checks if a user has the 'ADMIN' role.
      * This method leverages the many-to-many relationship between Users and Roles.
@@ -87,11 +460,117 @@ class UserRepository {
      * @returns {boolean} True if the user has the 'ADMIN' role, false otherwise.
      */
     async isAdmin(userId) {
+        try {
+            return await this.hasAnyRole(userId, ['ADMIN']);
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Checks if a user has at least one of the given roles.
+     * @param {number} userId - The ID of the user to check.
+     * @param {Array<string>} roleNames - The names of the accepted roles.
+     * @returns {boolean} True if the user has any of the roles, false otherwise (including unknown users).
+     */
+    async hasAnyRole(userId, roleNames) {
         try {
             const user = await User.findByPk(userId);
-            const adminRole = await Role.findOne({ where: { name: 'ADMIN' } });
-            // `hasRole` is a special method added by Sequelize for many-to-many associations.
-            return user.hasRole(adminRole);
+            if (!user) {
+                return false;
+            }
+            // `countRoles` is a special method added by Sequelize for many-to-many associations.
+            const count = await user.countRoles({ where: { name: roleNames } });
+            return count > 0;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves every role that can be assigned to a user.
+     * @returns {Array} A list of roles with 'id' and 'name' attributes.
+     */
+    async getAllRoles() {
+        try {
+            const roles = await Role.findAll({
+                attributes: ['id', 'name']
+            });
+            return roles;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves a role by its name.
+     * @param {string} roleName - The name of the role (e.g. 'ADMIN').
+     * @returns {object} The role object, or null if not found.
+     */
+    async getRoleByName(roleName) {
+        try {
+            const role = await Role.findOne({ where: { name: roleName } });
+            return role;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves the roles assigned to a user through the User_Roles association.
+     * @param {number} userId - The ID of the user.
+     * @returns {Array} A list of roles with 'id' and 'name' attributes, empty for unknown users.
+     */
+    async getRoles(userId) {
+        try {
+            const user = await User.findByPk(userId);
+            if (!user) {
+                return [];
+            }
+            // `getRoles` is a special method added by Sequelize for many-to-many associations.
+            const roles = await user.getRoles({
+                attributes: ['id', 'name'],
+                joinTableAttributes: [] // Leaves the User_Roles columns out of the result.
+            });
+            return roles;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Grants a role to a user. Granting a role the user already has is a no-op.
+     * @param {number} userId - The ID of the user.
+     * @param {number} roleId - The ID of the role to grant.
+     * @returns {boolean} True if the role was granted.
+     */
+    async addRole(userId, roleId) {
+        try {
+            const user = await User.findByPk(userId);
+            await user.addRole(roleId);
+            return true;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Revokes a role from a user.
+     * @param {number} userId - The ID of the user.
+     * @param {number} roleId - The ID of the role to revoke.
+     * @returns {boolean} True if the role was revoked.
+     */
+    async removeRole(userId, roleId) {
+        try {
+            const user = await User.findByPk(userId);
+            await user.removeRole(roleId);
+            return true;
         } catch (error) {
             console.log("Something went wrong on repository layer");
             throw error;
@@ -0,0 +1,136 @@
+/**
+ * This file defines the data access layer for one-time user tokens
+ * (e.g. password reset tokens). Tokens are stored hashed and can be used only once.
+ */
+const { Op } = require('sequelize');
+const { UserToken } = require('../models/index');
+
+/**
+ * UserTokenRepository class encapsulates all database logic for the UserToken model.
+ */
+class UserTokenRepository {
+
+    /**
+     * Stores a newly issued one-time token.
+     * @param {object} data - An object containing userId, purpose, tokenHash and expiresAt.
+     * @returns {object} The created token record.
+     */
+    async create(data) {
+        try {
+            const userToken = await UserToken.create(data);
+            return userToken;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves an unused, unexpired token without using it up.
+     * @param {string} tokenHash - The SHA-256 digest of the token.
+     * @param {string} purpose - The purpose the token must have been issued for.
+     * @returns {object} The token record, or null if there is no usable token.
+     */
+    async getUsable(tokenHash, purpose) {
+        try {
+            const userToken = await UserToken.findOne({
+                where: {
+                    tokenHash,
+                    purpose,
+                    usedAt: null,
+                    expiresAt: { [Op.gt]: new Date() }
+                }
+            });
+            return userToken;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Marks an unused, unexpired token as used and returns it.
+     * The update only succeeds for the first caller, so a token can never be used twice,
+     * even by concurrent requests.
+     * @param {string} tokenHash - The SHA-256 digest of the token.
+     * @param {string} purpose - The purpose the token must have been issued for.
+     * @returns {object} The token record, or null if there is no usable token.
+     */
+    async consume(tokenHash, purpose) {
+        try {
+            const userToken = await this.getUsable(tokenHash, purpose);
+            if (!userToken) {
+                return null;
+            }
+            const [affectedRows] = await UserToken.update({ usedAt: new Date() }, {
+                where: { id: userToken.id, usedAt: null }
+            });
+            return affectedRows === 1 ? userToken : null;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Counts the tokens issued to a user for a purpose since a point in time.
+     * @param {number} userId - The ID of the user.
+     * @param {string} purpose - The purpose of the tokens to count.
+     * @param {Date} since - Only tokens created after this time are counted.
+     * @returns {number} The number of tokens.
+     */
+    async countIssuedSince(userId, purpose, since) {
+        try {
+            const count = await UserToken.count({
+                where: {
+                    userId,
+                    purpose,
+                    createdAt: { [Op.gt]: since }
+                }
+            });
+            return count;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Marks every unused token a user holds for a purpose as used, so that only
+     * the most recently issued token stays valid.
+     * @param {number} userId - The ID of the user.
+     * @param {string} purpose - The purpose of the tokens to invalidate.
+     * @returns {boolean} True if the tokens were invalidated.
+     */
+    async invalidateAll(userId, purpose) {
+        try {
+            await UserToken.update({ usedAt: new Date() }, {
+                where: { userId, purpose, usedAt: null }
+            });
+            return true;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Deletes every token a user holds for a purpose, used or not.
+     * @param {number} userId - The ID of the user.
+     * @param {string} purpose - The purpose of the tokens to delete.
+     * @returns {boolean} True if the tokens were deleted.
+     */
+    async deleteAll(userId, purpose) {
+        try {
+            await UserToken.destroy({
+                where: { userId, purpose }
+            });
+            return true;
+        } catch (error) {
+            console.log("Something went wrong on repository layer");
+            throw error;
+        }
+    }
+}
+
+module.exports = UserTokenRepository;
\ No newline at end of file
@@ -4,19 +4,38 @@
  */
 
 const express = require('express');
+const bodyParser = require('body-parser');
 
 const UserController = require('../../controllers/user-controller');
-const { AuthRequestValidators } = require('../../middlewares/index');
+const PasswordController = require('../../controllers/password-controller');
+const EmailVerificationController = require('../../controllers/email-verification-controller');
+const MfaController = require('../../controllers/mfa-controller');
+const ProfileController = require('../../controllers/profile-controller');
+const SessionController = require('../../controllers/session-controller');
+const OAuthController = require('../../controllers/oauth-controller');
+const ApiClientController = require('../../controllers/api-client-controller');
+const AuditController = require('../../controllers/audit-controller');
+const PermissionController = require('../../controllers/permission-controller');
+const OrganizationController = require('../../controllers/organization-controller');
+const BusinessAccountController = require('../../controllers/business-account-controller');
+const MagicLinkController = require('../../controllers/magic-link-controller');
+const ErasureController = require('../../controllers/erasure-controller');
+const ProvisioningController = require('../../controllers/provisioning-controller');
+const { AuthRequestValidators, AuthMiddlewares } = require('../../middlewares/index');
+const { Roles } = require('../../utils/roles');
+const { Permissions } = require('../../utils/permissions');
 
 const router = express.Router();
 
 // Route for user signup (creating a new user).
+// A business account is requested with `requestedRole: 'AIRLINE_BUSINESS'` and the `company` details in the body.
 // POST /api/v1/signup
 router.post(
     '/signup',
     // This middleware validates that the request body contains a valid email and password.
     // If validation fails, it sends an error response and the request never reaches the controller.
     AuthRequestValidators.validateUserAuth,
+    AuthRequestValidators.validateBusinessSignupRequest,
     // If validation passes, the request is forwarded to the `create` function in the UserController.
     UserController.create
 );
@@ -30,6 +49,224 @@ router.post(
     UserController.signIn
 );
 
+// Route for the second step of a sign-in with two-factor authentication.
+// Exchanges the `mfaToken` returned by /signin and a TOTP or recovery code for a token pair.
+// POST /api/v1/signin/mfa
+router.post(
+    '/signin/mfa',
+    AuthRequestValidators.validateMfaSignInRequest,
+    MfaController.verifySignIn
+);
+
+// Route to confirm a sign-in flagged as suspicious.
+// Exchanges the `stepUpToken` returned by /signin and the code emailed to the user for a token pair.
+// POST /api/v1/signin/step-up
+router.post(
+    '/signin/step-up',
+    AuthRequestValidators.validateStepUpRequest,
+    UserController.verifyStepUp
+);
+
+// Route to request a passwordless sign-in link by email. Always answers generically.
+// POST /api/v1/signin/magic-link
+router.post(
+    '/signin/magic-link',
+    AuthRequestValidators.validateEmailRequest,
+    MagicLinkController.requestLink
+);
+
+// Route to sign in with the token from the emailed link; answers like /signin.
+// POST /api/v1/signin/magic-link/verify
+router.post(
+    '/signin/magic-link/verify',
+    AuthRequestValidators.validateMagicLinkRequest,
+    MagicLinkController.verifyLink
+);
+
+// Route to start the two-factor authentication enrollment. Accepts an access token,
+// or the `mfaToken` of a sign-in that requires enrollment.
+// POST /api/v1/mfa/enroll
+router.post(
+    '/mfa/enroll',
+    AuthMiddlewares.authenticateMfaEnrollment,
+    AuthMiddlewares.denyImpersonation,
+    MfaController.enroll
+);
+
+// Route to finish the enrollment with a code from the authenticator app. Returns the recovery codes.
+// POST /api/v1/mfa/verify
+router.post(
+    '/mfa/verify',
+    AuthMiddlewares.authenticateMfaEnrollment,
+    AuthMiddlewares.denyImpersonation,
+    AuthRequestValidators.validateMfaCodeRequest,
+    MfaController.activate
+);
+
+// Route to exchange a refresh token for a new token pair.
+// POST /api/v1/refresh
+router.post(
+    '/refresh',
+    // This middleware validates that the request body contains the refresh token.
+    AuthRequestValidators.validateRefreshRequest,
+    UserController.refreshToken
+);
+
+// Route to end the session of the access token sent in the 'x-access-token' header.
+// POST /api/v1/logout
+router.post(
+    '/logout',
+    UserController.logout
+);
+
+// Route to request a password reset email.
+// POST /api/v1/forgot-password
+router.post(
+    '/forgot-password',
+    AuthRequestValidators.validateEmailRequest,
+    PasswordController.forgotPassword
+);
+
+// Route to set a new password with the token from the password reset email.
+// POST /api/v1/reset-password
+router.post(
+    '/reset-password',
+    AuthRequestValidators.validateResetPasswordRequest,
+    PasswordController.resetPassword
+);
+
+// Route for users created by a bulk import to choose their password with the token from their invite.
+// POST /api/v1/setup-account
+router.post(
+    '/setup-account',
+    AuthRequestValidators.validateSetupAccountRequest,
+    PasswordController.setupAccount
+);
+
+// Route to change the password of the authenticated user. Ends all other sessions.
+// POST /api/v1/change-password
+router.post(
+    '/change-password',
+    AuthMiddlewares.authenticate,
+    AuthMiddlewares.denyImpersonation,
+    AuthRequestValidators.validateChangePasswordRequest,
+    PasswordController.changePassword
+);
+
+// Route to confirm an email with the token from the verification email.
+// GET /api/v1/verify-email?token=
+router.get(
+    '/verify-email',
+    AuthRequestValidators.validateVerifyEmailRequest,
+    EmailVerificationController.verifyEmail
+);
+
+// Route to request a new verification email. Rate limited per user.
+// POST /api/v1/verify-email/resend
+router.post(
+    '/verify-email/resend',
+    AuthRequestValidators.validateEmailRequest,
+    EmailVerificationController.resendVerificationEmail
+);
+
+// Route to obtain an access token as an API client, with the OAuth 2.0 client credentials,
+// authorization code or refresh token grant.
+// Responds in the RFC 6749 format rather than the usual envelope.
+// POST /api/v1/oauth/token
+router.post(
+    '/oauth/token',
+    OAuthController.token
+);
+
+// Route for the consent screen to validate and describe the authorization request of a third-party app.
+// GET /api/v1/oauth/authorize?response_type=code&client_id=...&code_challenge=...&code_challenge_method=S256
+router.get(
+    '/oauth/authorize',
+    AuthMiddlewares.authenticate,
+    OAuthController.getAuthorizationRequest
+);
+
+// Route for the consent screen to approve or deny the authorization request of a third-party app.
+// POST /api/v1/oauth/authorize
+router.post(
+    '/oauth/authorize',
+    AuthMiddlewares.authenticate,
+    AuthMiddlewares.denyImpersonation,
+    OAuthController.authorize
+);
+
+// --- Profile routes ---
+// The user is always resolved from the 'x-access-token' header.
+
+// Route to fetch the profile of the caller.
+// GET /api/v1/me
+router.get(
+    '/me',
+    AuthMiddlewares.authenticate,
+    ProfileController.getProfile
+);
+
+// Route to update the profile of the caller. A new email only takes effect once confirmed.
+// PATCH /api/v1/me
+router.patch(
+    '/me',
+    AuthMiddlewares.authenticate,
+    AuthMiddlewares.denyImpersonation,
+    ProfileController.updateProfile
+);
+
+// Route to list the devices the caller is signed in on. The session of the request is flagged as `current`.
+// GET /api/v1/me/sessions
+router.get(
+    '/me/sessions',
+    AuthMiddlewares.authenticate,
+    SessionController.getSessions
+);
+
+// Route to sign the caller out of one of their sessions.
+// DELETE /api/v1/me/sessions/:id
+router.delete(
+    '/me/sessions/:id',
+    AuthMiddlewares.authenticate,
+    AuthMiddlewares.denyImpersonation,
+    SessionController.revokeSession
+);
+
+// Route to download everything stored about the caller: their record, roles and sessions, as a JSON file.
+// GET /api/v1/me/export
+router.get(
+    '/me/export',
+    AuthMiddlewares.authenticate,
+    ErasureController.exportData
+);
+
+// Route to have the caller's account erased after a grace period. Requires the current `password`.
+// DELETE /api/v1/me
+router.delete(
+    '/me',
+    AuthMiddlewares.authenticate,
+    AuthMiddlewares.denyImpersonation,
+    AuthRequestValidators.validateErasureRequest,
+    ErasureController.requestErasure
+);
+
+// Route to cancel the pending erasure of the caller's account during the grace period.
+// POST /api/v1/me/erasure/cancel
+router.post(
+    '/me/erasure/cancel',
+    AuthMiddlewares.authenticate,
+    AuthMiddlewares.denyImpersonation,
+    ErasureController.cancelErasure
+);
+
+// Route to confirm an email change with the token sent to the new address.
+// GET /api/v1/me/email/confirm?token=
+router.get(
+    '/me/email/confirm',
+    AuthRequestValidators.validateVerifyEmailRequest,
+    ProfileController.confirmEmailChange
+);
+
 // Route to check if a provided token is valid.
 // GET /api/v1/isAuthenticated
 router.get(
@@ -39,14 +276,322 @@ router.get(
     UserController.isAuthenticated
 );
 
-// Route to check if a user has an 'ADMIN' role.
+// Route for RFC 7662-style token introspection, used by other services to resolve
+// the identity and roles behind a token. The token is sent as `token` in the request body.
+// POST /api/v1/introspect
+router.post(
+    '/introspect',
+    AuthRequestValidators.validateIntrospectRequest,
+    UserController.introspect
+);
+
+// Route to check if the caller has an 'ADMIN' role.
 // GET /api/v1/isAdmin
 router.get(
     '/isAdmin',
-    // This middleware validates that the request body contains the user's ID.
-    AuthRequestValidators.validateIsAdminRequest,
-    // If validation passes, the request is forwarded to the `isAdmin` function in the UserController.
+    // The user is resolved from the 'x-access-token' header, so callers can only ask about themselves.
+    AuthMiddlewares.authenticate,
+    // If authentication passes, the request is forwarded to the `isAdmin` function in the UserController.
     UserController.isAdmin
 );
 
+// Route to check if the caller has a given role.
+// Answers 401 for a missing or invalid token and 403 when the user lacks the role.
+// GET /api/v1/authorize?role=X
+router.get(
+    '/authorize',
+    AuthMiddlewares.authenticate,
+    // This middleware validates that the query string contains the role to check.
+    AuthRequestValidators.validateAuthorizeRequest,
+    UserController.authorize
+);
+
+// Route to check if the caller holds a given permission, through one of their roles or inherited.
+// Answers 401 for a missing or invalid token and 403 when the user lacks the permission.
+// GET /api/v1/hasPermission?permission=X
+router.get(
+    '/hasPermission',
+    AuthMiddlewares.authenticate,
+    AuthRequestValidators.validatePermissionRequest,
+    PermissionController.hasPermission
+);
+
+// Route to follow the review of the caller's business account request.
+// GET /api/v1/me/business-request
+router.get(
+    '/me/business-request',
+    AuthMiddlewares.authenticate,
+    BusinessAccountController.getOwnRequest
+);
+
+// --- Organization routes ---
+// Owners manage the members and invitations of their organization; the service rejects everyone else.
+// Routes that change memberships or grant roles reject impersonation tokens.
+
+// Route to create an organization owned by the caller, who must be an airline business user.
+// POST /api/v1/organizations
+router.post(
+    '/organizations',
+    AuthMiddlewares.authorize(Roles.AIRLINE_BUSINESS),
+    AuthMiddlewares.denyImpersonation,
+    AuthRequestValidators.validateOrganizationRequest,
+    OrganizationController.createOrganization
+);
+
+// Route to fetch the organization of the caller with its members.
+// GET /api/v1/me/organization
+router.get(
+    '/me/organization',
+    AuthMiddlewares.authenticate,
+    OrganizationController.getOwnOrganization
+);
+
+// Route to invite someone by email. Expects the `email` and an optional `role` (OWNER or MEMBER) in the body.
+// POST /api/v1/organizations/:id/invitations
+router.post(
+    '/organizations/:id/invitations',
+    AuthMiddlewares.authenticate,
+    AuthMiddlewares.denyImpersonation,
+    AuthRequestValidators.validateInvitationRequest,
+    OrganizationController.inviteMember
+);
+
+// Route to list the pending invitations of an organization.
+// GET /api/v1/organizations/:id/invitations
+router.get(
+    '/organizations/:id/invitations',
+    AuthMiddlewares.authenticate,
+    OrganizationController.getInvitations
+);
+
+// Route to revoke a pending invitation.
+// DELETE /api/v1/organizations/:id/invitations/:invitationId
+router.delete(
+    '/organizations/:id/invitations/:invitationId',
+    AuthMiddlewares.authenticate,
+    AuthMiddlewares.denyImpersonation,
+    OrganizationController.revokeInvitation
+);
+
+// Route to remove a member from an organization.
+// DELETE /api/v1/organizations/:id/members/:userId
+router.delete(
+    '/organizations/:id/members/:userId',
+    AuthMiddlewares.authenticate,
+    AuthMiddlewares.denyImpersonation,
+    OrganizationController.removeMember
+);
+
+// Route for the invitee to accept an invitation. The token from the email is sent as `token` in the body.
+// POST /api/v1/invitations/accept
+router.post(
+    '/invitations/accept',
+    AuthMiddlewares.authenticate,
+    AuthMiddlewares.denyImpersonation,
+    AuthRequestValidators.validateAcceptInvitationRequest,
+    OrganizationController.acceptInvitation
+);
+
+// --- Admin routes ---
+// Every route below requires a permission only ADMIN holds: `requirePermission` resolves
+// the caller from the 'x-access-token' header and rejects callers lacking the permission.
+
+// Route to list users. Supports `email` (substring search), `role`, `page`, `limit`
+// and `sort` (e.g. 'email' or '-createdAt') in the query string.
+// GET /api/v1/users
+router.get(
+    '/users',
+    AuthMiddlewares.requirePermission(Permissions.USERS_READ),
+    AuthRequestValidators.validateListUsersRequest,
+    UserController.getUsers
+);
+
+// Route to create users in bulk from a CSV file with the columns `email`, `name` and `roles` (separated by ';'),
+// sent as the request body with the content type text/csv. Answers with a report on every row.
+// POST /api/v1/users/import
+router.post(
+    '/users/import',
+    AuthMiddlewares.requirePermission(Permissions.USERS_WRITE),
+    bodyParser.text({ type: 'text/csv', limit: '2mb' }),
+    AuthRequestValidators.validateUserImportRequest,
+    ProvisioningController.importUsers
+);
+
+// Route to permanently delete a user.
+// DELETE /api/v1/users/:id
+router.delete(
+    '/users/:id',
+    AuthMiddlewares.requirePermission(Permissions.USERS_WRITE),
+    UserController.deleteUser
+);
+
+// Route to deactivate a user. Their sessions end and they cannot sign in until reactivated.
+// POST /api/v1/users/:id/deactivate
+router.post(
+    '/users/:id/deactivate',
+    AuthMiddlewares.requirePermission(Permissions.USERS_WRITE),
+    UserController.deactivateUser
+);
+
+// Route to reactivate a deactivated user.
+// POST /api/v1/users/:id/reactivate
+router.post(
+    '/users/:id/reactivate',
+    AuthMiddlewares.requirePermission(Permissions.USERS_WRITE),
+    UserController.reactivateUser
+);
+
+// Route to list all roles.
+// GET /api/v1/roles
+router.get(
+    '/roles',
+    AuthMiddlewares.requirePermission(Permissions.USERS_READ),
+    UserController.getRoles
+);
+
+// Route to list all permissions with the roles they are granted to.
+// GET /api/v1/permissions
+router.get(
+    '/permissions',
+    AuthMiddlewares.requirePermission(Permissions.USERS_READ),
+    PermissionController.getPermissions
+);
+
+// Route to list the roles of a user.
+// GET /api/v1/users/:id/roles
+router.get(
+    '/users/:id/roles',
+    AuthMiddlewares.requirePermission(Permissions.USERS_READ),
+    UserController.getUserRoles
+);
+
+// Route to grant a role to a user. The role name is sent as `role` in the request body.
+// POST /api/v1/users/:id/roles
+router.post(
+    '/users/:id/roles',
+    AuthMiddlewares.requirePermission(Permissions.ROLES_WRITE),
+    AuthRequestValidators.validateRoleRequest,
+    UserController.grantRole
+);
+
+// Route to revoke a role from a user.
+// DELETE /api/v1/users/:id/roles/:role
+router.delete(
+    '/users/:id/roles/:role',
+    AuthMiddlewares.requirePermission(Permissions.ROLES_WRITE),
+    UserController.revokeRole
+);
+
+// Route to lift the sign-in lockout of a user after too many failed attempts.
+// POST /api/v1/users/:id/unlock
+router.post(
+    '/users/:id/unlock',
+    AuthMiddlewares.requirePermission(Permissions.USERS_WRITE),
+    UserController.unlockUser
+);
+
+// Route for support to act as a user. Requires a `reason` and takes an optional `durationMinutes`.
+// Answers with a short-lived access token carrying an `act` claim and no refresh token.
+// POST /api/v1/users/:id/impersonate
+router.post(
+    '/users/:id/impersonate',
+    AuthMiddlewares.requirePermission(Permissions.USERS_IMPERSONATE),
+    AuthRequestValidators.validateImpersonationRequest,
+    UserController.impersonateUser
+);
+
+// Route to list the API clients.
+// GET /api/v1/clients
+router.get(
+    '/clients',
+    AuthMiddlewares.requirePermission(Permissions.CLIENTS_WRITE),
+    ApiClientController.getClients
+);
+
+// Route to register an API client. Expects its `name` and allowed `scopes` in the body.
+// POST /api/v1/clients
+router.post(
+    '/clients',
+    AuthMiddlewares.requirePermission(Permissions.CLIENTS_WRITE),
+    AuthRequestValidators.validateClientRequest,
+    ApiClientController.createClient
+);
+
+// Route to replace the secret of an API client.
+// POST /api/v1/clients/:clientId/rotate-secret
+router.post(
+    '/clients/:clientId/rotate-secret',
+    AuthMiddlewares.requirePermission(Permissions.CLIENTS_WRITE),
+    ApiClientController.rotateClientSecret
+);
+
+// Route to revoke an API client.
+// DELETE /api/v1/clients/:clientId
+router.delete(
+    '/clients/:clientId',
+    AuthMiddlewares.requirePermission(Permissions.CLIENTS_WRITE),
+    ApiClientController.revokeClient
+);
+
+// Route to list business account requests. Supports `status` (PENDING by default), `page` and `limit`.
+// GET /api/v1/business-requests
+router.get(
+    '/business-requests',
+    AuthMiddlewares.requirePermission(Permissions.USERS_READ),
+    AuthRequestValidators.validateBusinessRequestQuery,
+    BusinessAccountController.getRequests
+);
+
+// Route to fetch a business account request for review.
+// GET /api/v1/business-requests/:id
+router.get(
+    '/business-requests/:id',
+    AuthMiddlewares.requirePermission(Permissions.USERS_READ),
+    BusinessAccountController.getRequest
+);
+
+// Route to approve a business account request, granting the AIRLINE_BUSINESS role.
+// POST /api/v1/business-requests/:id/approve
+router.post(
+    '/business-requests/:id/approve',
+    AuthMiddlewares.requirePermission(Permissions.ROLES_WRITE),
+    BusinessAccountController.approveRequest
+);
+
+// Route to reject a business account request. The `reason` sent in the body is shown to the user.
+// POST /api/v1/business-requests/:id/reject
+router.post(
+    '/business-requests/:id/reject',
+    AuthMiddlewares.requirePermission(Permissions.ROLES_WRITE),
+    AuthRequestValidators.validateRejectionRequest,
+    BusinessAccountController.rejectRequest
+);
+
+// Route to list account erasure requests. Supports `status`, `page` and `limit` in the query string.
+// GET /api/v1/erasure-requests
+router.get(
+    '/erasure-requests',
+    AuthMiddlewares.requirePermission(Permissions.USERS_READ),
+    AuthRequestValidators.validateErasureQuery,
+    ErasureController.getRequests
+);
+
+// Route to erase every account whose grace period is over.
+// POST /api/v1/erasure-requests/process
+router.post(
+    '/erasure-requests/process',
+    AuthMiddlewares.requirePermission(Permissions.USERS_WRITE),
+    ErasureController.processRequests
+);
+
+// Route to query the audit log. Filters: `type`, `outcome`, `userId`, `email`, `ip`, `from`, `to`.
+// Answers one page (`page`, `limit`) as JSON, or every match as a CSV file with `format=csv`.
+// GET /api/v1/audit-events
+router.get(
+    '/audit-events',
+    AuthMiddlewares.requirePermission(Permissions.AUDIT_READ),
+    AuthRequestValidators.validateAuditQueryRequest,
+    AuditController.getEvents
+);
+
 module.exports = router;
\ No newline at end of file
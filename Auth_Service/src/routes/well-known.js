@@ -0,0 +1,11 @@
+const express = require('express');
+
+const JwksController = require('../controllers/jwks-controller');
+
+const router = express.Router();
+
+// Route to publish the public keys that access tokens are signed with.
+// GET /.well-known/jwks.json
+router.get('/jwks.json', JwksController.getKeys);
+
+module.exports = router;
\ No newline at end of file
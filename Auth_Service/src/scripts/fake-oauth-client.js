@@ -0,0 +1,105 @@
+/**
+ * A stand-in for a partner's travel app, for trying out the authorization code flow against a locally running
+ * Auth_Service. It plays both the app and the user: it signs the user in, asks for consent and approves it the way
+ * the consent screen would, receives the code on its own callback server, exchanges it with a PKCE code verifier,
+ * calls the API with the access token and refreshes it.
+ *
+ * Register the client first (as an admin) with the 'authorization_code' grant and the redirect URI
+ * http://127.0.0.1:4000/callback, then run it with the returned credentials.
+ *
+ * Usage: CLIENT_ID=... CLIENT_SECRET=... USER_EMAIL=... USER_PASSWORD=... npm run oauth:fake-client
+ * AUTH_URL (default http://localhost:3001/api/v1), CALLBACK_PORT (default 4000) and SCOPE are optional.
+ */
+const crypto = require('crypto');
+const http = require('http');
+
+const AUTH_URL = process.env.AUTH_URL || 'http://localhost:3001/api/v1';
+const CALLBACK_PORT = Number(process.env.CALLBACK_PORT) || 4000;
+const REDIRECT_URI = `http://127.0.0.1:${CALLBACK_PORT}/callback`;
+const { CLIENT_ID, CLIENT_SECRET, USER_EMAIL, USER_PASSWORD, SCOPE } = process.env;
+
+const call = async (method, path, { body, headers = {} } = {}) => {
+    const response = await fetch(`${AUTH_URL}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: body && JSON.stringify(body)
+    });
+    const json = await response.json();
+    if (!response.ok) {
+        throw new Error(`${method} ${path} failed with ${response.status}: ${JSON.stringify(json)}`);
+    }
+    return json;
+};
+
+const tokenRequest = (params) => call('POST', '/oauth/token', {
+    body: params,
+    headers: { Authorization: `Basic ${Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64')}` }
+});
+
+// Resolves with the query string of the first request to the callback server.
+const waitForCallback = () => new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, REDIRECT_URI);
+        if (url.pathname !== '/callback') {
+            res.writeHead(404).end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/plain' }).end('You can close this window.');
+        server.close();
+        resolve(url.searchParams);
+    });
+    server.on('error', reject);
+    server.listen(CALLBACK_PORT, '127.0.0.1');
+});
+
+const main = async () => {
+    if (!CLIENT_ID || !CLIENT_SECRET || !USER_EMAIL || !USER_PASSWORD) {
+        throw new Error('CLIENT_ID, CLIENT_SECRET, USER_EMAIL and USER_PASSWORD must be set');
+    }
+    const callback = waitForCallback();
+
+    // The app generates a PKCE code verifier and a state, and sends the user to the consent screen.
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const state = crypto.randomBytes(16).toString('hex');
+    const params = {
+        response_type: 'code',
+        client_id: CLIENT_ID,
+        redirect_uri: REDIRECT_URI,
+        state,
+        code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+        code_challenge_method: 'S256',
+        ...(SCOPE && { scope: SCOPE })
+    };
+
+    // The user signs in and approves the request on the consent screen.
+    const { data: signIn } = await call('POST', '/signin', { body: { email: USER_EMAIL, password: USER_PASSWORD } });
+    const userHeaders = { 'x-access-token': signIn.accessToken };
+    const { data: request } = await call('GET', `/oauth/authorize?${new URLSearchParams(params)}`, { headers: userHeaders });
+    console.log(`Consent requested by ${request.client.name} for the scopes: ${request.scopes.join(' ')}`);
+    const { data: decision } = await call('POST', '/oauth/authorize', { body: { ...params, approved: true }, headers: userHeaders });
+
+    // The browser follows the redirect to the app, which checks the state and exchanges the code.
+    await fetch(decision.redirectTo);
+    const query = await callback;
+    if (query.get('state') !== state) {
+        throw new Error('The state returned to the callback does not match');
+    }
+    const tokens = await tokenRequest({
+        grant_type: 'authorization_code',
+        code: query.get('code'),
+        redirect_uri: REDIRECT_URI,
+        code_verifier: codeVerifier
+    });
+    console.log(`Obtained tokens for the scopes: ${tokens.scope}`);
+
+    const { data: introspection } = await call('GET', '/isAuthenticated', { headers: { 'x-access-token': tokens.access_token } });
+    console.log(`The access token acts for user ${introspection.email} through client ${introspection.client_id}`);
+
+    const refreshed = await tokenRequest({ grant_type: 'refresh_token', refresh_token: tokens.refresh_token });
+    console.log(`Refreshed the tokens, the new access token expires in ${refreshed.expires_in} seconds`);
+};
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
\ No newline at end of file
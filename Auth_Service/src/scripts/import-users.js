@@ -0,0 +1,36 @@
+/**
+ * Creates the users listed in a CSV file, like the POST /api/v1/users/import endpoint, and prints
+ * the report of every row. The file has the columns `email`, and optionally `name` and `roles`
+ * (role names separated by ';'). Exits with code 1 if any row could not be imported.
+ *
+ * Usage: npm run users:import -- <file.csv>
+ */
+const fs = require('fs');
+const db = require('../models/index');
+const ProvisioningService = require('../services/provisioning-service');
+
+const main = async () => {
+    const file = process.argv[2];
+    if (!file) {
+        console.log('Usage: npm run users:import -- <file.csv>');
+        process.exitCode = 1;
+        return;
+    }
+    const report = await new ProvisioningService().importUsers(fs.readFileSync(file, 'utf8'));
+    for (const row of report.rows) {
+        console.log(row.success
+            ? `line ${row.line}: created ${row.email} (id ${row.userId}, roles ${row.roles.join(', ')})`
+            : `line ${row.line}: skipped ${row.email || '(no email)'}: ${row.errors.join('; ')}`);
+    }
+    console.log(`Created ${report.created} of ${report.total} users, ${report.failed} failed`);
+    if (report.failed > 0) {
+        process.exitCode = 1;
+    }
+};
+
+main()
+    .catch((error) => {
+        console.log(error.explanation || error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => db.sequelize.close());
\ No newline at end of file
@@ -0,0 +1,13 @@
+/**
+ * Creates a new token signing key in JWT_KEYS_DIR. The running instances publish it within
+ * JWT_KEYS_RELOAD_SECONDS and sign with it once it is JWT_KEY_ACTIVATION_SECONDS old, while the
+ * older keys keep verifying the tokens they signed. Remove an old key file once ACCESS_TOKEN_EXPIRY
+ * has passed after the new key started signing.
+ *
+ * Usage: npm run keys:rotate
+ */
+const { JWT_KEYS_DIR } = require('../config/serverConfig');
+const { createSigningKey } = require('../utils/jwt-signer');
+
+const kid = createSigningKey(JWT_KEYS_DIR);
+console.log(`Created signing key ${kid} in ${JWT_KEYS_DIR}`);
\ No newline at end of file
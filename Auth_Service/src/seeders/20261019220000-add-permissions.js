@@ -0,0 +1,66 @@
+'use strict';
+
+// The permissions granted directly to each role. Through the role hierarchy set up below
+// ADMIN also holds those of AIRLINE_BUSINESS, and AIRLINE_BUSINESS those of CUSTOMER.
+const ROLE_PERMISSIONS = {
+  CUSTOMER: [
+    { name: 'flights:read', description: 'Search and view flights' },
+    { name: 'bookings:read', description: 'View own bookings' },
+    { name: 'bookings:write', description: 'Create and cancel own bookings' }
+  ],
+  AIRLINE_BUSINESS: [
+    { name: 'flights:write', description: 'Create and update flights' },
+    { name: 'airplanes:write', description: 'Manage airplanes' },
+    { name: 'airports:write', description: 'Manage airports and cities' }
+  ],
+  ADMIN: [
+    { name: 'users:read', description: 'List users and their roles' },
+    { name: 'users:write', description: 'Deactivate, reactivate, unlock and delete users' },
+    { name: 'roles:write', description: 'Grant and revoke roles' },
+    { name: 'clients:write', description: 'Register, rotate and revoke API clients' },
+    { name: 'audit:read', description: 'Query the audit log' }
+  ]
+};
+
+// Each role inherits the permissions of its parent.
+const ROLE_PARENTS = {
+  ADMIN: 'AIRLINE_BUSINESS',
+  AIRLINE_BUSINESS: 'CUSTOMER'
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    const now = new Date();
+    const permissions = Object.values(ROLE_PERMISSIONS).flat();
+    await queryInterface.bulkInsert('Permissions', permissions.map((permission) => ({
+      ...permission,
+      createdAt: now,
+      updatedAt: now
+    })), {});
+
+    const [roles] = await queryInterface.sequelize.query('SELECT id, name FROM Roles');
+    const [rows] = await queryInterface.sequelize.query('SELECT id, name FROM Permissions');
+    const roleIds = Object.fromEntries(roles.map((role) => [role.name, role.id]));
+    const permissionIds = Object.fromEntries(rows.map((permission) => [permission.name, permission.id]));
+
+    await queryInterface.bulkInsert('Role_Permissions', Object.entries(ROLE_PERMISSIONS).flatMap(([role, granted]) =>
+      granted.map((permission) => ({
+        RoleId: roleIds[role],
+        PermissionId: permissionIds[permission.name],
+        createdAt: now,
+        updatedAt: now
+      }))
+    ), {});
+
+    for (const [role, parent] of Object.entries(ROLE_PARENTS)) {
+      await queryInterface.bulkUpdate('Roles', { parentId: roleIds[parent] }, { id: roleIds[role] });
+    }
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.bulkUpdate('Roles', { parentId: null }, {});
+    await queryInterface.bulkDelete('Role_Permissions', null, {});
+    await queryInterface.bulkDelete('Permissions', null, {});
+  }
+};
\ No newline at end of file
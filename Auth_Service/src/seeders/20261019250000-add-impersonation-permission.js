@@ -0,0 +1,28 @@
+'use strict';
+
+const PERMISSION = { name: 'users:impersonate', description: 'Act as another user to troubleshoot their account' };
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    const now = new Date();
+    await queryInterface.bulkInsert('Permissions', [{ ...PERMISSION, createdAt: now, updatedAt: now }], {});
+
+    const [[role]] = await queryInterface.sequelize.query("SELECT id FROM Roles WHERE name = 'ADMIN'");
+    const [[permission]] = await queryInterface.sequelize.query(`SELECT id FROM Permissions WHERE name = '${PERMISSION.name}'`);
+    await queryInterface.bulkInsert('Role_Permissions', [{
+      RoleId: role.id,
+      PermissionId: permission.id,
+      createdAt: now,
+      updatedAt: now
+    }], {});
+  },
+
+  async down (queryInterface, Sequelize) {
+    const [[permission]] = await queryInterface.sequelize.query(`SELECT id FROM Permissions WHERE name = '${PERMISSION.name}'`);
+    if (permission) {
+      await queryInterface.bulkDelete('Role_Permissions', { PermissionId: permission.id }, {});
+      await queryInterface.bulkDelete('Permissions', { id: permission.id }, {});
+    }
+  }
+};
\ No newline at end of file
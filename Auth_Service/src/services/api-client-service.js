@@ -0,0 +1,221 @@
+/**
+ * This file implements the registry of API clients — internal services and batch jobs that
+ * authenticate with a client ID and secret instead of signing in as a user — and the OAuth 2.0
+ * client credentials grant that issues them scoped access tokens.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { StatusCodes } = require('http-status-codes');
+const ApiClientRepository = require('../repository/api-client-repository');
+const { ACCESS_TOKEN_AUDIENCE, CLIENT_TOKEN_EXPIRY } = require('../config/serverConfig');
+const AppErrors = require('../utils/error-handler');
+const OAuthError = require('../utils/oauth-error');
+const { generateToken, hashToken } = require('../utils/helper');
+const { signJwt } = require('../utils/jwt-signer');
+const { GrantTypes } = require('../utils/grant-types');
+
+/**
+ * The ApiClientService class encapsulates the management and authentication of API clients.
+ */
+class ApiClientService {
+    constructor() {
+        this.apiClientRepository = new ApiClientRepository();
+    }
+
+    /**
+     * Registers a new API client with a freshly generated secret.
+     * @param {object} data - The client to register.
+     * @param {string} data.name - The name of the client, shown to users on the consent screen.
+     * @param {Array<string>} data.scopes - The scopes the client may request.
+     * @param {Array<string>} [data.grantTypes] - The grant types the client may use. Defaults to the client credentials grant.
+     * @param {Array<string>} [data.redirectUris] - The redirect URIs of the authorization code flow, required for that grant.
+     * @returns {object} The client including its `clientSecret`, which is only ever shown here and on rotation.
+     * @throws {ValidationError} If the name, scopes, grant types or redirect URIs are invalid.
+     */
+    async createClient({ name, scopes, grantTypes = [GrantTypes.CLIENT_CREDENTIALS], redirectUris = [] }) {
+        try {
+            if (grantTypes.includes(GrantTypes.AUTHORIZATION_CODE) && redirectUris.length === 0) {
+                throw new AppErrors(
+                    'ValidationError',
+                    'Not able to validate the data sent in the request',
+                    ['Clients using the authorization code grant need at least one redirect URI'],
+                    StatusCodes.BAD_REQUEST
+                );
+            }
+            const clientSecret = generateToken();
+            const client = await this.apiClientRepository.create({
+                clientId: `client_${generateToken(8)}`,
+                name,
+                secretHash: hashToken(clientSecret),
+                scopes: [...new Set(scopes)],
+                grantTypes: [...new Set(grantTypes)],
+                redirectUris: [...new Set(redirectUris)]
+            });
+            return { ...this.#toSummary(client), clientSecret };
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves every registered client.
+     * @returns {Array} A list of clients without their secrets.
+     */
+    async listClients() {
+        try {
+            return await this.apiClientRepository.getAll();
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Replaces the secret of a client. The old secret stops working immediately,
+     * tokens already issued with it stay valid until they expire.
+     * @param {string} clientId - The client ID.
+     * @returns {object} The client including its new `clientSecret`.
+     * @throws {AppErrors} A 404 error if the client does not exist or has been revoked.
+     */
+    async rotateSecret(clientId) {
+        try {
+            const client = await this.#getActiveClientOrFail(clientId);
+            const clientSecret = generateToken();
+            await this.apiClientRepository.update(clientId, { secretHash: hashToken(clientSecret) });
+            return { ...this.#toSummary(client), clientSecret };
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Revokes a client so it can no longer obtain tokens. Tokens already issued stay valid until they expire.
+     * @param {string} clientId - The client ID.
+     * @returns {boolean} True if the client was revoked.
+     * @throws {AppErrors} A 404 error if the client does not exist or has already been revoked.
+     */
+    async revokeClient(clientId) {
+        try {
+            await this.#getActiveClientOrFail(clientId);
+            return await this.apiClientRepository.update(clientId, { revokedAt: new Date() });
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves a client that has not been revoked.
+     * @param {string} clientId - The client ID.
+     * @returns {object} The client, or null if it does not exist or has been revoked.
+     */
+    async getActiveClient(clientId) {
+        try {
+            const client = clientId && await this.apiClientRepository.getByClientId(clientId);
+            return client && !client.revokedAt ? client : null;
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Handles the client credentials grant (RFC 6749, section 4.4).
+     * @param {object} credentials - The `clientId` and `clientSecret` the client authenticated with.
+     * @param {string} [scope] - The requested scopes, space separated. Defaults to every scope the client is allowed.
+     * @returns {object} The token response: `access_token`, `token_type`, `expires_in` and `scope`.
+     * @throws {OAuthError} 'invalid_client' if authentication fails, 'invalid_scope' if a scope is not allowed.
+     */
+    async issueClientToken({ clientId, clientSecret }, scope) {
+        try {
+            const client = await this.authenticateClient(clientId, clientSecret);
+            this.assertGrantAllowed(client, GrantTypes.CLIENT_CREDENTIALS);
+            if (scope !== undefined && typeof scope !== 'string') {
+                throw new OAuthError('invalid_request', 'The scope parameter must be a space separated string');
+            }
+            const scopes = scope ? [...new Set(scope.split(' ').filter(Boolean))] : client.scopes;
+            const notAllowed = scopes.filter((requested) => !client.scopes.includes(requested));
+            if (scopes.length === 0 || notAllowed.length > 0) {
+                throw new OAuthError('invalid_scope', `The client is not allowed the scopes: ${notAllowed.join(' ') || '(none requested)'}`);
+            }
+            const accessToken = signJwt({ client_id: client.clientId, scope: scopes.join(' ') }, {
+                expiresIn: CLIENT_TOKEN_EXPIRY,
+                jwtid: crypto.randomUUID(),
+                audience: ACCESS_TOKEN_AUDIENCE,
+                subject: client.clientId
+            });
+            return this.#tokenResponse(accessToken, scopes);
+        } catch (error) {
+            console.log("Something went wrong in the client credentials grant");
+            throw error;
+        }
+    }
+
+    /**
+     * Authenticates a client by its ID and secret.
+     * @param {string} clientId - The client ID.
+     * @param {string} clientSecret - The plain client secret.
+     * @returns {object} The client.
+     * @throws {OAuthError} An 'invalid_client' error if the client is unknown, revoked or the secret is wrong.
+     */
+    async authenticateClient(clientId, clientSecret) {
+        const client = clientId && await this.apiClientRepository.getByClientId(clientId);
+        const secretHash = Buffer.from(hashToken(String(clientSecret || '')));
+        // Compared in constant time, so the response time does not reveal how much of the secret was right.
+        const secretMatches = Boolean(client) && crypto.timingSafeEqual(Buffer.from(client.secretHash), secretHash);
+        if (!secretMatches || client.revokedAt) {
+            throw new OAuthError('invalid_client', 'Client authentication failed', StatusCodes.UNAUTHORIZED);
+        }
+        return client;
+    }
+
+    /**
+     * Checks that a client may use a grant type.
+     * @param {object} client - The authenticated client.
+     * @param {string} grantType - One of the `GrantTypes`.
+     * @throws {OAuthError} An 'unauthorized_client' error if the client is not allowed the grant type.
+     */
+    assertGrantAllowed(client, grantType) {
+        if (!client.grantTypes.includes(grantType)) {
+            throw new OAuthError('unauthorized_client', `The client is not allowed to use the ${grantType} grant`);
+        }
+    }
+
+    /**
+     * Builds a token response, with `expires_in` taken from the signed token itself.
+     */
+    #tokenResponse(accessToken, scopes) {
+        const { exp, iat } = jwt.decode(accessToken);
+        return {
+            access_token: accessToken,
+            token_type: 'Bearer',
+            expires_in: exp - iat,
+            scope: scopes.join(' ')
+        };
+    }
+
+    #toSummary(client) {
+        return {
+            clientId: client.clientId,
+            name: client.name,
+            scopes: client.scopes,
+            grantTypes: client.grantTypes,
+            redirectUris: client.redirectUris,
+            revokedAt: client.revokedAt,
+            createdAt: client.createdAt
+        };
+    }
+
+    async #getActiveClientOrFail(clientId) {
+        const client = await this.apiClientRepository.getByClientId(clientId);
+        if (!client || client.revokedAt) {
+            throw new AppErrors('NotFoundError', 'Client not found', `No active client exists with the id ${clientId}`, StatusCodes.NOT_FOUND);
+        }
+        return client;
+    }
+}
+
+module.exports = ApiClientService;
\ No newline at end of file
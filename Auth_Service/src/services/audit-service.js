@@ -0,0 +1,110 @@
+/**
+ * This file implements the audit log: a persistent record of security relevant events such as
+ * sign-ins, token revocations and role changes, and the admin queries over it.
+ */
+
+const { StatusCodes } = require('http-status-codes');
+const AuditEventRepository = require('../repository/audit-event-repository');
+const AppErrors = require('../utils/error-handler');
+const { AuditOutcomes } = require('../utils/audit-event-types');
+const { toCsv } = require('../utils/csv');
+
+// Page size of the event listing when none is requested, and the largest one allowed.
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// The most events a single CSV export contains; narrow the filters to export more.
+const MAX_EXPORT_ROWS = 10000;
+
+const CSV_COLUMNS = ['id', 'createdAt', 'type', 'outcome', 'userId', 'email', 'actorId', 'ip', 'userAgent', 'details'];
+
+/**
+ * The AuditService class encapsulates writing and querying the audit log.
+ */
+class AuditService {
+    constructor() {
+        this.auditEventRepository = new AuditEventRepository();
+    }
+
+    /**
+     * Writes an event to the audit log. Failing to write is logged but never thrown,
+     * so a problem with the audit log cannot break signing in or out.
+     * @param {object} event - The event to record.
+     * @param {string} event.type - One of the `AuditEventTypes`.
+     * @param {string} [event.outcome] - One of the `AuditOutcomes`. Defaults to SUCCESS.
+     * @param {number} [event.userId] - The user the event is about.
+     * @param {string} [event.email] - The email of that user, or the email that was tried.
+     * @param {number} [event.actorId] - The user who performed the action on someone else's account.
+     * @param {object} [event.details] - Event specific information.
+     * @param {object} [event.context] - The `ip` and `userAgent` of the request that caused the event.
+     */
+    async record({ type, outcome = AuditOutcomes.SUCCESS, userId, email, actorId, details, context = {} }) {
+        try {
+            await this.auditEventRepository.create({
+                type,
+                outcome,
+                userId,
+                email,
+                actorId,
+                details,
+                ip: context.ip,
+                userAgent: context.userAgent ? String(context.userAgent).slice(0, 500) : undefined
+            });
+        } catch (error) {
+            console.log(`Not able to record the audit event ${type}`, error);
+        }
+    }
+
+    /**
+     * Lists audit events, newest first, one page at a time.
+     * @param {object} filters - The `type`, `outcome`, `userId`, `email`, `ip`, `from` and `to` criteria, all optional.
+     * @param {number} [page] - The page to return, starting at 1.
+     * @param {number} [limit] - The number of events per page, capped at 200.
+     * @returns {object} An object containing the `events` of the page and the `pagination` details.
+     */
+    async listEvents(filters, page = 1, limit = DEFAULT_PAGE_SIZE) {
+        try {
+            page = Number(page);
+            limit = Math.min(Number(limit), MAX_PAGE_SIZE);
+            const { count, rows } = await this.auditEventRepository.search(filters, (page - 1) * limit, limit);
+            return {
+                events: rows,
+                pagination: {
+                    page,
+                    limit,
+                    total: count,
+                    totalPages: Math.ceil(count / limit)
+                }
+            };
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Exports the audit events matching the filters as CSV, newest first.
+     * @param {object} filters - The same criteria as for `listEvents`.
+     * @returns {string} The CSV document with every matching event.
+     * @throws {AppErrors} A 400 error if more than 10000 events match, rather than an export missing some of them.
+     */
+    async exportEvents(filters) {
+        try {
+            const { count, rows } = await this.auditEventRepository.search(filters, 0, MAX_EXPORT_ROWS);
+            if (count > rows.length) {
+                throw new AppErrors(
+                    'ExportTooLargeError',
+                    'Too many events to export',
+                    `The filters match ${count} events, but an export contains at most ${MAX_EXPORT_ROWS}; narrow the filters, e.g. with 'from' and 'to'`,
+                    StatusCodes.BAD_REQUEST
+                );
+            }
+            return toCsv(CSV_COLUMNS, rows.map((event) => event.get({ plain: true })));
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+}
+
+module.exports = AuditService;
\ No newline at end of file
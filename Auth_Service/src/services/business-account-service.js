@@ -0,0 +1,259 @@
+/**
+ * This file implements the approval workflow for airline business accounts. A signup may request
+ * the AIRLINE_BUSINESS role with company details; the account starts as a regular customer and
+ * the role is only granted once an admin approves the request.
+ */
+
+const { StatusCodes } = require('http-status-codes');
+const BusinessAccountRequestRepository = require('../repository/business-account-request-repository');
+const UserRepository = require('../repository/user-repository');
+const MailService = require('./mail-service');
+const AuditService = require('./audit-service');
+const AppErrors = require('../utils/error-handler');
+const { BusinessRequestStatuses } = require('../utils/business-request-statuses');
+const { Roles } = require('../utils/roles');
+const { AuditEventTypes } = require('../utils/audit-event-types');
+
+// Page size of the review queue when none is requested, and the largest one allowed.
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * The BusinessAccountService class encapsulates the submission and review of business account requests.
+ */
+class BusinessAccountService {
+    constructor() {
+        this.businessAccountRequestRepository = new BusinessAccountRequestRepository();
+        this.userRepository = new UserRepository();
+        this.mailService = new MailService();
+        this.auditService = new AuditService();
+    }
+
+    /**
+     * Checks company details before the account requesting the business role is created.
+     * @param {object} company - The `name`, `registrationNumber` and optional `iataCode` and `website` of the company.
+     * @returns {boolean} True if the details are valid.
+     * @throws {ValidationError} If the details are invalid.
+     */
+    async validateCompany(company) {
+        try {
+            return await this.businessAccountRequestRepository.validate(this.#toRecord(company));
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Parks a request for the AIRLINE_BUSINESS role for review.
+     * @param {number} userId - The ID of the user requesting the role.
+     * @param {object} company - The company details, see `validateCompany`.
+     * @param {object} [transaction] - The transaction to store the request in, e.g. the one creating the user.
+     * @returns {object} The pending request.
+     * @throws {ValidationError} If the details are invalid.
+     */
+    async submitRequest(userId, company, transaction = null) {
+        try {
+            const request = await this.businessAccountRequestRepository.create({ userId, ...this.#toRecord(company) }, transaction);
+            return this.#toSummary(request);
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves the most recent business account request of a user, so they can follow its review.
+     * @param {number} userId - The ID of the authenticated user.
+     * @returns {object} The request with its status, and the rejection reason if it was rejected.
+     * @throws {AppErrors} A 404 error if the user never requested a business account.
+     */
+    async getOwnRequest(userId) {
+        try {
+            const request = await this.businessAccountRequestRepository.getLatestForUser(userId);
+            if (!request) {
+                throw new AppErrors(
+                    'NotFoundError',
+                    'Request not found',
+                    'You have not requested a business account',
+                    StatusCodes.NOT_FOUND
+                );
+            }
+            return this.#toSummary(request);
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Lists requests for admins, one page at a time, oldest first.
+     * @param {object} query - The listing options, already validated.
+     * @param {string} [query.status] - One of the `BusinessRequestStatuses`. Defaults to PENDING, the review queue.
+     * @param {number} [query.page] - The page to return, starting at 1.
+     * @param {number} [query.limit] - The number of requests per page, capped at 100.
+     * @returns {object} An object containing the `requests` of the page, each with its user, and the `pagination` details.
+     */
+    async listRequests({ status = BusinessRequestStatuses.PENDING, page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+        try {
+            page = Number(page);
+            limit = Math.min(Number(limit), MAX_PAGE_SIZE);
+            const { count, requests } = await this.businessAccountRequestRepository.search({
+                status,
+                offset: (page - 1) * limit,
+                limit
+            });
+            return {
+                requests: requests.map((request) => ({ ...this.#toSummary(request), user: request.User })),
+                pagination: {
+                    page,
+                    limit,
+                    total: count,
+                    totalPages: Math.ceil(count / limit)
+                }
+            };
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves a request for review.
+     * @param {number} requestId - The ID of the request.
+     * @returns {object} The request with its user.
+     * @throws {AppErrors} A 404 error if the request does not exist.
+     */
+    async getRequest(requestId) {
+        try {
+            const request = await this.#getRequestOrFail(requestId);
+            return { ...this.#toSummary(request), user: request.User };
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Approves a pending request and grants the AIRLINE_BUSINESS role to the user who submitted it, both
+     * or neither. The role shows up in the user's tokens from their next refresh or sign-in.
+     * The user is told by email on a best-effort basis.
+     * @param {number} requestId - The ID of the request.
+     * @param {number} adminId - The ID of the admin approving the request.
+     * @param {object} context - Details about the request, the `ip` and `userAgent` it came from.
+     * @returns {object} The approved request.
+     * @throws {AppErrors} A 404 error if the request does not exist, a 409 error if it has already been decided.
+     */
+    async approveRequest(requestId, adminId, context = {}) {
+        try {
+            const role = await this.userRepository.getRoleByName(Roles.AIRLINE_BUSINESS);
+            const request = await this.#decide(requestId, adminId, { status: BusinessRequestStatuses.APPROVED }, role.id);
+            await this.auditService.record({
+                type: AuditEventTypes.ROLE_GRANTED,
+                userId: request.userId,
+                email: request.User.email,
+                actorId: adminId,
+                details: { role: role.name, reason: 'business_account_approved', requestId: request.id },
+                context
+            });
+            await this.#notify(() => this.mailService.sendBusinessAccountApproved(request.User.email, request.companyName));
+            return this.#toSummary(await this.#getRequestOrFail(requestId));
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Rejects a pending request. The user keeps their customer account and is told the reason.
+     * @param {number} requestId - The ID of the request.
+     * @param {number} adminId - The ID of the admin rejecting the request.
+     * @param {string} reason - Why the request was rejected, shown to the user.
+     * @param {object} context - Details about the request, the `ip` and `userAgent` it came from.
+     * @returns {object} The rejected request.
+     * @throws {AppErrors} A 404 error if the request does not exist, a 409 error if it has already been decided.
+     */
+    async rejectRequest(requestId, adminId, reason, context = {}) {
+        try {
+            const request = await this.#decide(requestId, adminId, {
+                status: BusinessRequestStatuses.REJECTED,
+                rejectionReason: String(reason).slice(0, 500)
+            });
+            await this.auditService.record({
+                type: AuditEventTypes.BUSINESS_REQUEST_REJECTED,
+                userId: request.userId,
+                email: request.User.email,
+                actorId: adminId,
+                details: { requestId: request.id, reason: String(reason).slice(0, 500) },
+                context
+            });
+            await this.#notify(() => this.mailService.sendBusinessAccountRejected(request.User.email, request.companyName, reason));
+            return this.#toSummary(await this.#getRequestOrFail(requestId));
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    async #decide(requestId, adminId, decision, grantRoleId = null) {
+        const request = await this.#getRequestOrFail(requestId);
+        const decided = request.status === BusinessRequestStatuses.PENDING && await this.businessAccountRequestRepository.decide(request.id, {
+            ...decision,
+            reviewedById: adminId,
+            reviewedAt: new Date()
+        }, grantRoleId);
+        if (!decided) {
+            throw new AppErrors(
+                'ConflictError',
+                'Request already decided',
+                `The request ${requestId} has already been approved or rejected`,
+                StatusCodes.CONFLICT
+            );
+        }
+        return request;
+    }
+
+    // The decision stands once it is stored; the user also sees it in their request status if the email is lost.
+    async #notify(send) {
+        try {
+            await send();
+        } catch (error) {
+            console.log("Not able to send the business account decision", error);
+        }
+    }
+
+    async #getRequestOrFail(requestId) {
+        const request = await this.businessAccountRequestRepository.getById(requestId);
+        if (!request) {
+            throw new AppErrors('NotFoundError', 'Request not found', `No business account request exists with the id ${requestId}`, StatusCodes.NOT_FOUND);
+        }
+        return request;
+    }
+
+    #toRecord(company) {
+        return {
+            companyName: company.name,
+            registrationNumber: company.registrationNumber,
+            iataCode: company.iataCode,
+            website: company.website
+        };
+    }
+
+    #toSummary(request) {
+        return {
+            id: request.id,
+            status: request.status,
+            company: {
+                name: request.companyName,
+                registrationNumber: request.registrationNumber,
+                iataCode: request.iataCode,
+                website: request.website
+            },
+            reviewedAt: request.reviewedAt,
+            rejectionReason: request.rejectionReason,
+            createdAt: request.createdAt
+        };
+    }
+}
+
+module.exports = BusinessAccountService;
\ No newline at end of file
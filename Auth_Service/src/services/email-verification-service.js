@@ -0,0 +1,117 @@
+/**
+ * This file implements the business logic for verifying the email address of new users.
+ */
+
+const { StatusCodes } = require('http-status-codes');
+const UserRepository = require('../repository/user-repository');
+const UserTokenRepository = require('../repository/user-token-repository');
+const MailService = require('./mail-service');
+const {
+    APP_URL,
+    EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS,
+    VERIFICATION_RESEND_LIMIT,
+    VERIFICATION_RESEND_WINDOW_MINUTES
+} = require('../config/serverConfig');
+const AppErrors = require('../utils/error-handler');
+const RateLimitError = require('../utils/rate-limit-error');
+const { generateToken, hashToken, addMinutes } = require('../utils/helper');
+const { TokenPurposes } = require('../utils/token-purposes');
+
+/**
+ * The EmailVerificationService class encapsulates issuing and confirming email verification tokens.
+ */
+class EmailVerificationService {
+    constructor() {
+        this.userRepository = new UserRepository();
+        this.userTokenRepository = new UserTokenRepository();
+        this.mailService = new MailService();
+    }
+
+    /**
+     * Issues a verification token for a user and emails the verification link.
+     * Any verification token issued earlier for the user stops working.
+     * @param {object} user - The user whose email should be verified.
+     * @returns {boolean} True if the email was sent.
+     */
+    async sendVerificationEmail(user) {
+        try {
+            await this.userTokenRepository.invalidateAll(user.id, TokenPurposes.EMAIL_VERIFICATION);
+            const token = generateToken();
+            await this.userTokenRepository.create({
+                userId: user.id,
+                purpose: TokenPurposes.EMAIL_VERIFICATION,
+                tokenHash: hashToken(token),
+                expiresAt: addMinutes(EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS * 60)
+            });
+            await this.mailService.sendEmailVerification(
+                user.email,
+                `${APP_URL}/verify-email?token=${token}`,
+                EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS
+            );
+            return true;
+        } catch (error) {
+            console.log("Something went wrong while sending the verification email");
+            throw error;
+        }
+    }
+
+    /**
+     * Marks the email of the user a verification token was issued to as verified.
+     * @param {string} token - The plain verification token from the email.
+     * @returns {boolean} True if the email was verified.
+     * @throws {AppErrors} A 400 error if the token is unknown, expired or already used.
+     */
+    async verifyEmail(token) {
+        try {
+            const userToken = await this.userTokenRepository.consume(hashToken(token), TokenPurposes.EMAIL_VERIFICATION);
+            if (!userToken) {
+                throw new AppErrors(
+                    'InvalidTokenError',
+                    'Invalid verification token',
+                    'The verification token is invalid, expired or has already been used',
+                    StatusCodes.BAD_REQUEST
+                );
+            }
+            await this.userRepository.markEmailVerified(userToken.userId);
+            return true;
+        } catch (error) {
+            console.log("Something went wrong in the email verification process");
+            throw error;
+        }
+    }
+
+    /**
+     * Sends a new verification email, at most VERIFICATION_RESEND_LIMIT times per
+     * VERIFICATION_RESEND_WINDOW_MINUTES. Unknown and already verified emails are
+     * silently ignored so the endpoint does not reveal which emails are registered.
+     * @param {string} email - The email of the account to verify.
+     * @returns {boolean} Always true.
+     * @throws {RateLimitError} If the resend limit has been reached.
+     */
+    async resendVerificationEmail(email) {
+        try {
+            const user = await this.userRepository.getByEmail(email);
+            if (!user || user.emailVerifiedAt) {
+                return true;
+            }
+            const sentRecently = await this.userTokenRepository.countIssuedSince(
+                user.id,
+                TokenPurposes.EMAIL_VERIFICATION,
+                addMinutes(-VERIFICATION_RESEND_WINDOW_MINUTES)
+            );
+            if (sentRecently >= VERIFICATION_RESEND_LIMIT) {
+                throw new RateLimitError(
+                    'Too many verification emails requested',
+                    `Only ${VERIFICATION_RESEND_LIMIT} verification emails can be requested every ${VERIFICATION_RESEND_WINDOW_MINUTES} minutes`,
+                    VERIFICATION_RESEND_WINDOW_MINUTES * 60
+                );
+            }
+            return await this.sendVerificationEmail(user);
+        } catch (error) {
+            console.log("Something went wrong while resending the verification email");
+            throw error;
+        }
+    }
+}
+
+module.exports = EmailVerificationService;
\ No newline at end of file
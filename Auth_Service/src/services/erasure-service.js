@@ -0,0 +1,262 @@
+/**
+ * This file implements the data-subject requests of a user: exporting everything stored about
+ * their account, and erasing the account after a grace period in which the user can change their mind.
+ */
+
+const { StatusCodes } = require('http-status-codes');
+const ErasureRequestRepository = require('../repository/erasure-request-repository');
+const UserRepository = require('../repository/user-repository');
+const SessionRepository = require('../repository/session-repository');
+const OrganizationRepository = require('../repository/organization-repository');
+const UserService = require('./user-service');
+const MailService = require('./mail-service');
+const AuditService = require('./audit-service');
+const { ERASURE_GRACE_PERIOD_DAYS } = require('../config/serverConfig');
+const AppErrors = require('../utils/error-handler');
+const { addDays } = require('../utils/helper');
+const { ErasureRequestStatuses } = require('../utils/erasure-request-statuses');
+const { MembershipRoles } = require('../utils/membership-roles');
+const { AuditEventTypes } = require('../utils/audit-event-types');
+
+// Page size of the admin listing when none is requested, and the largest one allowed.
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Erased accounts get an email on this reserved domain, so it can never belong to anyone.
+const ERASED_EMAIL_DOMAIN = 'erased.invalid';
+
+/**
+ * The ErasureService class encapsulates the export and erasure of account data.
+ */
+class ErasureService {
+    constructor() {
+        this.erasureRequestRepository = new ErasureRequestRepository();
+        this.userRepository = new UserRepository();
+        this.sessionRepository = new SessionRepository();
+        this.organizationRepository = new OrganizationRepository();
+        this.userService = new UserService();
+        this.mailService = new MailService();
+        this.auditService = new AuditService();
+    }
+
+    /**
+     * Collects the data stored about a user into a single archive.
+     * Credentials, MFA secrets and token hashes are never part of it.
+     * @param {number} userId - The ID of the authenticated user.
+     * @returns {object} An object containing the `user` record, the names of their `roles`, all of their
+     * `sessions` including ended ones, and when the archive was created (`exportedAt`).
+     */
+    async exportData(userId) {
+        try {
+            const user = await this.userRepository.getProfile(userId);
+            const roles = await this.userRepository.getRoles(userId);
+            const sessions = await this.sessionRepository.getAllForUser(userId);
+            return {
+                exportedAt: new Date(),
+                user,
+                roles: roles.map((role) => role.name),
+                sessions
+            };
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Schedules the erasure of a user's account after ERASURE_GRACE_PERIOD_DAYS. The account keeps
+     * working until then, and the request can be cancelled. The password is asked for again, so a
+     * stolen access token is not enough to erase an account.
+     * @param {number} userId - The ID of the authenticated user.
+     * @param {string} password - The current password of the user.
+     * @param {object} context - Details about the request, the `ip` and `userAgent` it came from.
+     * @returns {object} The pending request with the date it is `scheduledFor`.
+     * @throws {AppErrors} A 401 error if the password is wrong, 409 if an erasure is already pending
+     * or the user is the only owner of an organization.
+     */
+    async requestErasure(userId, password, context = {}) {
+        try {
+            const user = await this.userRepository.getWithPassword(userId);
+            if (!this.userService.checkPassword(password, user.password)) {
+                throw new AppErrors(
+                    'AuthenticationError',
+                    'Invalid credentials',
+                    'The current password is incorrect',
+                    StatusCodes.UNAUTHORIZED
+                );
+            }
+            if (await this.erasureRequestRepository.getPendingForUser(userId)) {
+                throw new AppErrors(
+                    'ConflictError',
+                    'Erasure already requested',
+                    'The erasure of this account is already scheduled',
+                    StatusCodes.CONFLICT
+                );
+            }
+            await this.#assertNotLastOwner(userId);
+            const request = await this.erasureRequestRepository.create({
+                userId,
+                scheduledFor: addDays(ERASURE_GRACE_PERIOD_DAYS)
+            });
+            await this.auditService.record({
+                type: AuditEventTypes.ERASURE_REQUESTED,
+                userId: user.id,
+                email: user.email,
+                details: { requestId: request.id, scheduledFor: request.scheduledFor },
+                context
+            });
+            await this.mailService.sendErasureScheduled(user.email, request.scheduledFor);
+            return this.#toSummary(request);
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Cancels the pending erasure of a user's account during the grace period.
+     * @param {number} userId - The ID of the authenticated user.
+     * @returns {object} The cancelled request.
+     * @throws {AppErrors} A 404 error if no erasure is pending.
+     */
+    async cancelErasure(userId) {
+        try {
+            const request = await this.erasureRequestRepository.getPendingForUser(userId);
+            const changes = { status: ErasureRequestStatuses.CANCELLED, cancelledAt: new Date() };
+            if (!request || !await this.erasureRequestRepository.close(request.id, changes)) {
+                throw new AppErrors(
+                    'NotFoundError',
+                    'No erasure pending',
+                    'The erasure of this account is not scheduled',
+                    StatusCodes.NOT_FOUND
+                );
+            }
+            return this.#toSummary({ ...request.get({ plain: true }), ...changes });
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Lists erasure requests for admins, one page at a time, those due first.
+     * @param {object} query - The listing options, already validated.
+     * @param {string} [query.status] - Only requests in one of the `ErasureRequestStatuses`.
+     * @param {number} [query.page] - The page to return, starting at 1.
+     * @param {number} [query.limit] - The number of requests per page, capped at 100.
+     * @returns {object} An object containing the `requests` of the page, each with its user, and the `pagination` details.
+     */
+    async listRequests({ status, page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+        try {
+            page = Number(page);
+            limit = Math.min(Number(limit), MAX_PAGE_SIZE);
+            const { count, requests } = await this.erasureRequestRepository.search({
+                status,
+                offset: (page - 1) * limit,
+                limit
+            });
+            return {
+                requests: requests.map((request) => ({ ...this.#toSummary(request), user: request.User })),
+                pagination: {
+                    page,
+                    limit,
+                    total: count,
+                    totalPages: Math.ceil(count / limit)
+                }
+            };
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Erases every account whose grace period is over. The email is anonymized, the profile cleared,
+     * roles and organization membership removed and every session and token revoked.
+     * The user is told at their old address once the erasure is done.
+     * A request that fails is reported and stays pending, so it is picked up by the next run.
+     * @param {number} adminId - The ID of the admin processing the requests.
+     * @param {object} context - Details about the request, the `ip` and `userAgent` it came from.
+     * @returns {object} An object containing the IDs of the requests that were `processed` and of those that `failed`.
+     */
+    async processDueRequests(adminId, context = {}) {
+        try {
+            const processed = [];
+            const failed = [];
+            for (const request of await this.erasureRequestRepository.getDue(new Date())) {
+                try {
+                    await this.#erase(request, adminId, context);
+                    processed.push(request.id);
+                } catch (error) {
+                    console.log(`Not able to process the erasure request ${request.id}`, error);
+                    failed.push(request.id);
+                }
+            }
+            return { processed, failed };
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    async #erase(request, adminId, context) {
+        const email = request.User.email;
+        const anonymizedEmail = `erased-${request.userId}@${ERASED_EMAIL_DOMAIN}`;
+        // The request is claimed in the erase transaction: a user who cancels at the last moment is not erased
+        // anyway, and a request whose erasure fails stays pending.
+        const erased = await this.userRepository.erase(request.userId, anonymizedEmail, (transaction) =>
+            this.erasureRequestRepository.close(request.id, {
+                status: ErasureRequestStatuses.COMPLETED,
+                processedById: adminId,
+                processedAt: new Date()
+            }, transaction)
+        );
+        if (!erased) {
+            return;
+        }
+        await this.auditService.record({
+            type: AuditEventTypes.ACCOUNT_ERASED,
+            userId: request.userId,
+            email: anonymizedEmail,
+            actorId: adminId,
+            details: { requestId: request.id },
+            context
+        });
+        try {
+            await this.mailService.sendAccountErased(email);
+        } catch (error) {
+            // The account is gone either way; failing here would only report a completed request as failed.
+            console.log("Not able to send the erasure confirmation", error);
+        }
+    }
+
+    // Owners cannot leave their organization, so the last one cannot erase their account either.
+    async #assertNotLastOwner(userId) {
+        const membership = await this.organizationRepository.getMembership(userId);
+        if (!membership || membership.role !== MembershipRoles.OWNER) {
+            return;
+        }
+        const members = await this.organizationRepository.getMembers(membership.organizationId);
+        if (members.filter((member) => member.role === MembershipRoles.OWNER).length === 1) {
+            throw new AppErrors(
+                'ConflictError',
+                'Last owner of an organization',
+                `Invite another owner to ${membership.Organization.name} before erasing your account`,
+                StatusCodes.CONFLICT
+            );
+        }
+    }
+
+    #toSummary(request) {
+        return {
+            id: request.id,
+            status: request.status,
+            scheduledFor: request.scheduledFor,
+            cancelledAt: request.cancelledAt,
+            processedAt: request.processedAt,
+            createdAt: request.createdAt
+        };
+    }
+}
+
+module.exports = ErasureService;
\ No newline at end of file
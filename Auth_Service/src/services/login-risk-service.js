@@ -0,0 +1,237 @@
+/**
+ * This file implements the suspicious sign-in checks. Every successful sign-in is fingerprinted by
+ * device (a digest of the user-agent) and IP address; a sign-in is scored against the user's earlier
+ * fingerprints and recent failed attempts, and a high score requires confirming the sign-in with a
+ * code emailed to the user. Sign-ins from a device the user never used before trigger an alert email.
+ */
+
+const crypto = require('crypto');
+const LoginFingerprintRepository = require('../repository/login-fingerprint-repository');
+const UserTokenRepository = require('../repository/user-token-repository');
+const MailService = require('./mail-service');
+const MfaService = require('./mfa-service');
+const {
+    RISK_STEP_UP_SCORE,
+    RISK_FAILURE_BURST_THRESHOLD,
+    RISK_MAX_TRAVEL_SPEED_KMH,
+    STEP_UP_CODE_EXPIRY_MINUTES,
+    GEOIP_LOCATOR,
+    GEOIP_TABLE_FILE
+} = require('../config/serverConfig');
+const { hashToken, addMinutes } = require('../utils/helper');
+const { describeDevice } = require('../utils/device-label');
+const { createLocator } = require('../utils/geo-locators');
+const { TokenPurposes } = require('../utils/token-purposes');
+
+// How much each signal adds to the risk score of a sign-in, capped at 100.
+const RISK_WEIGHTS = Object.freeze({
+    new_device: 30,
+    new_ip: 10,
+    new_country: 20,
+    impossible_travel: 60,
+    failure_burst: 30
+});
+
+// GeoIP locations are only accurate to a city or so, so shorter hops never count as travel.
+const MIN_TRAVEL_DISTANCE_KM = 100;
+const EARTH_RADIUS_KM = 6371;
+
+const locator = createLocator(GEOIP_LOCATOR, { file: GEOIP_TABLE_FILE });
+
+/**
+ * The LoginRiskService class scores sign-ins and handles the step-up verification of risky ones.
+ */
+class LoginRiskService {
+    constructor() {
+        this.loginFingerprintRepository = new LoginFingerprintRepository();
+        this.userTokenRepository = new UserTokenRepository();
+        this.mailService = new MailService();
+        this.mfaService = new MfaService();
+    }
+
+    /**
+     * Scores a sign-in that passed the password check. The very first sign-in of a user has
+     * nothing to be compared against, so only the failure burst counts for it.
+     * @param {object} user - The user signing in.
+     * @param {object} context - The `ip` and `userAgent` of the request.
+     * @param {number} recentFailures - The failed attempts for the email right before this sign-in.
+     * @returns {object} The assessment: the `score`, its `reasons`, whether `stepUpRequired`, whether the
+     * device is a `newDevice` and the `fingerprint` of the sign-in.
+     */
+    async assess(user, context = {}, recentFailures = 0) {
+        try {
+            const fingerprint = await this.#fingerprint(user, context);
+            const history = await this.loginFingerprintRepository.getRecentForUser(user.id);
+            const reasons = [];
+            if (history.length > 0) {
+                if (!history.some((seen) => seen.deviceHash === fingerprint.deviceHash)) {
+                    reasons.push('new_device');
+                }
+                if (!history.some((seen) => seen.ip === fingerprint.ip)) {
+                    reasons.push('new_ip');
+                }
+                reasons.push(...this.#locationReasons(fingerprint, history));
+            }
+            if (recentFailures >= RISK_FAILURE_BURST_THRESHOLD) {
+                reasons.push('failure_burst');
+            }
+            const score = Math.min(100, reasons.reduce((total, reason) => total + RISK_WEIGHTS[reason], 0));
+            return {
+                score,
+                reasons,
+                stepUpRequired: score >= RISK_STEP_UP_SCORE,
+                newDevice: reasons.includes('new_device'),
+                fingerprint
+            };
+        } catch (error) {
+            console.log("Something went wrong while assessing the sign-in risk");
+            throw error;
+        }
+    }
+
+    /**
+     * Remembers the device and IP address of a completed sign-in and alerts the user by email
+     * if the device was never used before. The first sign-in of a user is not alerted on.
+     * The alert is best-effort: a mail failure does not fail the sign-in.
+     * @param {object} user - The user that signed in.
+     * @param {object} assessment - The assessment of the sign-in, as returned by `assess`.
+     * @returns {boolean} True if the fingerprint was recorded.
+     */
+    async recordTrustedSignIn(user, assessment) {
+        try {
+            const { fingerprint, newDevice } = assessment;
+            await this.loginFingerprintRepository.record(fingerprint);
+            if (newDevice) {
+                try {
+                    await this.mailService.sendNewDeviceAlert(user.email, {
+                        ...this.#describe(fingerprint),
+                        time: new Date()
+                    });
+                } catch (error) {
+                    // The sign-in itself is legitimate, so it goes ahead; the device is still listed among the user's sessions.
+                    console.log("Not able to send the new device alert", error);
+                }
+            }
+            return true;
+        } catch (error) {
+            console.log("Something went wrong while recording the sign-in fingerprint");
+            throw error;
+        }
+    }
+
+    /**
+     * Starts the step-up verification of a risky sign-in by emailing the user a one-time code.
+     * Any code sent earlier stops working.
+     * @param {object} user - The user signing in.
+     * @param {object} assessment - The assessment of the sign-in, as returned by `assess`.
+     * @returns {object} The challenge to return instead of tokens: `stepUpRequired`, the `stepUpToken` and the `reasons`.
+     */
+    async startStepUp(user, assessment) {
+        try {
+            // Deleted rather than invalidated: a user is bound to get the same code twice sooner or later,
+            // and the hash of a code that is still stored would collide with the unique token hash of the new one.
+            await this.userTokenRepository.deleteAll(user.id, TokenPurposes.SIGN_IN_STEP_UP);
+            const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+            await this.userTokenRepository.create({
+                userId: user.id,
+                purpose: TokenPurposes.SIGN_IN_STEP_UP,
+                tokenHash: this.#hashCode(user.id, code),
+                expiresAt: addMinutes(STEP_UP_CODE_EXPIRY_MINUTES)
+            });
+            await this.mailService.sendSignInVerificationCode(
+                user.email,
+                code,
+                this.#describe(assessment.fingerprint),
+                STEP_UP_CODE_EXPIRY_MINUTES
+            );
+            return {
+                stepUpRequired: true,
+                stepUpToken: this.mfaService.createChallenge(user, 'step_up'),
+                reasons: assessment.reasons
+            };
+        } catch (error) {
+            console.log("Something went wrong while starting the sign-in verification");
+            throw error;
+        }
+    }
+
+    /**
+     * Uses up an emailed step-up code.
+     * @param {number} userId - The ID of the user the code was sent to.
+     * @param {string} code - The code from the email.
+     * @returns {boolean} True if the code is valid; it cannot be used again.
+     */
+    async verifyStepUpCode(userId, code) {
+        try {
+            const userToken = await this.userTokenRepository.consume(
+                this.#hashCode(userId, String(code)),
+                TokenPurposes.SIGN_IN_STEP_UP
+            );
+            return Boolean(userToken);
+        } catch (error) {
+            console.log("Something went wrong while verifying the sign-in code");
+            throw error;
+        }
+    }
+
+    /**
+     * Builds the fingerprint of a sign-in, located if the configured locator knows the IP address.
+     */
+    async #fingerprint(user, { ip, userAgent } = {}) {
+        const location = await locator.locate(ip);
+        return {
+            userId: user.id,
+            deviceHash: hashToken(userAgent || ''),
+            deviceLabel: describeDevice(userAgent),
+            ip: ip || 'unknown',
+            country: location ? location.country : null,
+            latitude: location ? location.latitude : null,
+            longitude: location ? location.longitude : null
+        };
+    }
+
+    /**
+     * Compares the location of a sign-in with the located fingerprints of the user: a country never
+     * signed in from before, or a place too far from the latest one to have travelled to since.
+     */
+    #locationReasons(fingerprint, history) {
+        const located = history.filter((seen) => seen.latitude !== null && seen.longitude !== null);
+        if (fingerprint.latitude === null || located.length === 0) {
+            return [];
+        }
+        const reasons = [];
+        if (fingerprint.country && !located.some((seen) => seen.country === fingerprint.country)) {
+            reasons.push('new_country');
+        }
+        const [latest] = located;
+        const distance = this.#distanceKm(latest, fingerprint);
+        const hours = Math.max(Date.now() - latest.lastSeenAt.getTime(), 60 * 1000) / (60 * 60 * 1000);
+        if (distance >= MIN_TRAVEL_DISTANCE_KM && distance / hours > RISK_MAX_TRAVEL_SPEED_KMH) {
+            reasons.push('impossible_travel');
+        }
+        return reasons;
+    }
+
+    /**
+     * The great-circle distance between two places, using the haversine formula.
+     */
+    #distanceKm(from, to) {
+        const radians = (degrees) => degrees * Math.PI / 180;
+        const latitudeDelta = radians(to.latitude - from.latitude);
+        const longitudeDelta = radians(to.longitude - from.longitude);
+        const a = Math.sin(latitudeDelta / 2) ** 2 +
+            Math.cos(radians(from.latitude)) * Math.cos(radians(to.latitude)) * Math.sin(longitudeDelta / 2) ** 2;
+        return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+    }
+
+    #describe({ deviceLabel, ip, country }) {
+        return { deviceLabel, ip, country };
+    }
+
+    // Codes are short, so they are hashed together with the user ID to keep codes of different users apart.
+    #hashCode(userId, code) {
+        return hashToken(`${userId}:${code}`);
+    }
+}
+
+module.exports = LoginRiskService;
\ No newline at end of file
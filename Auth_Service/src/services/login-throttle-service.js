@@ -0,0 +1,185 @@
+/**
+ * This file implements brute-force protection for sign-in. Failed attempts are counted per
+ * email and per IP address; repeated failures first slow the attacker down with progressively
+ * longer delays and finally lock the email or IP out for a while.
+ */
+
+const LoginThrottleRepository = require('../repository/login-throttle-repository');
+const {
+    LOGIN_DELAY_AFTER_FAILURES,
+    LOGIN_IP_DELAY_AFTER_FAILURES,
+    LOGIN_DELAY_BASE_SECONDS,
+    LOGIN_LOCKOUT_THRESHOLD,
+    LOGIN_IP_LOCKOUT_THRESHOLD,
+    LOGIN_LOCKOUT_MINUTES,
+    LOGIN_FAILURE_WINDOW_MINUTES
+} = require('../config/serverConfig');
+const RateLimitError = require('../utils/rate-limit-error');
+const { addMinutes } = require('../utils/helper');
+
+/**
+ * The LoginThrottleService class decides whether a sign-in attempt may proceed and records its outcome.
+ */
+class LoginThrottleService {
+    constructor() {
+        this.loginThrottleRepository = new LoginThrottleRepository();
+    }
+
+    /**
+     * Rejects the attempt if the email or the IP address is locked or still has to wait
+     * before the next attempt.
+     * @param {string} email - The email the attempt is made for.
+     * @param {string} ip - The IP address the attempt comes from.
+     * @throws {RateLimitError} If the attempt has to be rejected.
+     */
+    async assertCanAttempt(email, ip) {
+        try {
+            for (const target of this.#targets(email, ip)) {
+                const throttle = await this.loginThrottleRepository.get(target.scope, target.key);
+                const waitSeconds = this.#secondsToWait(throttle, target);
+                if (waitSeconds > 0) {
+                    throw new RateLimitError(
+                        'Too many failed sign-in attempts',
+                        `Too many failed sign-in attempts, try again in ${waitSeconds} seconds`,
+                        waitSeconds
+                    );
+                }
+            }
+        } catch (error) {
+            console.log("Something went wrong in the login throttle check");
+            throw error;
+        }
+    }
+
+    /**
+     * Counts a failed attempt against the email and the IP address and locks them
+     * once their threshold is reached.
+     * @param {string} email - The email the attempt was made for.
+     * @param {string} ip - The IP address the attempt came from.
+     */
+    async recordFailure(email, ip) {
+        try {
+            for (const { scope, key, threshold } of this.#targets(email, ip)) {
+                await this.loginThrottleRepository.addFailure(scope, key, {
+                    windowStart: addMinutes(-LOGIN_FAILURE_WINDOW_MINUTES),
+                    threshold,
+                    lockedUntil: addMinutes(LOGIN_LOCKOUT_MINUTES)
+                });
+            }
+        } catch (error) {
+            console.log("Something went wrong while recording a failed sign-in");
+            throw error;
+        }
+    }
+
+    /**
+     * Clears the failed attempts of an email after a successful sign-in.
+     * The IP counter is left alone so that signing into one account does not
+     * lift the throttling of an IP that is guessing passwords of others.
+     * @param {string} email - The email that signed in.
+     */
+    async recordSuccess(email) {
+        try {
+            await this.loginThrottleRepository.reset('email', this.#normaliseEmail(email));
+        } catch (error) {
+            console.log("Something went wrong while recording a successful sign-in");
+            throw error;
+        }
+    }
+
+    /**
+     * Counts the failed attempts for an email since the counter was last cleared,
+     * ignoring failures older than LOGIN_FAILURE_WINDOW_MINUTES.
+     * @param {string} email - The email to check.
+     * @returns {number} The number of recent failures.
+     */
+    async countRecentFailures(email) {
+        try {
+            const throttle = await this.loginThrottleRepository.get('email', this.#normaliseEmail(email));
+            return (!throttle || this.#isStale(throttle)) ? 0 : throttle.failedCount;
+        } catch (error) {
+            console.log("Something went wrong while counting failed sign-ins");
+            throw error;
+        }
+    }
+
+    /**
+     * Lifts the lockout of an email and clears its failed attempts.
+     * @param {string} email - The email to unlock.
+     * @returns {boolean} True if the email was unlocked.
+     */
+    async unlock(email) {
+        try {
+            return await this.loginThrottleRepository.reset('email', this.#normaliseEmail(email));
+        } catch (error) {
+            console.log("Something went wrong while unlocking an account");
+            throw error;
+        }
+    }
+
+    /**
+     * Lists the counters an attempt is tracked under. Attempts without a known IP
+     * address are only tracked per email.
+     */
+    #targets(email, ip) {
+        const targets = [{
+            scope: 'email',
+            key: this.#normaliseEmail(email),
+            delayAfter: LOGIN_DELAY_AFTER_FAILURES,
+            threshold: LOGIN_LOCKOUT_THRESHOLD
+        }];
+        if (ip) {
+            // An IP address may be shared by many users (e.g. an office network), so it gets more leeway.
+            targets.push({
+                scope: 'ip',
+                key: ip,
+                delayAfter: LOGIN_IP_DELAY_AFTER_FAILURES,
+                threshold: LOGIN_IP_LOCKOUT_THRESHOLD
+            });
+        }
+        return targets;
+    }
+
+    /**
+     * Computes how many seconds have to pass before the next attempt is allowed.
+     * @returns {number} The number of seconds, 0 if an attempt is allowed right away.
+     */
+    #secondsToWait(throttle, { delayAfter, threshold }) {
+        if (!throttle || this.#isStale(throttle)) {
+            return 0;
+        }
+        const now = Date.now();
+        if (throttle.lockedUntil && throttle.lockedUntil.getTime() > now) {
+            return Math.ceil((throttle.lockedUntil.getTime() - now) / 1000);
+        }
+        if (throttle.failedCount >= delayAfter && throttle.failedCount < threshold) {
+            // The delay doubles with every failure past `delayAfter`, capped at the lockout duration.
+            const delaySeconds = Math.min(
+                LOGIN_DELAY_BASE_SECONDS * 2 ** (throttle.failedCount - delayAfter),
+                LOGIN_LOCKOUT_MINUTES * 60
+            );
+            const allowedAt = throttle.lastFailedAt.getTime() + delaySeconds * 1000;
+            if (allowedAt > now) {
+                return Math.ceil((allowedAt - now) / 1000);
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * A counter is stale, and starts over, once its lockout has ended and no failure
+     * happened within LOGIN_FAILURE_WINDOW_MINUTES.
+     */
+    #isStale(throttle) {
+        const now = Date.now();
+        const lockExpired = !throttle.lockedUntil || throttle.lockedUntil.getTime() <= now;
+        const windowExpired = throttle.lastFailedAt.getTime() <= now - LOGIN_FAILURE_WINDOW_MINUTES * 60 * 1000;
+        return lockExpired && windowExpired;
+    }
+
+    #normaliseEmail(email) {
+        return String(email).trim().toLowerCase();
+    }
+}
+
+module.exports = LoginThrottleService;
\ No newline at end of file
@@ -0,0 +1,88 @@
+/**
+ * This file implements the emailed links of the passwordless sign-in.
+ * The sign-in itself is completed by `UserService.completeMagicLinkSignIn`.
+ */
+
+const UserRepository = require('../repository/user-repository');
+const UserTokenRepository = require('../repository/user-token-repository');
+const MailService = require('./mail-service');
+const {
+    APP_URL,
+    MAGIC_LINK_TOKEN_EXPIRY_MINUTES,
+    MAGIC_LINK_REQUEST_LIMIT,
+    MAGIC_LINK_REQUEST_WINDOW_MINUTES
+} = require('../config/serverConfig');
+const { generateToken, hashToken, addMinutes } = require('../utils/helper');
+const { TokenPurposes } = require('../utils/token-purposes');
+const { UserStatuses } = require('../utils/user-statuses');
+
+/**
+ * The MagicLinkService class encapsulates issuing and redeeming passwordless sign-in tokens.
+ */
+class MagicLinkService {
+    constructor() {
+        this.userRepository = new UserRepository();
+        this.userTokenRepository = new UserTokenRepository();
+        this.mailService = new MailService();
+    }
+
+    /**
+     * Emails a single-use sign-in link, at most MAGIC_LINK_REQUEST_LIMIT times per
+     * MAGIC_LINK_REQUEST_WINDOW_MINUTES. Any link sent earlier stops working.
+     * Unknown and deactivated accounts, and requests past the limit, are silently ignored:
+     * answering any of them differently would reveal which emails are registered.
+     * @param {string} email - The email of the account to sign in to.
+     * @returns {boolean} Always true.
+     */
+    async sendLink(email) {
+        try {
+            const user = await this.userRepository.getByEmail(email);
+            if (!user || user.status !== UserStatuses.ACTIVE) {
+                return true;
+            }
+            const sentRecently = await this.userTokenRepository.countIssuedSince(
+                user.id,
+                TokenPurposes.MAGIC_LINK,
+                addMinutes(-MAGIC_LINK_REQUEST_WINDOW_MINUTES)
+            );
+            if (sentRecently >= MAGIC_LINK_REQUEST_LIMIT) {
+                return true;
+            }
+            await this.userTokenRepository.invalidateAll(user.id, TokenPurposes.MAGIC_LINK);
+            const token = generateToken();
+            await this.userTokenRepository.create({
+                userId: user.id,
+                purpose: TokenPurposes.MAGIC_LINK,
+                tokenHash: hashToken(token),
+                expiresAt: addMinutes(MAGIC_LINK_TOKEN_EXPIRY_MINUTES)
+            });
+            await this.mailService.sendMagicLink(
+                user.email,
+                `${APP_URL}/signin/magic-link?token=${token}`,
+                MAGIC_LINK_TOKEN_EXPIRY_MINUTES
+            );
+            return true;
+        } catch (error) {
+            console.log("Something went wrong while sending the sign-in link");
+            throw error;
+        }
+    }
+
+    /**
+     * Uses up a sign-in token. A token is accepted once; replaying it, or any token superseded
+     * by a newer link, fails.
+     * @param {string} token - The plain sign-in token from the email.
+     * @returns {number} The ID of the user the token was issued to, or null if the token is unknown, expired or already used.
+     */
+    async redeemToken(token) {
+        try {
+            const userToken = await this.userTokenRepository.consume(hashToken(String(token)), TokenPurposes.MAGIC_LINK);
+            return userToken ? userToken.userId : null;
+        } catch (error) {
+            console.log("Something went wrong while redeeming the sign-in link");
+            throw error;
+        }
+    }
+}
+
+module.exports = MagicLinkService;
\ No newline at end of file
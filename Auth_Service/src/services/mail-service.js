@@ -0,0 +1,247 @@
+/**
+ * This file implements the mailer used to send transactional emails (e.g. password reset links).
+ * It only composes messages; delivery is delegated to a pluggable transport.
+ */
+
+const { MAIL_FROM, MAIL_TRANSPORT, MAIL_OUTBOX_DIR } = require('../config/serverConfig');
+const { createTransport } = require('../utils/mail-transports');
+
+/**
+ * The MailService class composes and sends emails through a transport.
+ */
+class MailService {
+    /**
+     * @param {object} transport - The transport to deliver emails with. Defaults to the configured MAIL_TRANSPORT.
+     */
+    constructor(transport = createTransport(MAIL_TRANSPORT, { directory: MAIL_OUTBOX_DIR })) {
+        this.transport = transport;
+    }
+
+    /**
+     * Sends an email.
+     * @param {object} message - An object containing `to`, `subject` and `text`.
+     * @returns {boolean} True if the email was handed over to the transport.
+     */
+    async send(message) {
+        try {
+            return await this.transport.send({ from: MAIL_FROM, ...message });
+        } catch (error) {
+            console.log("Something went wrong while sending an email");
+            throw error;
+        }
+    }
+
+    /**
+     * Sends the password reset link to a user.
+     * @param {string} email - The email address of the user.
+     * @param {string} link - The link containing the reset token.
+     * @param {number} expiresInMinutes - How long the link stays valid.
+     */
+    async sendPasswordReset(email, link, expiresInMinutes) {
+        return await this.send({
+            to: email,
+            subject: 'Reset your password',
+            text: `We received a request to reset your password.\n\n` +
+                `Use the link below to choose a new one. It expires in ${expiresInMinutes} minutes and can only be used once.\n\n` +
+                `${link}\n\n` +
+                `If you did not request a password reset, you can ignore this email.`
+        });
+    }
+
+    /**
+     * Sends a passwordless sign-in link to a user.
+     * @param {string} email - The email address of the user.
+     * @param {string} link - The link containing the sign-in token.
+     * @param {number} expiresInMinutes - How long the link stays valid.
+     */
+    async sendMagicLink(email, link, expiresInMinutes) {
+        return await this.send({
+            to: email,
+            subject: 'Your sign-in link',
+            text: `Use the link below to sign in. It expires in ${expiresInMinutes} minutes and can only be used once.\n\n` +
+                `${link}\n\n` +
+                `If you did not try to sign in, you can ignore this email. Nobody can sign in without the link.`
+        });
+    }
+
+    /**
+     * Tells a user that their account was signed into from a device it was not used on before.
+     * @param {string} email - The email address of the user.
+     * @param {object} signIn - The `deviceLabel`, `ip`, optional `country` and the `time` of the sign-in.
+     */
+    async sendNewDeviceAlert(email, { deviceLabel, ip, country, time }) {
+        return await this.send({
+            to: email,
+            subject: 'New sign-in to your account',
+            text: `Your account was just signed into from a new device.\n\n` +
+                `Device: ${deviceLabel}\n` +
+                `IP address: ${ip}${country ? ` (${country})` : ''}\n` +
+                `Time: ${time.toISOString()}\n\n` +
+                `If this was you, there is nothing to do. If not, change your password right away ` +
+                `and sign out of your other sessions.`
+        });
+    }
+
+    /**
+     * Sends the code that confirms a sign-in flagged as suspicious.
+     * @param {string} email - The email address of the user.
+     * @param {string} code - The verification code.
+     * @param {object} signIn - The `deviceLabel`, `ip` and optional `country` of the sign-in.
+     * @param {number} expiresInMinutes - How long the code stays valid.
+     */
+    async sendSignInVerificationCode(email, code, { deviceLabel, ip, country }, expiresInMinutes) {
+        return await this.send({
+            to: email,
+            subject: 'Confirm your sign-in',
+            text: `We noticed an unusual sign-in to your account from ${deviceLabel} at ${ip}${country ? ` (${country})` : ''}.\n\n` +
+                `If this was you, enter the code below to finish signing in. It expires in ${expiresInMinutes} minutes.\n\n` +
+                `${code}\n\n` +
+                `If this was not you, someone knows your password: change it right away.`
+        });
+    }
+
+    /**
+     * Sends the email verification link to a user.
+     * @param {string} email - The email address to verify.
+     * @param {string} link - The link containing the verification token.
+     * @param {number} expiresInHours - How long the link stays valid.
+     */
+    async sendEmailVerification(email, link, expiresInHours) {
+        return await this.send({
+            to: email,
+            subject: 'Verify your email',
+            text: `Welcome aboard!\n\n` +
+                `Please confirm your email address with the link below. It expires in ${expiresInHours} hours.\n\n` +
+                `${link}\n\n` +
+                `If you did not create an account, you can ignore this email.`
+        });
+    }
+
+    /**
+     * Sends the link confirming a change of email to the new address.
+     * @param {string} email - The new email address.
+     * @param {string} link - The link containing the confirmation token.
+     * @param {number} expiresInHours - How long the link stays valid.
+     */
+    async sendEmailChangeConfirmation(email, link, expiresInHours) {
+        return await this.send({
+            to: email,
+            subject: 'Confirm your new email',
+            text: `We received a request to use this address for your account.\n\n` +
+                `Confirm the change with the link below. It expires in ${expiresInHours} hours.\n\n` +
+                `${link}\n\n` +
+                `If you did not request this change, you can ignore this email.`
+        });
+    }
+
+    /**
+     * Tells a user at their current address that a change of email was requested.
+     * @param {string} email - The current email address.
+     * @param {string} newEmail - The requested new email address.
+     */
+    async sendEmailChangeNotice(email, newEmail) {
+        return await this.send({
+            to: email,
+            subject: 'Your email is about to change',
+            text: `A change of your account email to ${newEmail} was requested. ` +
+                `It takes effect once confirmed from the new address.\n\n` +
+                `If you did not request this change, reset your password right away.`
+        });
+    }
+
+    /**
+     * Sends an invitation to join an organization.
+     * @param {string} email - The email address of the invitee.
+     * @param {string} organizationName - The name of the organization.
+     * @param {string} link - The link containing the invitation token.
+     * @param {number} expiresInHours - How long the link stays valid.
+     */
+    async sendOrganizationInvitation(email, organizationName, link, expiresInHours) {
+        return await this.send({
+            to: email,
+            subject: `You have been invited to join ${organizationName}`,
+            text: `You have been invited to join ${organizationName} on the airline platform.\n\n` +
+                `Sign in (or sign up with this email address) and accept the invitation with the link below. ` +
+                `It expires in ${expiresInHours} hours.\n\n` +
+                `${link}\n\n` +
+                `If you were not expecting this invitation, you can ignore this email.`
+        });
+    }
+
+    /**
+     * Sends the invite link to a user whose account was created for them, so they can choose a password.
+     * @param {string} email - The email address of the user.
+     * @param {string} link - The link containing the invite token.
+     * @param {number} expiresInHours - How long the link stays valid.
+     */
+    async sendAccountInvitation(email, link, expiresInHours) {
+        return await this.send({
+            to: email,
+            subject: 'Your account is ready',
+            text: `An account has been created for you on the airline platform.\n\n` +
+                `Choose your password with the link below to start using it. The link expires in ${expiresInHours} hours.\n\n` +
+                `${link}\n\n` +
+                `If you were not expecting this, you can ignore this email.`
+        });
+    }
+
+    /**
+     * Tells a user that their request for a business account was approved.
+     * @param {string} email - The email address of the user.
+     * @param {string} companyName - The company the request was made for.
+     */
+    async sendBusinessAccountApproved(email, companyName) {
+        return await this.send({
+            to: email,
+            subject: 'Your business account has been approved',
+            text: `Your request for a business account for ${companyName} has been approved.\n\n` +
+                `Sign in again to start managing flights on behalf of your airline.`
+        });
+    }
+
+    /**
+     * Tells a user that their request for a business account was rejected, and why.
+     * @param {string} email - The email address of the user.
+     * @param {string} companyName - The company the request was made for.
+     * @param {string} reason - The reason given by the reviewing admin.
+     */
+    async sendBusinessAccountRejected(email, companyName, reason) {
+        return await this.send({
+            to: email,
+            subject: 'Your business account request',
+            text: `Your request for a business account for ${companyName} could not be approved.\n\n` +
+                `Reason: ${reason}\n\n` +
+                `You can keep using your account as a customer.`
+        });
+    }
+
+    /**
+     * Confirms to a user that the erasure of their account is scheduled.
+     * @param {string} email - The email address of the user.
+     * @param {Date} scheduledFor - When the account will be erased.
+     */
+    async sendErasureScheduled(email, scheduledFor) {
+        return await this.send({
+            to: email,
+            subject: 'Your account will be erased',
+            text: `We received your request to erase your account. It will be erased on ${scheduledFor.toISOString().slice(0, 10)}.\n\n` +
+                `Until then you can keep using your account and cancel the erasure at any time.\n\n` +
+                `If you did not request this, cancel the erasure and change your password.`
+        });
+    }
+
+    /**
+     * Tells a user that their account has been erased. Sent to the address the account had before.
+     * @param {string} email - The former email address of the user.
+     */
+    async sendAccountErased(email) {
+        return await this.send({
+            to: email,
+            subject: 'Your account has been erased',
+            text: `As you requested, your account and the personal data stored with it have been erased.\n\n` +
+                `This is the last email you will receive from us.`
+        });
+    }
+}
+
+module.exports = MailService;
\ No newline at end of file
@@ -0,0 +1,225 @@
+/**
+ * This file implements TOTP based two-factor authentication: enrollment, code verification,
+ * recovery codes and the short-lived challenge token that links the two steps of a sign-in.
+ */
+
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const { StatusCodes } = require('http-status-codes');
+const UserRepository = require('../repository/user-repository');
+const RecoveryCodeRepository = require('../repository/recovery-code-repository');
+const {
+    MFA_ISSUER,
+    MFA_REQUIRED_ROLES,
+    MFA_CHALLENGE_EXPIRY,
+    MFA_RECOVERY_CODE_COUNT
+} = require('../config/serverConfig');
+const AppErrors = require('../utils/error-handler');
+const { hashToken } = require('../utils/helper');
+const { signJwt, verifyJwt } = require('../utils/jwt-signer');
+
+// Codes from the previous and the next 30 second step are accepted as well, to tolerate clock drift.
+const totp = authenticator.clone({ window: 1 });
+
+// Distinguishes challenge tokens from access tokens, so neither can be used in place of the other.
+const MFA_CHALLENGE_AUDIENCE = 'mfa-challenge';
+
+/**
+ * The MfaService class encapsulates all two-factor authentication logic.
+ */
+class MfaService {
+    constructor() {
+        this.userRepository = new UserRepository();
+        this.recoveryCodeRepository = new RecoveryCodeRepository();
+    }
+
+    /**
+     * Starts the enrollment of a user by generating a new TOTP secret.
+     * The secret only becomes active once a code generated from it is confirmed through `activate`.
+     * @param {number} userId - The ID of the user.
+     * @returns {object} The `secret` and the `otpauthUri` to show as a QR code in an authenticator app.
+     * @throws {AppErrors} A 409 error if two-factor authentication is already enabled.
+     */
+    async enroll(userId) {
+        try {
+            const user = await this.userRepository.getWithPassword(userId);
+            if (user.mfaEnabledAt) {
+                throw new AppErrors(
+                    'ConflictError',
+                    'Two-factor authentication already enabled',
+                    'Two-factor authentication is already enabled for this account',
+                    StatusCodes.CONFLICT
+                );
+            }
+            const secret = totp.generateSecret();
+            await this.userRepository.updateMfa(userId, { mfaSecret: secret, mfaLastCounter: null });
+            return {
+                secret,
+                otpauthUri: totp.keyuri(user.email, MFA_ISSUER, secret)
+            };
+        } catch (error) {
+            console.log("Something went wrong in the MFA enrollment");
+            throw error;
+        }
+    }
+
+    /**
+     * Completes the enrollment by checking a code generated from the new secret.
+     * @param {number} userId - The ID of the user.
+     * @param {string} code - A TOTP code from the authenticator app.
+     * @returns {Array<string>} The recovery codes. They are only ever shown this once.
+     * @throws {AppErrors} A 400 error if enrollment was not started, 409 if already enabled, 401 for a wrong code.
+     */
+    async activate(userId, code) {
+        try {
+            const user = await this.userRepository.getWithPassword(userId);
+            if (user.mfaEnabledAt) {
+                throw new AppErrors(
+                    'ConflictError',
+                    'Two-factor authentication already enabled',
+                    'Two-factor authentication is already enabled for this account',
+                    StatusCodes.CONFLICT
+                );
+            }
+            if (!user.mfaSecret) {
+                throw new AppErrors(
+                    'MfaNotEnrolledError',
+                    'Two-factor authentication not enrolled',
+                    'Start the enrollment before confirming a code',
+                    StatusCodes.BAD_REQUEST
+                );
+            }
+            if (!await this.#verifyTotp(user, code)) {
+                throw this.#invalidCodeError();
+            }
+            await this.userRepository.updateMfa(userId, { mfaEnabledAt: new Date() });
+            return await this.#generateRecoveryCodes(userId);
+        } catch (error) {
+            console.log("Something went wrong in the MFA activation");
+            throw error;
+        }
+    }
+
+    /**
+     * Checks a second factor, which is either a TOTP code or an unused recovery code.
+     * Both are single-use.
+     * @param {object} user - The full user record.
+     * @param {string} code - The TOTP code or recovery code.
+     * @returns {boolean} True if the code is valid.
+     */
+    async verifyCode(user, code) {
+        try {
+            if (await this.#verifyTotp(user, code)) {
+                return true;
+            }
+            const normalisedCode = String(code).replace(/-/g, '').toLowerCase();
+            return await this.recoveryCodeRepository.consume(user.id, hashToken(normalisedCode));
+        } catch (error) {
+            console.log("Something went wrong in the MFA code verification");
+            throw error;
+        }
+    }
+
+    /**
+     * Decides whether a sign-in that passed the password check needs a second step.
+     * Users with two-factor authentication enabled must confirm a code, and users with
+     * one of the MFA_REQUIRED_ROLES who have not enrolled yet must enroll first.
+     * @param {object} user - The full user record.
+     * @returns {object} The challenge to return instead of tokens, or null if no second step is needed.
+     */
+    async getSignInChallenge(user) {
+        try {
+            if (user.mfaEnabledAt) {
+                return { mfaRequired: true, mfaToken: this.createChallenge(user, 'verify') };
+            }
+            if (MFA_REQUIRED_ROLES.length > 0 && await this.userRepository.hasAnyRole(user.id, MFA_REQUIRED_ROLES)) {
+                return { mfaEnrollmentRequired: true, mfaToken: this.createChallenge(user, 'enroll') };
+            }
+            return null;
+        } catch (error) {
+            console.log("Something went wrong while building the MFA challenge");
+            throw error;
+        }
+    }
+
+    /**
+     * Creates the short-lived token that proves the password step of a sign-in succeeded.
+     * @param {object} user - The user that passed the password step.
+     * @param {string} stage - 'verify' to confirm a code, 'enroll' to enroll first,
+     * 'step_up' to confirm a risky sign-in with a code sent by email.
+     * @returns {string} The challenge token.
+     */
+    createChallenge(user, stage) {
+        return signJwt({ id: user.id, stage }, {
+            expiresIn: MFA_CHALLENGE_EXPIRY,
+            audience: MFA_CHALLENGE_AUDIENCE
+        });
+    }
+
+    /**
+     * Verifies a challenge token created by `createChallenge`.
+     * @param {string} token - The challenge token.
+     * @param {string} stage - The stage the token must have been created for.
+     * @returns {object} The decoded payload containing the user `id`.
+     * @throws {AppErrors} A 401 error if the token is invalid, expired or for another stage.
+     */
+    verifyChallenge(token, stage) {
+        let payload;
+        try {
+            payload = verifyJwt(token, { audience: MFA_CHALLENGE_AUDIENCE });
+        } catch (error) {
+            throw this.#invalidChallengeError(error.message);
+        }
+        if (payload.stage !== stage) {
+            throw this.#invalidChallengeError(`The MFA token is not valid for the ${stage} step`);
+        }
+        return payload;
+    }
+
+    /**
+     * Checks a TOTP code against the user's secret and makes sure it was not used before.
+     */
+    async #verifyTotp(user, code) {
+        if (!user.mfaSecret || !/^\d{6}$/.test(String(code))) {
+            return false;
+        }
+        const delta = totp.checkDelta(String(code), user.mfaSecret);
+        if (delta === null) {
+            return false;
+        }
+        const counter = Math.floor(Date.now() / 1000 / totp.allOptions().step) + delta;
+        return await this.userRepository.recordMfaCounter(user.id, counter);
+    }
+
+    /**
+     * Generates a new set of recovery codes, replacing any earlier ones.
+     * @returns {Array<string>} The plain recovery codes, formatted as 'xxxxx-xxxxx'.
+     */
+    async #generateRecoveryCodes(userId) {
+        const codes = [];
+        for (let i = 0; i < MFA_RECOVERY_CODE_COUNT; i++) {
+            const code = crypto.randomBytes(5).toString('hex');
+            codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+        }
+        await this.recoveryCodeRepository.replaceAll(
+            userId,
+            codes.map((code) => hashToken(code.replace(/-/g, '')))
+        );
+        return codes;
+    }
+
+    #invalidCodeError() {
+        return new AppErrors(
+            'AuthenticationError',
+            'Invalid code',
+            'The two-factor authentication code is incorrect or has already been used',
+            StatusCodes.UNAUTHORIZED
+        );
+    }
+
+    #invalidChallengeError(explanation) {
+        return new AppErrors('AuthenticationError', 'Invalid MFA token', explanation, StatusCodes.UNAUTHORIZED);
+    }
+}
+
+module.exports = MfaService;
\ No newline at end of file
@@ -0,0 +1,284 @@
+/**
+ * This file implements the OAuth 2.0 authorization code flow with PKCE (RFC 6749 section 4.1, RFC 7636),
+ * through which users let third-party apps act on their behalf with a limited set of scopes.
+ * Every authorization starts an app session that the user can see and revoke like their other sessions.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { StatusCodes } = require('http-status-codes');
+const AuthorizationCodeRepository = require('../repository/authorization-code-repository');
+const UserRepository = require('../repository/user-repository');
+const ApiClientService = require('./api-client-service');
+const UserService = require('./user-service');
+const SessionService = require('./session-service');
+const PermissionService = require('./permission-service');
+const AuditService = require('./audit-service');
+const { AUTHORIZATION_CODE_EXPIRY_MINUTES } = require('../config/serverConfig');
+const AppErrors = require('../utils/error-handler');
+const OAuthError = require('../utils/oauth-error');
+const { generateToken, hashToken, addMinutes } = require('../utils/helper');
+const { GrantTypes } = require('../utils/grant-types');
+const { UserStatuses } = require('../utils/user-statuses');
+const { AuditEventTypes } = require('../utils/audit-event-types');
+
+// A S256 code challenge is the unpadded base64url encoding of a SHA-256 digest.
+const CODE_CHALLENGE_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+/**
+ * The OAuthService class encapsulates the authorization endpoint and the grants of the token endpoint used by third-party apps.
+ */
+class OAuthService {
+    constructor() {
+        this.authorizationCodeRepository = new AuthorizationCodeRepository();
+        this.userRepository = new UserRepository();
+        this.apiClientService = new ApiClientService();
+        this.userService = new UserService();
+        this.sessionService = new SessionService();
+        this.permissionService = new PermissionService();
+        this.auditService = new AuditService();
+    }
+
+    /**
+     * Validates an authorization request and describes it, so the user can be asked for consent.
+     * Only the requested scopes the user holds as permissions are offered, since an app can never act with more than its user.
+     * @param {number} userId - The ID of the authenticated user.
+     * @param {object} params - The parameters of the authorization request: `response_type`, `client_id`,
+     * `redirect_uri`, `scope`, `state`, `code_challenge` and `code_challenge_method`.
+     * @returns {object} The requesting `client` (its `clientId` and `name`), the requested `scopes`, the `redirectUri` and the `state`.
+     * @throws {AppErrors} A 400 error if the client or redirect URI is invalid. The user must not be sent back to such a redirect URI.
+     * @throws {OAuthError} If any other parameter is invalid, with the `redirectTo` URI reporting the error to the client.
+     */
+    async getAuthorizationRequest(userId, params) {
+        try {
+            const { client, scopes, redirectUri, state } = await this.#validateAuthorizationRequest(userId, params);
+            return {
+                client: { clientId: client.clientId, name: client.name },
+                scopes,
+                redirectUri,
+                state
+            };
+        } catch (error) {
+            console.log("Something went wrong in the authorization request");
+            throw error;
+        }
+    }
+
+    /**
+     * Records the decision of the user on an authorization request. If the user approved it,
+     * a single-use authorization code is issued to the client.
+     * @param {number} userId - The ID of the authenticated user.
+     * @param {object} params - The parameters of the authorization request, see `getAuthorizationRequest`.
+     * @param {boolean} approved - Whether the user granted the client access.
+     * @param {object} context - Details about the request, the `ip` and `userAgent` it came from.
+     * @returns {object} The `redirectTo` URI sending the user back to the client with the code, or with an 'access_denied' error.
+     * @throws {AppErrors} A 400 error if the client or redirect URI is invalid.
+     * @throws {OAuthError} If any other parameter is invalid, with the `redirectTo` URI reporting the error to the client.
+     */
+    async authorize(userId, params, approved, context = {}) {
+        try {
+            const { client, scopes, redirectUri, state, codeChallenge } = await this.#validateAuthorizationRequest(userId, params);
+            if (!approved) {
+                return {
+                    redirectTo: this.#buildRedirect(redirectUri, {
+                        error: 'access_denied',
+                        error_description: 'The user denied the request',
+                        state
+                    })
+                };
+            }
+            const code = generateToken();
+            await this.authorizationCodeRepository.create({
+                codeHash: hashToken(code),
+                clientId: client.clientId,
+                userId,
+                redirectUri,
+                scope: scopes.join(' '),
+                codeChallenge,
+                expiresAt: addMinutes(AUTHORIZATION_CODE_EXPIRY_MINUTES)
+            });
+            const user = await this.userRepository.getById(userId);
+            await this.auditService.record({
+                type: AuditEventTypes.APP_AUTHORIZED,
+                userId,
+                email: user && user.email,
+                details: { clientId: client.clientId, scope: scopes.join(' ') },
+                context
+            });
+            return { redirectTo: this.#buildRedirect(redirectUri, { code, state }) };
+        } catch (error) {
+            console.log("Something went wrong in the authorization request");
+            throw error;
+        }
+    }
+
+    /**
+     * Handles the authorization code grant: exchanges a code for tokens in a new app session.
+     * Presenting a code that was already exchanged ends the session started with it,
+     * as the code has evidently leaked.
+     * @param {object} credentials - The `clientId` and `clientSecret` the client authenticated with.
+     * @param {object} params - The `code`, the `codeVerifier` matching the code challenge, and the `redirectUri`,
+     * which has to match the one of the authorization request if sent.
+     * @param {object} context - Details about the request, the `ip` and `userAgent` it came from.
+     * @returns {object} The token response: `access_token`, `token_type`, `expires_in`, `refresh_token` and `scope`.
+     * @throws {OAuthError} 'invalid_client' if client authentication fails, 'invalid_grant' if the code cannot be exchanged.
+     */
+    async exchangeCode(credentials, { code, codeVerifier, redirectUri }, context = {}) {
+        try {
+            const client = await this.apiClientService.authenticateClient(credentials.clientId, credentials.clientSecret);
+            this.apiClientService.assertGrantAllowed(client, GrantTypes.AUTHORIZATION_CODE);
+            if (typeof code !== 'string' || !code || !codeVerifier) {
+                throw new OAuthError('invalid_request', 'The code and code_verifier parameters are required');
+            }
+            const record = await this.authorizationCodeRepository.getByHash(hashToken(code));
+            if (!record || record.clientId !== client.clientId) {
+                throw new OAuthError('invalid_grant', 'The authorization code is invalid');
+            }
+            if (record.usedAt) {
+                if (record.sessionId) {
+                    await this.sessionService.endSession(record.sessionId);
+                    await this.auditService.record({
+                        type: AuditEventTypes.TOKEN_REVOKED,
+                        userId: record.userId,
+                        details: { reason: 'authorization_code_reuse', scope: 'session', clientId: client.clientId },
+                        context
+                    });
+                }
+                throw new OAuthError('invalid_grant', 'The authorization code has already been used');
+            }
+            if ((redirectUri || record.redirectUri) !== record.redirectUri) {
+                throw new OAuthError('invalid_grant', 'The redirect URI does not match the authorization request');
+            }
+            if (!this.#verifyCodeChallenge(codeVerifier, record.codeChallenge)) {
+                throw new OAuthError('invalid_grant', 'The code verifier does not match the code challenge');
+            }
+            if (!await this.authorizationCodeRepository.consume(record.id)) {
+                throw new OAuthError('invalid_grant', 'The authorization code has expired or has already been used');
+            }
+            const user = await this.userRepository.getById(record.userId);
+            if (!user || user.status !== UserStatuses.ACTIVE) {
+                throw new OAuthError('invalid_grant', 'The user who authorized the client is no longer active');
+            }
+            const session = await this.sessionService.startSession(user.id, context, {
+                clientId: client.clientId,
+                name: client.name,
+                scope: record.scope
+            });
+            await this.authorizationCodeRepository.setSession(record.id, session.id);
+            const tokens = await this.userService.issueTokens(user, context, session.id);
+            return this.#tokenResponse(tokens);
+        } catch (error) {
+            console.log("Something went wrong in the authorization code grant");
+            throw error;
+        }
+    }
+
+    /**
+     * Handles the refresh token grant for tokens obtained through the authorization code grant.
+     * The refresh token is rotated exactly like a first-party one, including the reuse detection.
+     * @param {object} credentials - The `clientId` and `clientSecret` the client authenticated with.
+     * @param {string} refreshToken - The plain refresh token.
+     * @param {object} context - Details about the request, the `ip` and `userAgent` it came from.
+     * @returns {object} The token response: `access_token`, `token_type`, `expires_in`, `refresh_token` and `scope`.
+     * @throws {OAuthError} 'invalid_client' if client authentication fails, 'invalid_grant' if the refresh token is not usable.
+     */
+    async refreshToken(credentials, refreshToken, context = {}) {
+        try {
+            const client = await this.apiClientService.authenticateClient(credentials.clientId, credentials.clientSecret);
+            this.apiClientService.assertGrantAllowed(client, GrantTypes.AUTHORIZATION_CODE);
+            if (typeof refreshToken !== 'string' || !refreshToken) {
+                throw new OAuthError('invalid_request', 'The refresh_token parameter is required');
+            }
+            let tokens;
+            try {
+                tokens = await this.userService.refresh(refreshToken, context, client.clientId);
+            } catch (error) {
+                if (error.name === 'AuthenticationError' || error.name === 'AccountDeactivatedError') {
+                    throw new OAuthError('invalid_grant', error.explanation);
+                }
+                throw error;
+            }
+            return this.#tokenResponse(tokens);
+        } catch (error) {
+            console.log("Something went wrong in the refresh token grant");
+            throw error;
+        }
+    }
+
+    /**
+     * Validates the client and redirect URI first, since errors can only be reported back
+     * to the client through a redirect URI that is known to belong to it.
+     */
+    async #validateAuthorizationRequest(userId, params) {
+        const client = await this.apiClientService.getActiveClient(params.client_id);
+        if (!client || !client.grantTypes.includes(GrantTypes.AUTHORIZATION_CODE)) {
+            throw new AppErrors(
+                'InvalidClientError',
+                'Invalid client',
+                'The client does not exist or is not allowed to use the authorization code flow',
+                StatusCodes.BAD_REQUEST
+            );
+        }
+        // The redirect URI may only be omitted if the client registered exactly one.
+        const redirectUri = params.redirect_uri || (client.redirectUris.length === 1 ? client.redirectUris[0] : undefined);
+        if (!client.redirectUris.includes(redirectUri)) {
+            throw new AppErrors(
+                'InvalidRedirectUriError',
+                'Invalid redirect URI',
+                'The redirect URI is missing or not registered for the client',
+                StatusCodes.BAD_REQUEST
+            );
+        }
+        const state = params.state;
+        const fail = (error, description) => {
+            const oauthError = new OAuthError(error, description);
+            oauthError.redirectTo = this.#buildRedirect(redirectUri, { error, error_description: description, state });
+            return oauthError;
+        };
+        if (params.response_type !== 'code') {
+            throw fail('unsupported_response_type', "The response type must be 'code'");
+        }
+        if (params.code_challenge_method !== 'S256' || !CODE_CHALLENGE_PATTERN.test(params.code_challenge || '')) {
+            throw fail('invalid_request', "A PKCE code challenge with the 'S256' method is required");
+        }
+        const scopes = params.scope ? [...new Set(String(params.scope).split(' ').filter(Boolean))] : client.scopes;
+        const notAllowed = scopes.filter((requested) => !client.scopes.includes(requested));
+        if (scopes.length === 0 || notAllowed.length > 0) {
+            throw fail('invalid_scope', `The client is not allowed the scopes: ${notAllowed.join(' ') || '(none requested)'}`);
+        }
+        const permissions = await this.permissionService.getPermissions(userId);
+        const granted = scopes.filter((scope) => permissions.includes(scope));
+        if (granted.length === 0) {
+            throw fail('invalid_scope', 'The user holds none of the requested scopes');
+        }
+        return { client, scopes: granted, redirectUri, state, codeChallenge: params.code_challenge };
+    }
+
+    #verifyCodeChallenge(codeVerifier, codeChallenge) {
+        const expected = crypto.createHash('sha256').update(String(codeVerifier)).digest('base64url');
+        return crypto.timingSafeEqual(Buffer.from(hashToken(expected)), Buffer.from(hashToken(codeChallenge)));
+    }
+
+    #buildRedirect(redirectUri, params) {
+        const url = new URL(redirectUri);
+        for (const [name, value] of Object.entries(params)) {
+            if (value !== undefined) {
+                url.searchParams.set(name, value);
+            }
+        }
+        return url.toString();
+    }
+
+    #tokenResponse({ accessToken, refreshToken }) {
+        const { exp, iat, scope } = jwt.decode(accessToken);
+        return {
+            access_token: accessToken,
+            token_type: 'Bearer',
+            expires_in: exp - iat,
+            refresh_token: refreshToken,
+            scope
+        };
+    }
+}
+
+module.exports = OAuthService;
\ No newline at end of file
@@ -0,0 +1,339 @@
+/**
+ * This file implements organizations: the airlines AIRLINE_BUSINESS users work for.
+ * A user belongs to at most one organization, joins it by accepting an emailed invitation,
+ * and carries its ID in their access tokens so downstream services can scope what they may edit.
+ */
+
+const { StatusCodes } = require('http-status-codes');
+const OrganizationRepository = require('../repository/organization-repository');
+const OrganizationInvitationRepository = require('../repository/organization-invitation-repository');
+const UserRepository = require('../repository/user-repository');
+const MailService = require('./mail-service');
+const AuditService = require('./audit-service');
+const { APP_URL, ORGANIZATION_INVITATION_EXPIRY_HOURS } = require('../config/serverConfig');
+const AppErrors = require('../utils/error-handler');
+const { generateToken, hashToken, addMinutes } = require('../utils/helper');
+const { MembershipRoles } = require('../utils/membership-roles');
+const { Roles } = require('../utils/roles');
+const { AuditEventTypes } = require('../utils/audit-event-types');
+
+const ALREADY_MEMBER_EXPLANATION = 'You already belong to an organization, leave it before joining another one';
+
+/**
+ * The OrganizationService class encapsulates organizations, their members and invitations.
+ */
+class OrganizationService {
+    constructor() {
+        this.organizationRepository = new OrganizationRepository();
+        this.organizationInvitationRepository = new OrganizationInvitationRepository();
+        this.userRepository = new UserRepository();
+        this.mailService = new MailService();
+        this.auditService = new AuditService();
+    }
+
+    /**
+     * Creates an organization with the calling user as its owner.
+     * @param {number} userId - The ID of the authenticated user.
+     * @param {object} data - The `name` and optional `iataCode` of the organization.
+     * @returns {object} The organization with the `role` of the user in it.
+     * @throws {AppErrors} A 409 error if the user already belongs to an organization or the IATA code is taken.
+     * @throws {ValidationError} If the name or IATA code are invalid.
+     */
+    async createOrganization(userId, { name, iataCode }) {
+        try {
+            await this.#assertNotMember(userId, 'You already belong to an organization');
+            if (iataCode && await this.organizationRepository.getByIataCode(iataCode)) {
+                throw new AppErrors(
+                    'ConflictError',
+                    'IATA code already in use',
+                    `Another organization already uses the IATA code ${iataCode}`,
+                    StatusCodes.CONFLICT
+                );
+            }
+            const organization = await this.organizationRepository.createWithOwner({ name, iataCode }, userId, MembershipRoles.OWNER);
+            return {
+                id: organization.id,
+                name: organization.name,
+                iataCode: organization.iataCode,
+                role: MembershipRoles.OWNER
+            };
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves the organization of a user with its members.
+     * @param {number} userId - The ID of the authenticated user.
+     * @returns {object} The organization, the `role` of the user in it and its `members`.
+     * @throws {AppErrors} A 404 error if the user belongs to no organization.
+     */
+    async getOrganizationOf(userId) {
+        try {
+            const membership = await this.organizationRepository.getMembership(userId);
+            if (!membership) {
+                throw new AppErrors('NotFoundError', 'Organization not found', 'You do not belong to an organization', StatusCodes.NOT_FOUND);
+            }
+            const members = await this.organizationRepository.getMembers(membership.organizationId);
+            return {
+                id: membership.Organization.id,
+                name: membership.Organization.name,
+                iataCode: membership.Organization.iataCode,
+                role: membership.role,
+                members: members.map((member) => ({
+                    id: member.User.id,
+                    email: member.User.email,
+                    name: member.User.name,
+                    role: member.role,
+                    joinedAt: member.createdAt
+                }))
+            };
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Invites someone to join an organization by email. Earlier pending invitations to the same email are revoked.
+     * The invitee may not have an account yet; they accept after signing up with the invited email.
+     * @param {number} userId - The ID of the authenticated user, who must be an owner of the organization.
+     * @param {number} organizationId - The ID of the organization.
+     * @param {object} data - The `email` to invite and the membership `role` to offer, MEMBER by default.
+     * @param {object} context - Details about the request, the `ip` and `userAgent` it came from.
+     * @returns {object} The invitation, without its token.
+     * @throws {AppErrors} A 403 error if the user is not an owner, a 409 error if the invitee is already a member.
+     * @throws {ValidationError} If the email or role are invalid.
+     */
+    async inviteMember(userId, organizationId, { email, role = MembershipRoles.MEMBER }, context = {}) {
+        try {
+            const membership = await this.#assertOwner(userId, organizationId);
+            const invitedEmail = String(email).trim();
+            const invitee = await this.userRepository.getByEmail(invitedEmail);
+            const inviteeMembership = invitee && await this.organizationRepository.getMembership(invitee.id);
+            if (inviteeMembership && inviteeMembership.organizationId === membership.organizationId) {
+                throw new AppErrors(
+                    'ConflictError',
+                    'Already a member',
+                    `${invitedEmail} already belongs to the organization`,
+                    StatusCodes.CONFLICT
+                );
+            }
+            await this.organizationInvitationRepository.revokePending(membership.organizationId, { email: invitedEmail });
+            const token = generateToken();
+            const invitation = await this.organizationInvitationRepository.create({
+                organizationId: membership.organizationId,
+                email: invitedEmail,
+                role,
+                tokenHash: hashToken(token),
+                invitedById: userId,
+                expiresAt: addMinutes(ORGANIZATION_INVITATION_EXPIRY_HOURS * 60)
+            });
+            await this.mailService.sendOrganizationInvitation(
+                invitedEmail,
+                membership.Organization.name,
+                `${APP_URL}/accept-invitation?token=${token}`,
+                ORGANIZATION_INVITATION_EXPIRY_HOURS
+            );
+            return this.#toInvitationSummary(invitation);
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves the invitations of an organization that can still be accepted.
+     * @param {number} userId - The ID of the authenticated user, who must be an owner of the organization.
+     * @param {number} organizationId - The ID of the organization.
+     * @returns {Array} The pending invitations.
+     * @throws {AppErrors} A 403 error if the user is not an owner.
+     */
+    async listInvitations(userId, organizationId) {
+        try {
+            const membership = await this.#assertOwner(userId, organizationId);
+            const invitations = await this.organizationInvitationRepository.getPendingForOrganization(membership.organizationId);
+            return invitations.map((invitation) => this.#toInvitationSummary(invitation));
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Revokes a pending invitation.
+     * @param {number} userId - The ID of the authenticated user, who must be an owner of the organization.
+     * @param {number} organizationId - The ID of the organization.
+     * @param {number} invitationId - The ID of the invitation.
+     * @returns {boolean} True if the invitation was revoked.
+     * @throws {AppErrors} A 403 error if the user is not an owner, a 404 error if there is no such pending invitation.
+     */
+    async revokeInvitation(userId, organizationId, invitationId) {
+        try {
+            const membership = await this.#assertOwner(userId, organizationId);
+            const revoked = await this.organizationInvitationRepository.revokePending(membership.organizationId, { id: invitationId });
+            if (!revoked) {
+                throw new AppErrors(
+                    'NotFoundError',
+                    'Invitation not found',
+                    `No pending invitation exists with the id ${invitationId}`,
+                    StatusCodes.NOT_FOUND
+                );
+            }
+            return true;
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Accepts an invitation: the user joins the organization and gets the AIRLINE_BUSINESS role
+     * if they do not have it yet. The organization ID is part of the tokens issued from then on,
+     * so the client should refresh its tokens.
+     * @param {number} userId - The ID of the authenticated user.
+     * @param {string} token - The plain invitation token from the email.
+     * @param {object} context - Details about the request, the `ip` and `userAgent` it came from.
+     * @returns {object} The organization with the `role` of the user in it.
+     * @throws {AppErrors} A 400 error if the token is unknown, expired, revoked or already used,
+     * a 403 error if the invitation was sent to another email, a 409 error if the user already belongs to an organization.
+     */
+    async acceptInvitation(userId, token, context = {}) {
+        try {
+            const invitation = await this.organizationInvitationRepository.getPending(hashToken(token));
+            if (!invitation) {
+                throw new AppErrors(
+                    'InvalidTokenError',
+                    'Invalid invitation',
+                    'The invitation is invalid, expired, revoked or has already been accepted',
+                    StatusCodes.BAD_REQUEST
+                );
+            }
+            const user = await this.userRepository.getById(userId);
+            if (!user || user.email.toLowerCase() !== invitation.email.toLowerCase()) {
+                throw new AppErrors(
+                    'ForbiddenError',
+                    'Not invited',
+                    'The invitation was sent to another email address',
+                    StatusCodes.FORBIDDEN
+                );
+            }
+            await this.#assertNotMember(userId, ALREADY_MEMBER_EXPLANATION);
+            // Members of an organization are airline business users, so those who are not yet get the role with the membership.
+            const grantRole = await this.userRepository.hasAnyRole(user.id, [Roles.AIRLINE_BUSINESS])
+                ? null
+                : await this.userRepository.getRoleByName(Roles.AIRLINE_BUSINESS);
+            if (!await this.#accept(invitation, userId, grantRole && grantRole.id)) {
+                throw new AppErrors(
+                    'InvalidTokenError',
+                    'Invalid invitation',
+                    'The invitation is invalid, expired, revoked or has already been accepted',
+                    StatusCodes.BAD_REQUEST
+                );
+            }
+            if (grantRole) {
+                await this.auditService.record({
+                    type: AuditEventTypes.ROLE_GRANTED,
+                    userId: user.id,
+                    email: user.email,
+                    actorId: invitation.invitedById,
+                    details: { role: grantRole.name, reason: 'organization_invitation', organizationId: invitation.organizationId },
+                    context
+                });
+            }
+            return {
+                id: invitation.Organization.id,
+                name: invitation.Organization.name,
+                iataCode: invitation.Organization.iataCode,
+                role: invitation.role
+            };
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Removes a member from an organization. Access tokens issued before keep the organization ID
+     * until they expire; services that need the current membership should introspect the token.
+     * @param {number} userId - The ID of the authenticated user, who must be an owner of the organization.
+     * @param {number} organizationId - The ID of the organization.
+     * @param {number} memberId - The ID of the user to remove.
+     * @returns {boolean} True if the member was removed.
+     * @throws {AppErrors} A 400 error if owners try to remove themselves, a 403 error if the user is not an owner,
+     * a 404 error if there is no such member.
+     */
+    async removeMember(userId, organizationId, memberId) {
+        try {
+            const membership = await this.#assertOwner(userId, organizationId);
+            if (Number(memberId) === Number(userId)) {
+                throw new AppErrors(
+                    'ValidationError',
+                    'Cannot remove yourself',
+                    'Owners cannot remove themselves, so an organization always keeps an owner',
+                    StatusCodes.BAD_REQUEST
+                );
+            }
+            const removed = await this.organizationRepository.removeMember(membership.organizationId, memberId);
+            if (!removed) {
+                throw new AppErrors(
+                    'NotFoundError',
+                    'Member not found',
+                    `No member exists with the id ${memberId}`,
+                    StatusCodes.NOT_FOUND
+                );
+            }
+            return true;
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    async #assertOwner(userId, organizationId) {
+        const membership = await this.organizationRepository.getMembership(userId);
+        if (!membership || membership.organizationId !== Number(organizationId) || membership.role !== MembershipRoles.OWNER) {
+            throw new AppErrors(
+                'ForbiddenError',
+                'Not authorized',
+                'Only owners of the organization can manage its members and invitations',
+                StatusCodes.FORBIDDEN
+            );
+        }
+        return membership;
+    }
+
+    // A concurrent accept of another invitation can add the user to an organization after the
+    // membership check, which the unique user ID of a membership rejects.
+    async #accept(invitation, userId, grantRoleId) {
+        try {
+            return await this.organizationInvitationRepository.accept(invitation, userId, grantRoleId);
+        } catch (error) {
+            if (error.name == 'SequelizeUniqueConstraintError') {
+                throw new AppErrors('ConflictError', 'Already in an organization', ALREADY_MEMBER_EXPLANATION, StatusCodes.CONFLICT);
+            }
+            throw error;
+        }
+    }
+
+    async #assertNotMember(userId, explanation) {
+        const membership = await this.organizationRepository.getMembership(userId);
+        if (membership) {
+            throw new AppErrors('ConflictError', 'Already in an organization', explanation, StatusCodes.CONFLICT);
+        }
+    }
+
+    #toInvitationSummary(invitation) {
+        return {
+            id: invitation.id,
+            email: invitation.email,
+            role: invitation.role,
+            invitedById: invitation.invitedById,
+            expiresAt: invitation.expiresAt,
+            createdAt: invitation.createdAt
+        };
+    }
+}
+
+module.exports = OrganizationService;
\ No newline at end of file
@@ -0,0 +1,187 @@
+/**
+ * This file implements the business logic for recovering an account through a password reset,
+ * and for choosing the first password of an account created through a bulk import.
+ */
+
+const { StatusCodes } = require('http-status-codes');
+const UserRepository = require('../repository/user-repository');
+const UserTokenRepository = require('../repository/user-token-repository');
+const MailService = require('./mail-service');
+const UserService = require('./user-service');
+const SessionService = require('./session-service');
+const AuditService = require('./audit-service');
+const { APP_URL, PASSWORD_RESET_TOKEN_EXPIRY_MINUTES } = require('../config/serverConfig');
+const AppErrors = require('../utils/error-handler');
+const { generateToken, hashToken, addMinutes } = require('../utils/helper');
+const { TokenPurposes } = require('../utils/token-purposes');
+const { assertPasswordPolicy } = require('../utils/password-policy');
+const { AuditEventTypes } = require('../utils/audit-event-types');
+
+/**
+ * The PasswordService class encapsulates the password reset flow.
+ */
+class PasswordService {
+    constructor() {
+        this.userRepository = new UserRepository();
+        this.userTokenRepository = new UserTokenRepository();
+        this.mailService = new MailService();
+        this.userService = new UserService();
+        this.sessionService = new SessionService();
+        this.auditService = new AuditService();
+    }
+
+    /**
+     * Issues a single-use password reset token and emails it to the user.
+     * Any reset token issued earlier for the user stops working.
+     * Nothing is sent for unknown emails, but the caller cannot tell the difference,
+     * so the endpoint cannot be used to find out which emails are registered.
+     * @param {string} email - The email of the account to recover.
+     * @returns {boolean} Always true.
+     */
+    async forgotPassword(email) {
+        try {
+            const user = await this.userRepository.getByEmail(email);
+            if (!user) {
+                return true;
+            }
+            await this.userTokenRepository.invalidateAll(user.id, TokenPurposes.PASSWORD_RESET);
+            const token = generateToken();
+            await this.userTokenRepository.create({
+                userId: user.id,
+                purpose: TokenPurposes.PASSWORD_RESET,
+                tokenHash: hashToken(token),
+                expiresAt: addMinutes(PASSWORD_RESET_TOKEN_EXPIRY_MINUTES)
+            });
+            await this.mailService.sendPasswordReset(
+                user.email,
+                `${APP_URL}/reset-password?token=${token}`,
+                PASSWORD_RESET_TOKEN_EXPIRY_MINUTES
+            );
+            return true;
+        } catch (error) {
+            console.log("Something went wrong in the forgot password process");
+            throw error;
+        }
+    }
+
+    /**
+     * Sets a new password using a reset token and ends every session of the user.
+     * @param {string} token - The plain reset token from the email.
+     * @param {string} newPassword - The new plain text password.
+     * @param {object} context - Details about the request, the `ip` and `userAgent` it came from.
+     * @returns {boolean} True if the password was reset.
+     * @throws {ValidationError} If the new password breaks the password policy.
+     * @throws {AppErrors} A 400 error if the token is unknown, expired or already used.
+     */
+    async resetPassword(token, newPassword, context = {}) {
+        try {
+            const tokenHash = hashToken(token);
+            const usableToken = await this.userTokenRepository.getUsable(tokenHash, TokenPurposes.PASSWORD_RESET);
+            const user = usableToken && await this.userRepository.getById(usableToken.userId);
+            if (!user) {
+                throw this.#invalidTokenError();
+            }
+            // Check the password before using up the token, so a rejected password does not burn it.
+            assertPasswordPolicy(newPassword, { email: user.email });
+            const userToken = await this.userTokenRepository.consume(tokenHash, TokenPurposes.PASSWORD_RESET);
+            if (!userToken) {
+                throw this.#invalidTokenError();
+            }
+            await this.userRepository.updatePassword(userToken.userId, newPassword);
+            await this.sessionService.endAllSessions(userToken.userId);
+            await this.auditService.record({
+                type: AuditEventTypes.TOKEN_REVOKED,
+                userId: user.id,
+                email: user.email,
+                details: { reason: 'password_reset', scope: 'all_sessions' },
+                context
+            });
+            return true;
+        } catch (error) {
+            console.log("Something went wrong in the reset password process");
+            throw error;
+        }
+    }
+
+    /**
+     * Changes the password of a signed-in user. Every existing session of the user is ended
+     * and a new token pair is issued for the client that made the change.
+     * @param {number} userId - The ID of the authenticated user.
+     * @param {string} oldPassword - The current plain text password.
+     * @param {string} newPassword - The new plain text password.
+     * @param {object} context - Details about the request, the `ip` and `userAgent` it came from.
+     * @returns {object} An object containing the new `accessToken` and `refreshToken`.
+     * @throws {AppErrors} A 401 error if the current password is wrong.
+     * @throws {ValidationError} If the new password breaks the password policy.
+     */
+    async changePassword(userId, oldPassword, newPassword, context = {}) {
+        try {
+            const user = await this.userRepository.getWithPassword(userId);
+            if (!this.userService.checkPassword(oldPassword, user.password)) {
+                throw new AppErrors(
+                    'AuthenticationError',
+                    'Invalid credentials',
+                    'The current password is incorrect',
+                    StatusCodes.UNAUTHORIZED
+                );
+            }
+            assertPasswordPolicy(newPassword, { email: user.email });
+            // The model's `beforeSave` hook hashes the new password with the configured SALT_ROUNDS.
+            await this.userRepository.updatePassword(userId, newPassword);
+            await this.sessionService.endAllSessions(userId);
+            await this.auditService.record({
+                type: AuditEventTypes.TOKEN_REVOKED,
+                userId: user.id,
+                email: user.email,
+                details: { reason: 'password_changed', scope: 'all_sessions' },
+                context
+            });
+            return await this.userService.issueTokens(user, context);
+        } catch (error) {
+            console.log("Something went wrong in the change password process");
+            throw error;
+        }
+    }
+
+    /**
+     * Sets the first password of a user created through a bulk import, using the token from their invite.
+     * Following the invite link proves ownership of the email, so it is marked verified as well.
+     * @param {string} token - The plain invite token from the email.
+     * @param {string} password - The chosen plain text password.
+     * @returns {boolean} True if the account was set up.
+     * @throws {ValidationError} If the password breaks the password policy.
+     * @throws {AppErrors} A 400 error if the token is unknown, expired or already used.
+     */
+    async setupAccount(token, password) {
+        try {
+            const tokenHash = hashToken(token);
+            const usableToken = await this.userTokenRepository.getUsable(tokenHash, TokenPurposes.ACCOUNT_INVITE);
+            const user = usableToken && await this.userRepository.getById(usableToken.userId);
+            if (!user) {
+                throw this.#invalidTokenError('invite');
+            }
+            assertPasswordPolicy(password, { email: user.email });
+            const userToken = await this.userTokenRepository.consume(tokenHash, TokenPurposes.ACCOUNT_INVITE);
+            if (!userToken) {
+                throw this.#invalidTokenError('invite');
+            }
+            await this.userRepository.updatePassword(user.id, password);
+            await this.userRepository.markEmailVerified(user.id);
+            return true;
+        } catch (error) {
+            console.log("Something went wrong in the account setup process");
+            throw error;
+        }
+    }
+
+    #invalidTokenError(kind = 'reset') {
+        return new AppErrors(
+            'InvalidTokenError',
+            `Invalid ${kind} token`,
+            `The ${kind} token is invalid, expired or has already been used`,
+            StatusCodes.BAD_REQUEST
+        );
+    }
+}
+
+module.exports = PasswordService;
\ No newline at end of file
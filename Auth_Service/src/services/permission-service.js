@@ -0,0 +1,115 @@
+/**
+ * This file implements permission-based authorization. Permissions are granted to roles, and
+ * roles inherit the permissions of their parent role (ADMIN > AIRLINE_BUSINESS > CUSTOMER),
+ * so a user holds the permissions of their roles and of every role below them.
+ */
+
+const UserRepository = require('../repository/user-repository');
+const PermissionRepository = require('../repository/permission-repository');
+
+/**
+ * The PermissionService class resolves the roles and permissions a user effectively holds.
+ */
+class PermissionService {
+    constructor() {
+        this.userRepository = new UserRepository();
+        this.permissionRepository = new PermissionRepository();
+    }
+
+    /**
+     * Retrieves the roles a user holds, directly or through inheritance.
+     * @param {number} userId - The ID of the user.
+     * @returns {Array<object>} The roles with 'id' and 'name', or an empty list for unknown users.
+     */
+    async getEffectiveRoles(userId) {
+        try {
+            const directRoles = await this.userRepository.getRoles(userId);
+            const hierarchy = await this.permissionRepository.getRoleHierarchy();
+            const rolesById = new Map(hierarchy.map((role) => [role.id, role]));
+            const effective = new Map();
+            for (const { id } of directRoles) {
+                // Walks up the parents; the `effective` check also stops at a misconfigured cycle.
+                let role = rolesById.get(id);
+                while (role && !effective.has(role.id)) {
+                    effective.set(role.id, { id: role.id, name: role.name });
+                    role = rolesById.get(role.parentId);
+                }
+            }
+            return [...effective.values()];
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves the names of every permission a user holds.
+     * @param {number} userId - The ID of the user.
+     * @returns {Array<string>} The permission names, sorted.
+     */
+    async getPermissions(userId) {
+        try {
+            const roles = await this.getEffectiveRoles(userId);
+            if (roles.length === 0) {
+                return [];
+            }
+            const permissions = await this.permissionRepository.getNamesForRoles(roles.map((role) => role.id));
+            return permissions.sort();
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Checks if a user holds a permission, directly through one of their roles or through inheritance.
+     * @param {number} userId - The ID of the user.
+     * @param {string} permission - The name of the permission, e.g. 'flights:write'.
+     * @returns {boolean} True if the user holds the permission, false otherwise (including unknown users).
+     */
+    async hasPermission(userId, permission) {
+        try {
+            const permissions = await this.getPermissions(userId);
+            return permissions.includes(permission);
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Checks if a user holds at least one of the given roles, directly or through inheritance.
+     * @param {number} userId - The ID of the user.
+     * @param {Array<string>} roleNames - The names of the accepted roles.
+     * @returns {boolean} True if the user holds any of the roles, false otherwise.
+     */
+    async hasAnyRole(userId, roleNames) {
+        try {
+            const roles = await this.getEffectiveRoles(userId);
+            return roles.some((role) => roleNames.includes(role.name));
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves every permission with the roles it is granted to directly.
+     * @returns {Array<object>} A list of permissions with their `name`, `description` and `roles`.
+     */
+    async listPermissions() {
+        try {
+            const permissions = await this.permissionRepository.getAll();
+            return permissions.map((permission) => ({
+                name: permission.name,
+                description: permission.description,
+                roles: permission.Roles.map((role) => role.name)
+            }));
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+}
+
+module.exports = PermissionService;
\ No newline at end of file
@@ -0,0 +1,145 @@
+/**
+ * This file implements the business logic for the passenger profile of the signed-in user,
+ * including changing the account email, which has to be confirmed from the new address.
+ */
+
+const { StatusCodes } = require('http-status-codes');
+const UserRepository = require('../repository/user-repository');
+const UserTokenRepository = require('../repository/user-token-repository');
+const MailService = require('./mail-service');
+const { APP_URL, EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS } = require('../config/serverConfig');
+const AppErrors = require('../utils/error-handler');
+const { generateToken, hashToken, addMinutes } = require('../utils/helper');
+const { TokenPurposes } = require('../utils/token-purposes');
+
+// The profile fields a user may change directly.
+const EDITABLE_FIELDS = ['name', 'phone', 'dateOfBirth', 'nationality', 'homeAirport', 'preferredCurrency'];
+
+// Fields holding country, airport or currency codes, which are stored upper-case.
+const CODE_FIELDS = ['nationality', 'homeAirport', 'preferredCurrency'];
+
+/**
+ * The ProfileService class encapsulates reading and updating the profile of a user.
+ */
+class ProfileService {
+    constructor() {
+        this.userRepository = new UserRepository();
+        this.userTokenRepository = new UserTokenRepository();
+        this.mailService = new MailService();
+    }
+
+    /**
+     * Retrieves the profile of a user.
+     * @param {number} userId - The ID of the user.
+     * @returns {object} The profile.
+     */
+    async getProfile(userId) {
+        try {
+            return await this.#getProfileOrFail(userId);
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Updates the profile of a user. Unknown fields are ignored and `null` clears a field.
+     * A new `email` is not applied right away: a confirmation link is sent to it instead.
+     * @param {number} userId - The ID of the user.
+     * @param {object} data - The fields to change.
+     * @returns {object} The updated profile; a requested email shows up as `pendingEmail`.
+     * @throws {ValidationError} If any of the values is invalid.
+     * @throws {AppErrors} A 409 error if the new email is already used by another account.
+     */
+    async updateProfile(userId, data) {
+        try {
+            const profile = await this.#getProfileOrFail(userId);
+            const changes = {};
+            EDITABLE_FIELDS.filter((field) => data[field] !== undefined).forEach((field) => {
+                const value = data[field];
+                changes[field] = (CODE_FIELDS.includes(field) && typeof value === 'string') ? value.toUpperCase() : value;
+            });
+            if (Object.keys(changes).length > 0) {
+                await this.userRepository.updateProfile(userId, changes);
+            }
+            if (data.email && data.email !== profile.email) {
+                await this.#requestEmailChange(profile, data.email);
+            }
+            return await this.userRepository.getProfile(userId);
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Applies a requested email change with the token sent to the new address.
+     * @param {string} token - The plain confirmation token.
+     * @returns {object} The updated profile.
+     * @throws {AppErrors} A 400 error for an invalid token, 409 if the email was taken in the meantime.
+     */
+    async confirmEmailChange(token) {
+        try {
+            const userToken = await this.userTokenRepository.consume(hashToken(token), TokenPurposes.EMAIL_CHANGE);
+            const profile = userToken && await this.userRepository.getProfile(userToken.userId);
+            if (!profile || !profile.pendingEmail) {
+                throw new AppErrors(
+                    'InvalidTokenError',
+                    'Invalid confirmation token',
+                    'The confirmation token is invalid, expired or has already been used',
+                    StatusCodes.BAD_REQUEST
+                );
+            }
+            await this.#assertEmailAvailable(profile.pendingEmail);
+            return await this.userRepository.applyPendingEmail(profile.id);
+        } catch (error) {
+            console.log("Something went wrong in the email change confirmation");
+            throw error;
+        }
+    }
+
+    /**
+     * Stores the requested email as pending and sends the confirmation link to it,
+     * plus a notice to the current address.
+     */
+    async #requestEmailChange(profile, newEmail) {
+        await this.#assertEmailAvailable(newEmail);
+        await this.userRepository.updateProfile(profile.id, { pendingEmail: newEmail });
+        await this.userTokenRepository.invalidateAll(profile.id, TokenPurposes.EMAIL_CHANGE);
+        const token = generateToken();
+        await this.userTokenRepository.create({
+            userId: profile.id,
+            purpose: TokenPurposes.EMAIL_CHANGE,
+            tokenHash: hashToken(token),
+            expiresAt: addMinutes(EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS * 60)
+        });
+        await this.mailService.sendEmailChangeConfirmation(
+            newEmail,
+            `${APP_URL}/confirm-email-change?token=${token}`,
+            EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS
+        );
+        await this.mailService.sendEmailChangeNotice(profile.email, newEmail);
+    }
+
+    async #assertEmailAvailable(email) {
+        const existingUser = await this.userRepository.getByEmail(email);
+        if (existingUser) {
+            throw new AppErrors(
+                'ConflictError',
+                'Email already in use',
+                'Another account already uses this email',
+                StatusCodes.CONFLICT
+            );
+        }
+    }
+
+    async #getProfileOrFail(userId) {
+        const profile = await this.userRepository.getProfile(userId);
+        if (!profile) {
+            throw new AppErrors('NotFoundError', 'User not found', `No user exists with the id ${userId}`, StatusCodes.NOT_FOUND);
+        }
+        return profile;
+    }
+}
+
+module.exports = ProfileService;
\ No newline at end of file
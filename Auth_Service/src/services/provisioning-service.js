@@ -0,0 +1,168 @@
+/**
+ * This file implements bulk provisioning: creating the accounts of many users at once from a CSV file,
+ * e.g. the employees of a corporate travel client. Provisioned users get an email with an invite link
+ * to choose their password instead of signing up themselves.
+ */
+
+const { StatusCodes } = require('http-status-codes');
+const UserRepository = require('../repository/user-repository');
+const MailService = require('./mail-service');
+const AuditService = require('./audit-service');
+const { APP_URL, ACCOUNT_INVITE_EXPIRY_HOURS } = require('../config/serverConfig');
+const AppErrors = require('../utils/error-handler');
+const { parseCsv } = require('../utils/csv');
+const { generateToken, hashToken, addMinutes } = require('../utils/helper');
+const { Roles } = require('../utils/roles');
+const { TokenPurposes } = require('../utils/token-purposes');
+const { AuditEventTypes } = require('../utils/audit-event-types');
+
+// The most users a single file may contain; split larger files.
+const MAX_IMPORT_ROWS = 1000;
+
+// The roles a file may assign. ADMIN is only ever granted one user at a time, and AIRLINE_BUSINESS
+// only by approving a business account request, so an import cannot skip the approval.
+const IMPORTABLE_ROLES = [Roles.CUSTOMER];
+
+const EMAIL_TAKEN_ERROR = 'A user with this email already exists';
+
+/**
+ * The ProvisioningService class encapsulates the import of users from CSV files.
+ */
+class ProvisioningService {
+    constructor() {
+        this.userRepository = new UserRepository();
+        this.mailService = new MailService();
+        this.auditService = new AuditService();
+    }
+
+    /**
+     * Creates the users listed in a CSV file with the columns `email`, and optionally `name` and `roles`
+     * (role names separated by ';'). Every user is a CUSTOMER in addition to the listed roles.
+     * Each row is checked with the User model validators first; rows that fail are reported and skipped.
+     * The remaining users are created in a single transaction and emailed their invite link. A row whose
+     * email is registered while the file is being imported is reported like any other taken email.
+     * @param {string} csv - The CSV document.
+     * @param {number} [adminId] - The ID of the admin importing the file; omitted when run from the command line.
+     * @param {object} context - Details about the request, the `ip` and `userAgent` it came from.
+     * @returns {object} The report: the number of rows in `total`, `created` and `failed`, and for each of the
+     * `rows` its `line` in the file, `email`, `success` and either the new `userId` or the `errors`.
+     * @throws {AppErrors} A 400 error if the file cannot be parsed, has no `email` column, no rows or too many rows.
+     */
+    async importUsers(csv, adminId = null, context = {}) {
+        try {
+            const records = this.#parse(csv);
+            const roles = await this.userRepository.getAllRoles();
+            const roleIds = Object.fromEntries(roles.map((role) => [role.name, role.id]));
+            const seenEmails = new Set();
+            const rows = [];
+            for (const record of records) {
+                rows.push(await this.#checkRecord(record, seenEmails));
+            }
+
+            const valid = rows.filter((row) => row.success);
+            const tokens = valid.map(() => generateToken());
+            const expiresAt = addMinutes(ACCOUNT_INVITE_EXPIRY_HOURS * 60);
+            const users = await this.userRepository.createInvited(valid.map((row, index) => ({
+                email: row.email,
+                name: row.name,
+                roleIds: row.roles.map((role) => roleIds[role]),
+                invite: {
+                    purpose: TokenPurposes.ACCOUNT_INVITE,
+                    tokenHash: hashToken(tokens[index]),
+                    expiresAt
+                }
+            })));
+
+            for (const [index, user] of users.entries()) {
+                if (!user) {
+                    Object.assign(valid[index], { success: false, errors: [EMAIL_TAKEN_ERROR] });
+                    continue;
+                }
+                valid[index].userId = user.id;
+                await this.auditService.record({
+                    type: AuditEventTypes.SIGNUP,
+                    userId: user.id,
+                    email: user.email,
+                    actorId: adminId || undefined,
+                    details: { method: 'bulk_import', roles: valid[index].roles },
+                    context
+                });
+                try {
+                    await this.mailService.sendAccountInvitation(
+                        user.email,
+                        `${APP_URL}/setup-account?token=${tokens[index]}`,
+                        ACCOUNT_INVITE_EXPIRY_HOURS
+                    );
+                } catch (error) {
+                    // The account exists at this point; the user can still set a password through the forgot password flow.
+                    console.log(`Not able to send the invitation to ${user.email}`, error);
+                }
+            }
+
+            const created = users.filter(Boolean).length;
+            return {
+                total: rows.length,
+                created,
+                failed: rows.length - created,
+                rows: rows.map(({ line, email, success, userId, roles: rowRoles, errors }) => (success
+                    ? { line, email, success, userId, roles: rowRoles }
+                    : { line, email, success, errors }))
+            };
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    #parse(csv) {
+        let records;
+        try {
+            records = parseCsv(csv);
+        } catch (error) {
+            throw this.#invalidFileError(error.message);
+        }
+        if (records.length === 0) {
+            throw this.#invalidFileError('The file contains no users');
+        }
+        if (!Object.prototype.hasOwnProperty.call(records[0], 'email')) {
+            throw this.#invalidFileError('The header row must contain an email column');
+        }
+        if (records.length > MAX_IMPORT_ROWS) {
+            throw this.#invalidFileError(`A file may contain at most ${MAX_IMPORT_ROWS} users`);
+        }
+        return records;
+    }
+
+    async #checkRecord(record, seenEmails) {
+        const email = record.email.trim();
+        const name = record.name && record.name.trim() ? record.name.trim() : null;
+        const requestedRoles = (record.roles || '').split(';').map((role) => role.trim().toUpperCase()).filter(Boolean);
+        const roles = [...new Set([Roles.CUSTOMER, ...requestedRoles])];
+        const errors = [];
+        try {
+            await this.userRepository.validate({ email, name });
+        } catch (error) {
+            if (error.name != 'SequelizeValidationError') {
+                throw error;
+            }
+            errors.push(...error.explanation);
+        }
+        const invalidRoles = roles.filter((role) => !IMPORTABLE_ROLES.includes(role));
+        if (invalidRoles.length > 0) {
+            errors.push(`Roles must be among ${IMPORTABLE_ROLES.join(', ')}, got ${invalidRoles.join(', ')}`);
+        }
+        if (seenEmails.has(email.toLowerCase())) {
+            errors.push('The email appears more than once in the file');
+        } else if (email && await this.userRepository.getByEmail(email)) {
+            errors.push(EMAIL_TAKEN_ERROR);
+        }
+        seenEmails.add(email.toLowerCase());
+        return { line: record.line, email, name, roles, success: errors.length === 0, errors };
+    }
+
+    #invalidFileError(explanation) {
+        return new AppErrors('InvalidCsvError', 'Invalid CSV file', explanation, StatusCodes.BAD_REQUEST);
+    }
+}
+
+module.exports = ProvisioningService;
\ No newline at end of file
@@ -0,0 +1,188 @@
+/**
+ * This file implements the business logic for sessions, i.e. the devices a user is signed in on.
+ * Every token pair belongs to a session, which is found through the `jti` of the access token.
+ */
+
+const { StatusCodes } = require('http-status-codes');
+const SessionRepository = require('../repository/session-repository');
+const RefreshTokenRepository = require('../repository/refresh-token-repository');
+const AuditService = require('./audit-service');
+const { REFRESH_TOKEN_EXPIRY_DAYS } = require('../config/serverConfig');
+const AppErrors = require('../utils/error-handler');
+const { addDays } = require('../utils/helper');
+const { describeDevice } = require('../utils/device-label');
+const { AuditEventTypes } = require('../utils/audit-event-types');
+
+// `lastUsedAt` is only written when it is older than this, so not every request causes a write.
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * The SessionService class encapsulates starting, tracking and ending sessions.
+ */
+class SessionService {
+    constructor() {
+        this.sessionRepository = new SessionRepository();
+        this.refreshTokenRepository = new RefreshTokenRepository();
+        this.auditService = new AuditService();
+    }
+
+    /**
+     * Starts a session for a sign-in, or for a third-party app the user authorized.
+     * @param {number} userId - The ID of the user signing in.
+     * @param {object} context - The `ip` and `userAgent` of the request, and optionally a `deviceName` chosen by the user.
+     * @param {object} [app] - For app sessions, the `clientId` and `name` of the app and the granted `scope`.
+     * @returns {object} The new session.
+     */
+    async startSession(userId, context = {}, app = null) {
+        try {
+            const now = new Date();
+            const deviceLabel = app
+                ? app.name
+                : (context.deviceName && String(context.deviceName).slice(0, 100)) || describeDevice(context.userAgent);
+            return await this.sessionRepository.create({
+                userId,
+                deviceLabel,
+                clientId: app ? app.clientId : null,
+                scope: app ? app.scope : null,
+                ip: context.ip,
+                userAgent: context.userAgent && String(context.userAgent).slice(0, 500),
+                lastUsedAt: now,
+                expiresAt: addDays(REFRESH_TOKEN_EXPIRY_DAYS)
+            });
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Keeps a session alive when its tokens are refreshed.
+     * @param {number} sessionId - The ID of the session.
+     * @param {object} context - The `ip` and `userAgent` of the refresh request.
+     * @returns {boolean} True if the session was updated.
+     */
+    async extendSession(sessionId, context = {}) {
+        try {
+            return await this.sessionRepository.update(sessionId, {
+                lastUsedAt: new Date(),
+                expiresAt: addDays(REFRESH_TOKEN_EXPIRY_DAYS),
+                ...(context.ip && { ip: context.ip }),
+                ...(context.userAgent && { userAgent: String(context.userAgent).slice(0, 500) })
+            });
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves a session that has not been revoked.
+     * @param {number} sessionId - The ID of the session.
+     * @returns {object} The session, or null if it does not exist or has been revoked.
+     */
+    async getActiveSession(sessionId) {
+        try {
+            const session = await this.sessionRepository.getById(sessionId);
+            return session && !session.revokedAt ? session : null;
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Records that a session was just used to authenticate a request.
+     * @param {object} session - The session.
+     */
+    async touchSession(session) {
+        try {
+            if (Date.now() - session.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+                await this.sessionRepository.update(session.id, { lastUsedAt: new Date() });
+            }
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Lists the active sessions of a user.
+     * @param {number} userId - The ID of the user.
+     * @param {number} currentSessionId - The session of the request, flagged as `current` in the list.
+     * @returns {Array} The sessions, most recently used first.
+     */
+    async listSessions(userId, currentSessionId) {
+        try {
+            const sessions = await this.sessionRepository.getActiveForUser(userId);
+            return sessions.map((session) => ({
+                ...session.get({ plain: true }),
+                current: session.id === currentSessionId
+            }));
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Signs a user out of one of their sessions. Its access and refresh tokens stop working immediately.
+     * @param {number} userId - The ID of the user.
+     * @param {number} sessionId - The ID of the session to revoke.
+     * @param {object} context - Details about the request, the `ip` and `userAgent` it came from.
+     * @returns {boolean} True if the session was revoked.
+     * @throws {AppErrors} A 404 error if the user has no active session with that ID.
+     */
+    async revokeSession(userId, sessionId, context = {}) {
+        try {
+            const session = await this.getActiveSession(sessionId);
+            if (!session || session.userId !== userId) {
+                throw new AppErrors('NotFoundError', 'Session not found', `No active session exists with the id ${sessionId}`, StatusCodes.NOT_FOUND);
+            }
+            await this.endSession(session.id);
+            await this.auditService.record({
+                type: AuditEventTypes.TOKEN_REVOKED,
+                userId,
+                details: { reason: 'session_revoked', scope: 'session', sessionId: session.id },
+                context
+            });
+            return true;
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Ends a session together with all of its tokens.
+     * @param {number} sessionId - The ID of the session.
+     * @returns {boolean} True if the session was ended.
+     */
+    async endSession(sessionId) {
+        try {
+            await this.sessionRepository.revoke(sessionId);
+            await this.refreshTokenRepository.revokeAllForSession(sessionId);
+            return true;
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Ends every session of a user together with all of their tokens.
+     * @param {number} userId - The ID of the user.
+     * @returns {boolean} True if the sessions were ended.
+     */
+    async endAllSessions(userId) {
+        try {
+            await this.sessionRepository.revokeAllForUser(userId);
+            await this.refreshTokenRepository.revokeAllForUser(userId);
+            return true;
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+}
+
+module.exports = SessionService;
\ No newline at end of file
@@ -3,11 +3,42 @@
  * It acts as a bridge between the controllers and the data access layer (repository), handling all the core logic.
  */
 
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
+const { StatusCodes } = require('http-status-codes');
 const UserRepository = require('../repository/user-repository');
-const { JWT_KEY } = require('../config/serverConfig');
+const RefreshTokenRepository = require('../repository/refresh-token-repository');
+const OrganizationRepository = require('../repository/organization-repository');
+const EmailVerificationService = require('./email-verification-service');
+const LoginThrottleService = require('./login-throttle-service');
+const MfaService = require('./mfa-service');
+const AuditService = require('./audit-service');
+const SessionService = require('./session-service');
+const PermissionService = require('./permission-service');
+const BusinessAccountService = require('./business-account-service');
+const MagicLinkService = require('./magic-link-service');
+const LoginRiskService = require('./login-risk-service');
+const {
+    SALT_ROUNDS,
+    ACCESS_TOKEN_AUDIENCE,
+    ACCESS_TOKEN_EXPIRY,
+    REFRESH_TOKEN_EXPIRY_DAYS,
+    IMPERSONATION_DEFAULT_MINUTES
+} = require('../config/serverConfig');
 const AppErrors = require('../utils/error-handler');
+const { generateToken, hashToken, addDays, addMinutes } = require('../utils/helper');
+const { Roles } = require('../utils/roles');
+const { UserStatuses } = require('../utils/user-statuses');
+const { AuditEventTypes, AuditOutcomes } = require('../utils/audit-event-types');
+const { assertPasswordPolicy } = require('../utils/password-policy');
+const { signJwt, verifyJwt } = require('../utils/jwt-signer');
+
+// Compared against when the email is unknown, so an unknown email takes as long to reject as a wrong password.
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('dummy-password', SALT_ROUNDS);
+
+// Page size of the admin user listing when none is requested, and the largest one allowed.
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
 
 /**
  * The UserService class encapsulates all business logic for user management.
@@ -15,20 +46,65 @@ const AppErrors = require('../utils/error-handler');
 class UserService {
     constructor() {
         this.userRepository = new UserRepository();
+        this.refreshTokenRepository = new RefreshTokenRepository();
+        this.organizationRepository = new OrganizationRepository();
+        this.emailVerificationService = new EmailVerificationService();
+        this.loginThrottleService = new LoginThrottleService();
+        this.mfaService = new MfaService();
+        this.auditService = new AuditService();
+        this.sessionService = new SessionService();
+        this.permissionService = new PermissionService();
+        this.businessAccountService = new BusinessAccountService();
+        this.magicLinkService = new MagicLinkService();
+        this.loginRiskService = new LoginRiskService();
     }
 
     /**
-     * Creates a new user after validating the input data.
+     * Creates a new user after validating the input data. Every new user is a CUSTOMER
+     * and starts unverified until they follow the link in the verification email.
+     * A signup requesting a business account also files the request for admins to review;
+     * the AIRLINE_BUSINESS role is only granted on approval.
      * @param {object} data - An object containing the user's email and password.
+     * @param {object} context - Details about the request, the `ip` and `userAgent` it came from.
+     * @param {object} [company] - The company details of a signup requesting a business account.
      * @returns {object} The newly created user object (excluding the password).
+     * @throws {ValidationError} If the data or company details are invalid or the password breaks the password policy.
      * @throws {AppErrors} Throws an application-specific error if creation fails.
      */
-    async create(data) {
+    async create(data, context = {}, company = null) {
         try {
-            const user = await this.userRepository.create(data);
+            assertPasswordPolicy(data.password, { email: data.email });
+            if (company) {
+                // Checked up front, so invalid company details do not leave an account behind.
+                await this.businessAccountService.validateCompany(company);
+            }
+            const customerRole = await this.userRepository.getRoleByName(Roles.CUSTOMER);
+            // The account and its business account request are stored together, so a failed signup can simply be retried.
+            const user = await this.userRepository.create(data, [customerRole.id], company && (
+                (created, transaction) => this.businessAccountService.submitRequest(created.id, company, transaction)
+            ));
+            try {
+                await this.emailVerificationService.sendVerificationEmail(user);
+            } catch (error) {
+                // The account exists at this point; the user can request a new email through the resend endpoint.
+                console.log("Not able to send the verification email", error);
+            }
+            await this.auditService.record({
+                type: AuditEventTypes.SIGNUP,
+                userId: user.id,
+                email: user.email,
+                context
+            });
             return user;
         } catch (error) {
-            if (error.name == 'SequelizeValidationError') {
+            await this.auditService.record({
+                type: AuditEventTypes.SIGNUP,
+                outcome: AuditOutcomes.FAILURE,
+                email: data.email,
+                details: { reason: error.message },
+                context
+            });
+            if (error.name == 'SequelizeValidationError' || error.name == 'PasswordPolicyError') {
                 throw error; // Re-throw validation errors to be handled by the controller.
             }
             console.log("Something went wrong in the service layer");
@@ -42,66 +118,500 @@ class UserService {
     }
 
     /**
-     * Authenticates a user and returns a JWT upon successful sign-in.
+     * Authenticates a user and returns a token pair upon successful sign-in.
+     * Unknown emails and wrong passwords are rejected with the same 401 error, and repeated
+     * failures for an email or from an IP address are throttled. Sign-ins that look suspicious (new device,
+     * impossible travel, after a burst of failures) must be confirmed with a code emailed to the user.
      * @param {string} email - The user's email.
      * @param {string} plainPassword - The user's plain text password.
-     * @returns {string} A JSON Web Token (JWT).
+     * @param {object} context - Details about the request, the `ip` and `userAgent` it came from.
+     * @returns {object} An object containing the short-lived `accessToken` and the `refreshToken`, or an
+     * MFA challenge (`mfaRequired` or `mfaEnrollmentRequired` with an `mfaToken`) if a second step is needed, or
+     * a step-up challenge (`stepUpRequired` with a `stepUpToken` and the `reasons`) if the sign-in looks suspicious.
+     * @throws {RateLimitError} If the email or IP address is locked or has to wait before the next attempt.
      */
-    async signIn(email, plainPassword) {
+    async signIn(email, plainPassword, context = {}) {
+        const { ip } = context;
+        let user;
         try {
-            // Step 1: Fetch the user by email.
-            const user = await this.userRepository.getByEmail(email);
-            // Step 2: Compare the provided plain password with the stored hashed password.
-            const passwordsMatch = this.checkPassword(plainPassword, user.password);
+            // Step 1: Reject the attempt right away if the email or IP is throttled.
+            await this.loginThrottleService.assertCanAttempt(email, ip);
+            // Step 2: Fetch the user by email.
+            user = await this.userRepository.getByEmail(email);
+            // Step 3: Compare the provided plain password with the stored hashed password.
+            const passwordsMatch = this.checkPassword(plainPassword, user ? user.password : DUMMY_PASSWORD_HASH);
 
-            if (!passwordsMatch) {
-                console.log("Password doesn't match");
-                throw { error: 'Incorrect password' };
+            if (!user || !passwordsMatch) {
+                await this.loginThrottleService.recordFailure(email, ip);
+                throw this.#authError('Invalid credentials', 'The email or password is incorrect');
+            }
+            // The failures are counted before they are cleared, since a burst of them makes the sign-in suspicious.
+            const recentFailures = await this.loginThrottleService.countRecentFailures(email);
+            await this.loginThrottleService.recordSuccess(email);
+            // The password is known to be correct here, so it can be re-hashed if SALT_ROUNDS was raised since it was stored.
+            if (this.needsRehash(user.password)) {
+                await this.userRepository.updatePassword(user.id, plainPassword);
             }
-            // Step 3: If passwords match, create a new JWT.
-            const newJWT = this.createToken({ email: user.email, id: user.id });
-            return newJWT;
+            // Step 4: Only active users who confirmed their email may sign in.
+            this.#assertActive(user);
+            if (!user.emailVerifiedAt) {
+                throw new AppErrors(
+                    'EmailNotVerifiedError',
+                    'Email not verified',
+                    'Verify your email with the link sent to you before signing in',
+                    StatusCodes.FORBIDDEN
+                );
+            }
+            // Step 5: Users with two-factor authentication (or who must enroll in it) get a challenge instead of tokens.
+            // The second factor already stops an attacker knowing the password, so it takes the place of the step-up.
+            const challenge = await this.mfaService.getSignInChallenge(user);
+            if (challenge) {
+                return challenge;
+            }
+            // Step 6: Suspicious sign-ins have to be confirmed with a code sent to the user's email.
+            const assessment = await this.loginRiskService.assess(user, context, recentFailures);
+            const risk = { riskScore: assessment.score, riskReasons: assessment.reasons };
+            if (assessment.stepUpRequired) {
+                await this.auditService.record({
+                    type: AuditEventTypes.SUSPICIOUS_SIGN_IN,
+                    userId: user.id,
+                    email: user.email,
+                    details: risk,
+                    context
+                });
+                return await this.loginRiskService.startStepUp(user, assessment);
+            }
+            // Step 7: If all checks pass, issue a new access/refresh token pair.
+            await this.loginRiskService.recordTrustedSignIn(user, assessment);
+            const tokens = await this.issueTokens(user, context);
+            await this.#recordSignIn(user, AuditOutcomes.SUCCESS, { method: 'password', ...risk }, context);
+            return tokens;
         } catch (error) {
+            await this.#recordSignIn(user || { email }, AuditOutcomes.FAILURE, { method: 'password', reason: error.message }, context);
             console.log("Something went wrong in the sign-in process");
             throw error;
         }
     }
 
     /**
-     * Verifies a JWT and confirms the associated user exists.
-     * @param {string} token - The JWT to authenticate.
-     * @returns {boolean} True if the token is valid and the user exists.
+     * Completes a two-step sign-in with the challenge token from `signIn` and a TOTP or recovery code.
+     * Wrong codes count as failed sign-in attempts.
+     * @param {string} mfaToken - The challenge token returned by `signIn`.
+     * @param {string} code - A TOTP code or an unused recovery code.
+     * @param {object} context - Details about the request, the `ip` and `userAgent` it came from.
+     * @returns {object} An object containing the `accessToken` and `refreshToken`.
      */
-    async isAuthenticated(token) {
+    async completeMfaSignIn(mfaToken, code, context = {}) {
+        const { ip } = context;
+        let user;
+        try {
+            const { id } = this.mfaService.verifyChallenge(mfaToken, 'verify');
+            user = await this.userRepository.getWithPassword(id);
+            if (!user) {
+                throw this.#authError('Invalid MFA token', 'No user with the corresponding token exists');
+            }
+            this.#assertActive(user);
+            await this.loginThrottleService.assertCanAttempt(user.email, ip);
+            if (!await this.mfaService.verifyCode(user, code)) {
+                await this.loginThrottleService.recordFailure(user.email, ip);
+                throw this.#authError('Invalid code', 'The two-factor authentication code is incorrect or has already been used');
+            }
+            await this.loginThrottleService.recordSuccess(user.email);
+            await this.#trustSignIn(user, context);
+            const tokens = await this.issueTokens(user, context);
+            await this.#recordSignIn(user, AuditOutcomes.SUCCESS, { method: 'mfa' }, context);
+            return tokens;
+        } catch (error) {
+            await this.#recordSignIn(user, AuditOutcomes.FAILURE, { method: 'mfa', reason: error.message }, context);
+            console.log("Something went wrong in the MFA sign-in process");
+            throw error;
+        }
+    }
+
+    /**
+     * Completes a sign-in that was flagged as suspicious, with the step-up token from `signIn` and the
+     * code emailed to the user. Wrong codes count as failed sign-in attempts.
+     * @param {string} stepUpToken - The step-up token returned by `signIn`.
+     * @param {string} code - The code from the email.
+     * @param {object} context - Details about the request, the `ip` and `userAgent` it came from.
+     * @returns {object} An object containing the `accessToken` and `refreshToken`.
+     */
+    async completeStepUpSignIn(stepUpToken, code, context = {}) {
+        const { ip } = context;
+        let user;
         try {
-            // Step 1: Verify the token's signature and expiration.
-            const response = this.verifyToken(token);
-            if (!response) {
-                throw { error: 'Invalid token' };
+            const { id } = this.mfaService.verifyChallenge(stepUpToken, 'step_up');
+            user = await this.userRepository.getWithPassword(id);
+            if (!user) {
+                throw this.#authError('Invalid step-up token', 'No user with the corresponding token exists');
+            }
+            this.#assertActive(user);
+            await this.loginThrottleService.assertCanAttempt(user.email, ip);
+            if (!await this.loginRiskService.verifyStepUpCode(user.id, code)) {
+                await this.loginThrottleService.recordFailure(user.email, ip);
+                throw this.#authError('Invalid code', 'The verification code is incorrect, has expired or has already been used');
             }
-            // Step 2: Check if a user with the ID from the token still exists.
-            // This prevents access for users who have been deleted after a token was issued.
-            const user = await this.userRepository.getById(response.id);
+            await this.loginThrottleService.recordSuccess(user.email);
+            await this.#trustSignIn(user, context);
+            const tokens = await this.issueTokens(user, context);
+            await this.#recordSignIn(user, AuditOutcomes.SUCCESS, { method: 'step_up' }, context);
+            return tokens;
+        } catch (error) {
+            await this.#recordSignIn(user, AuditOutcomes.FAILURE, { method: 'step_up', reason: error.message }, context);
+            console.log("Something went wrong in the step-up sign-in process");
+            throw error;
+        }
+    }
+
+    /**
+     * Signs a user in with the token from an emailed sign-in link instead of a password.
+     * The token is used up by the first attempt, so a replayed link is rejected. Following the link
+     * proves ownership of the email, so an unverified email is marked verified on the way.
+     * @param {string} token - The token from the sign-in link.
+     * @param {object} context - Details about the request, the `ip` and `userAgent` it came from.
+     * @returns {object} An object containing the `accessToken` and `refreshToken`, or an MFA challenge
+     * like `signIn` if a second step is needed.
+     */
+    async completeMagicLinkSignIn(token, context = {}) {
+        let user;
+        try {
+            const userId = await this.magicLinkService.redeemToken(token);
+            user = userId && await this.userRepository.getWithPassword(userId);
             if (!user) {
-                throw { error: 'No user with the corresponding token exists' };
+                throw this.#authError('Invalid sign-in link', 'The sign-in link is invalid, has expired or has already been used');
+            }
+            this.#assertActive(user);
+            if (!user.emailVerifiedAt) {
+                await this.userRepository.markEmailVerified(user.id);
+            }
+            const challenge = await this.mfaService.getSignInChallenge(user);
+            if (challenge) {
+                return challenge;
+            }
+            await this.#trustSignIn(user, context);
+            const tokens = await this.issueTokens(user, context);
+            await this.#recordSignIn(user, AuditOutcomes.SUCCESS, { method: 'magic_link' }, context);
+            return tokens;
+        } catch (error) {
+            await this.#recordSignIn(user, AuditOutcomes.FAILURE, { method: 'magic_link', reason: error.message }, context);
+            console.log("Something went wrong in the magic link sign-in process");
+            throw error;
+        }
+    }
+
+    /**
+     * Completes the mandatory enrollment of a user who signed in with an 'enroll' challenge,
+     * and issues their first token pair.
+     * @param {number} userId - The ID of the user, resolved from the challenge token.
+     * @param {string} code - A TOTP code generated from the newly enrolled secret.
+     * @param {object} context - Details about the request, the `ip` and `userAgent` it came from.
+     * @returns {object} An object containing the `recoveryCodes`, `accessToken` and `refreshToken`.
+     */
+    async completeMfaEnrollment(userId, code, context = {}) {
+        try {
+            const recoveryCodes = await this.mfaService.activate(userId, code);
+            const user = await this.userRepository.getById(userId);
+            await this.#trustSignIn(user, context);
+            const tokens = await this.issueTokens(user, context);
+            await this.#recordSignIn(user, AuditOutcomes.SUCCESS, { method: 'mfa_enrollment' }, context);
+            return { recoveryCodes, ...tokens };
+        } catch (error) {
+            console.log("Something went wrong in the MFA enrollment process");
+            throw error;
+        }
+    }
+
+    /**
+     * Exchanges a refresh token for a new token pair. The presented refresh token is rotated,
+     * i.e. revoked together with the access token it was issued with.
+     * Presenting an already rotated refresh token is treated as token theft and ends every session of the user.
+     * The session lives on with the new token pair.
+     * @param {string} refreshToken - The plain refresh token.
+     * @param {object} context - Details about the request, the `ip` and `userAgent` it came from.
+     * @param {string} [clientId] - The third-party app refreshing the token. Tokens of app sessions can only
+     * be refreshed by their app, and tokens of sign-in sessions only without one.
+     * @returns {object} An object containing the new `accessToken` and `refreshToken`.
+     */
+    async refresh(refreshToken, context = {}, clientId = null) {
+        try {
+            const storedToken = await this.refreshTokenRepository.getByHash(hashToken(refreshToken));
+            if (!storedToken) {
+                throw this.#authError('Invalid refresh token', 'The refresh token is not recognised');
+            }
+            // Tokens of a session that was signed out are simply rejected, that is no sign of theft.
+            const session = storedToken.sessionId && await this.sessionService.getActiveSession(storedToken.sessionId);
+            if (storedToken.sessionId && !session) {
+                throw this.#authError('Invalid refresh token', 'The session has ended');
+            }
+            if ((session ? session.clientId : null) !== clientId) {
+                throw this.#authError('Invalid refresh token', 'The refresh token was not issued to this client');
+            }
+            if (storedToken.revokedAt) {
+                await this.sessionService.endAllSessions(storedToken.userId);
+                await this.auditService.record({
+                    type: AuditEventTypes.TOKEN_REVOKED,
+                    userId: storedToken.userId,
+                    details: { reason: 'refresh_token_reuse', scope: 'all_sessions' },
+                    context
+                });
+                throw this.#authError('Invalid refresh token', 'The refresh token has already been used or revoked');
+            }
+            if (storedToken.expiresAt < new Date()) {
+                throw this.#authError('Invalid refresh token', 'The refresh token has expired');
+            }
+            const user = await this.userRepository.getById(storedToken.userId);
+            if (!user) {
+                throw this.#authError('Invalid refresh token', 'No user with the corresponding token exists');
+            }
+            if (user.status !== UserStatuses.ACTIVE) {
+                throw this.#authError('Invalid refresh token', 'The account has been deactivated');
+            }
+            await this.refreshTokenRepository.revoke(storedToken.id);
+            return await this.issueTokens(user, context, storedToken.sessionId);
+        } catch (error) {
+            console.log("Something went wrong in the token refresh process");
+            throw error;
+        }
+    }
+
+    /**
+     * Ends the session that an access token belongs to. Every token of the session,
+     * including the access token and its refresh token, is rejected from now on.
+     * @param {string} token - The access token of the session to end.
+     * @param {object} context - Details about the request, the `ip` and `userAgent` it came from.
+     * @returns {boolean} True if the session was ended.
+     */
+    async logout(token, context = {}) {
+        try {
+            const { storedToken, user, payload } = await this.authenticate(token);
+            if (storedToken.sessionId) {
+                await this.sessionService.endSession(storedToken.sessionId);
+            } else {
+                await this.refreshTokenRepository.revoke(storedToken.id);
             }
+            await this.auditService.record({
+                type: AuditEventTypes.TOKEN_REVOKED,
+                userId: user.id,
+                email: user.email,
+                actorId: payload.act ? Number(payload.act.sub) : undefined,
+                details: { reason: 'logout', scope: 'session' },
+                context
+            });
             return true;
+        } catch (error) {
+            console.log("Something went wrong in the logout process");
+            throw error;
+        }
+    }
+
+    /**
+     * Verifies a JWT and confirms the associated user exists.
+     * @param {string} token - The JWT to authenticate.
+     * @returns {object} The RFC 7662-style introspection response (`active`, `sub`, `email`, `email_verified`, `roles`, `exp`, `iat`).
+     * @throws {AppErrors} A 401 error if the token is not valid.
+     */
+    async isAuthenticated(token) {
+        try {
+            const { payload, user } = await this.authenticate(token, { allowDelegated: true });
+            return await this.#buildIntrospection(payload, user);
         } catch (error) {
             console.log("Something went wrong in the auth process");
             throw error;
         }
     }
 
+    /**
+     * Introspects a token as described by RFC 7662. Unlike `isAuthenticated`, an invalid,
+     * expired or revoked token is not an error but reported as `{ active: false }`.
+     * @param {string} token - The JWT to introspect.
+     * @returns {object} The introspection response.
+     */
+    async introspect(token) {
+        try {
+            const { payload, user } = await this.authenticate(token, { allowDelegated: true });
+            return await this.#buildIntrospection(payload, user);
+        } catch (error) {
+            if (error.name == 'AuthenticationError') {
+                return { active: false };
+            }
+            console.log("Something went wrong in the introspection process");
+            throw error;
+        }
+    }
+
+    /**
+     * Resolves an access token to its payload after checking its signature, expiry,
+     * revocation state, its session, and that the user it was issued to still exists and is active.
+     * For impersonation tokens the admin in the `act` claim must still be active as well.
+     * @param {string} token - The access token to authenticate.
+     * @param {object} [options] - Set `allowDelegated` to also accept tokens the user granted a third-party app.
+     * Those carry the app's `client_id` and a limited `scope`, so they are rejected by default.
+     * @returns {object} An object containing the decoded `payload`, the `user`, the `storedToken` record and the `session`.
+     * @throws {AppErrors} A 401 error if any of the checks fail.
+     */
+    async authenticate(token, { allowDelegated = false } = {}) {
+        if (!token) {
+            throw this.#authError('Missing token', 'No token provided in the x-access-token header');
+        }
+        // Step 1: Verify the token's signature and expiration.
+        let payload;
+        try {
+            payload = this.verifyToken(token);
+        } catch (error) {
+            throw this.#authError('Invalid token', error.message);
+        }
+        if (payload.client_id && !allowDelegated) {
+            throw this.#authError('Invalid token', 'Tokens issued to third-party apps cannot be used for this request');
+        }
+        // Step 2: Check that the token has not been rotated or revoked (e.g. by a logout).
+        const storedToken = payload.jti && await this.refreshTokenRepository.getByJti(payload.jti);
+        if (!storedToken || storedToken.revokedAt) {
+            throw this.#authError('Invalid token', 'The token has been revoked');
+        }
+        // Step 3: Check that the session the token belongs to has not been signed out.
+        const session = storedToken.sessionId && await this.sessionService.getActiveSession(storedToken.sessionId);
+        if (storedToken.sessionId && !session) {
+            throw this.#authError('Invalid token', 'The session has been revoked');
+        }
+        // Step 4: Check if a user with the ID from the token still exists.
+        // This prevents access for users who have been deleted after a token was issued.
+        const user = await this.userRepository.getById(payload.id);
+        if (!user) {
+            throw this.#authError('Invalid token', 'No user with the corresponding token exists');
+        }
+        // Step 5: Tokens of deactivated users are rejected even if they were issued before the deactivation.
+        if (user.status !== UserStatuses.ACTIVE) {
+            throw this.#authError('Invalid token', 'The account has been deactivated');
+        }
+        if (payload.act) {
+            const actor = await this.userRepository.getById(payload.act.sub);
+            if (!actor || actor.status !== UserStatuses.ACTIVE) {
+                throw this.#authError('Invalid token', 'The admin impersonating the user is no longer active');
+            }
+        }
+        if (session) {
+            await this.sessionService.touchSession(session);
+        }
+        return { payload, user, storedToken, session };
+    }
+
+    /**
+     * Issues a short-lived access token together with a refresh token and persists
+     * the hash of the refresh token so it can later be rotated or revoked.
+     * @param {object} user - The user to issue the tokens for.
+     * @param {object} context - The `ip`, `userAgent` and optional `deviceName` of the request, stored with the session.
+     * @param {number} [sessionId] - The session to issue the tokens in. A new session is started if omitted.
+     * @returns {object} An object containing the `accessToken` and `refreshToken`.
+     */
+    async issueTokens(user, context = {}, sessionId = null) {
+        try {
+            let session;
+            if (sessionId) {
+                await this.sessionService.extendSession(sessionId, context);
+                session = await this.sessionService.getActiveSession(sessionId);
+            } else {
+                session = await this.sessionService.startSession(user.id, context);
+                sessionId = session.id;
+            }
+            const jti = crypto.randomUUID();
+            const refreshToken = generateToken();
+            await this.refreshTokenRepository.create({
+                userId: user.id,
+                sessionId,
+                tokenHash: hashToken(refreshToken),
+                jti,
+                expiresAt: addDays(REFRESH_TOKEN_EXPIRY_DAYS)
+            });
+            const accessToken = this.createToken(await this.#buildClaims(user, session), jti);
+            return { accessToken, refreshToken };
+        } catch (error) {
+            console.log("Something went wrong in token issuing");
+            throw error;
+        }
+    }
+
+    /**
+     * Issues an access token that lets an admin act as another user, e.g. so support can see
+     * what a customer sees. The token carries the claims of the user plus an `act` claim naming the admin,
+     * lives for at most IMPERSONATION_MAX_MINUTES and comes without a refresh token, so it cannot be renewed.
+     * Every impersonation is written to the audit log with its reason and duration.
+     * @param {number} userId - The ID of the user to impersonate.
+     * @param {number} adminId - The ID of the admin requesting the token.
+     * @param {object} request - The `reason` for the impersonation and the optional `durationMinutes`, already validated.
+     * @param {object} context - Details about the request, the `ip` and `userAgent` it came from.
+     * @returns {object} An object containing the `accessToken` and its `expiresAt` date.
+     * @throws {AppErrors} A 404 error if the user does not exist, 400 if admins target themselves,
+     * 403 if the user is an admin and 409 if the user is deactivated.
+     */
+    async impersonate(userId, adminId, { reason, durationMinutes = IMPERSONATION_DEFAULT_MINUTES }, context = {}) {
+        try {
+            this.#assertNotSelf(userId, adminId, 'impersonate');
+            const user = await this.#getUserOrFail(userId);
+            // Acting as another admin would hand out permissions of an account the support agent does not own.
+            if (await this.permissionService.hasAnyRole(user.id, [Roles.ADMIN])) {
+                throw new AppErrors(
+                    'ImpersonationNotAllowedError',
+                    'Cannot impersonate an admin',
+                    'Only users without the ADMIN role can be impersonated',
+                    StatusCodes.FORBIDDEN
+                );
+            }
+            if (user.status !== UserStatuses.ACTIVE) {
+                throw new AppErrors(
+                    'ImpersonationNotAllowedError',
+                    'Account deactivated',
+                    'Deactivated users cannot be impersonated',
+                    StatusCodes.CONFLICT
+                );
+            }
+            const admin = await this.#getUserOrFail(adminId);
+            const durationSeconds = Number(durationMinutes) * 60;
+            const expiresAt = addMinutes(Number(durationMinutes));
+            // The token is revocable like any other through its jti, but the hash stored with it belongs to
+            // a refresh token that is never handed out, so there is nothing to refresh it with.
+            const jti = crypto.randomUUID();
+            await this.refreshTokenRepository.create({
+                userId: user.id,
+                sessionId: null,
+                tokenHash: hashToken(generateToken()),
+                jti,
+                expiresAt
+            });
+            const claims = await this.#buildClaims(user);
+            claims.act = { sub: String(admin.id), email: admin.email };
+            const accessToken = this.createToken(claims, jti, durationSeconds);
+            await this.auditService.record({
+                type: AuditEventTypes.IMPERSONATION_STARTED,
+                userId: user.id,
+                email: user.email,
+                actorId: admin.id,
+                details: { reason, durationMinutes: Number(durationMinutes), expiresAt, jti },
+                context
+            });
+            return { accessToken, expiresAt };
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
     /**
      * Creates a JSON Web Token (JWT) with a user's details.
-     * @param {object} user - The user payload (e.g., {email, id}) to encode in the token.
+     * @param {object} user - The user payload (e.g., {email, id, roles}) to encode in the token.
+     * @param {string} jti - The unique token ID used to look up the token's revocation state.
+     * @param {string|number} [expiresIn] - The lifetime of the token, ACCESS_TOKEN_EXPIRY by default.
      * @returns {string} The generated JWT.
      */
-    createToken(user) {
+    createToken(user, jti, expiresIn = ACCESS_TOKEN_EXPIRY) {
         try {
-            // jwt.sign creates a token by signing the payload with a secret key.
-            // The token is set to expire in '1d' (1 day).
-            return jwt.sign(user, JWT_KEY, { expiresIn: '1d' });
+            // The token is signed with the active key (see jwt-signer) and is short-lived
+            // (ACCESS_TOKEN_EXPIRY unless told otherwise), clients renew it with their refresh token.
+            return signJwt(user, {
+                expiresIn,
+                jwtid: jti,
+                audience: ACCESS_TOKEN_AUDIENCE,
+                subject: String(user.id)
+            });
         } catch (error) {
             console.log("Something went wrong in token creation");
             throw error;
@@ -115,8 +625,8 @@ class UserService {
      */
     verifyToken(token) {
         try {
-            // jwt.verify will throw an error if the token is invalid or expired.
-            return jwt.verify(token, JWT_KEY);
+            // verifyJwt will throw an error if the token is invalid or expired.
+            return verifyJwt(token, { audience: ACCESS_TOKEN_AUDIENCE });
         } catch (error) {
             console.log("Something went wrong in token validation", error);
             throw error;
@@ -139,6 +649,15 @@ class UserService {
         }
     }
 
+    /**
+     * Checks whether a password hash was created with a lower cost factor than the configured SALT_ROUNDS.
+     * @param {string} encryptedPassword - The hashed password from the database.
+     * @returns {boolean} True if the password should be re-hashed.
+     */
+    needsRehash(encryptedPassword) {
+        return bcrypt.getRounds(encryptedPassword) < SALT_ROUNDS;
+    }
+
     /**
      * Checks if a user has the 'ADMIN' role by delegating to the repository.
      * @param {string} userId - The ID of the user to check.
@@ -152,6 +671,402 @@ class UserService {
             throw error;
         }
     }
+
+    /**
+     * Checks if a user has at least one of the given roles. Roles inherited through
+     * the role hierarchy count, e.g. an ADMIN also has the CUSTOMER role.
+     * @param {number} userId - The ID of the user to check.
+     * @param {Array<string>} roleNames - The names of the accepted roles.
+     * @returns {boolean} True if the user has any of the roles, false otherwise.
+     */
+    async hasAnyRole(userId, roleNames) {
+        try {
+            return await this.permissionService.hasAnyRole(userId, roleNames);
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves every role that can be assigned to a user.
+     * @returns {Array} A list of roles.
+     */
+    async getAllRoles() {
+        try {
+            return await this.userRepository.getAllRoles();
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves the roles assigned to a user.
+     * @param {number} userId - The ID of the user.
+     * @returns {Array} A list of roles.
+     * @throws {AppErrors} A 404 error if the user does not exist.
+     */
+    async getUserRoles(userId) {
+        try {
+            await this.#getUserOrFail(userId);
+            return await this.userRepository.getRoles(userId);
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Grants a role to a user.
+     * @param {number} userId - The ID of the user.
+     * @param {string} roleName - The name of the role to grant.
+     * @param {number} adminId - The ID of the admin granting the role.
+     * @param {object} context - Details about the request, the `ip` and `userAgent` it came from.
+     * @returns {Array} The roles of the user after the grant.
+     * @throws {AppErrors} A 404 error if the user or the role does not exist.
+     */
+    async grantRole(userId, roleName, adminId, context = {}) {
+        try {
+            const user = await this.#getUserOrFail(userId);
+            const role = await this.#getRoleOrFail(roleName);
+            await this.userRepository.addRole(userId, role.id);
+            await this.auditService.record({
+                type: AuditEventTypes.ROLE_GRANTED,
+                userId: user.id,
+                email: user.email,
+                actorId: adminId,
+                details: { role: role.name },
+                context
+            });
+            return await this.userRepository.getRoles(userId);
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Revokes a role from a user.
+     * @param {number} userId - The ID of the user.
+     * @param {string} roleName - The name of the role to revoke.
+     * @param {number} adminId - The ID of the admin revoking the role.
+     * @param {object} context - Details about the request, the `ip` and `userAgent` it came from.
+     * @returns {Array} The roles of the user after the revocation.
+     * @throws {AppErrors} A 404 error if the user or the role does not exist.
+     */
+    async revokeRole(userId, roleName, adminId, context = {}) {
+        try {
+            const user = await this.#getUserOrFail(userId);
+            const role = await this.#getRoleOrFail(roleName);
+            await this.userRepository.removeRole(userId, role.id);
+            await this.auditService.record({
+                type: AuditEventTypes.ROLE_REVOKED,
+                userId: user.id,
+                email: user.email,
+                actorId: adminId,
+                details: { role: role.name },
+                context
+            });
+            return await this.userRepository.getRoles(userId);
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Lists users for admins, one page at a time.
+     * @param {object} query - The listing options, already validated.
+     * @param {string} [query.email] - Only users whose email contains this text.
+     * @param {string} [query.role] - Only users who have this role.
+     * @param {number} [query.page] - The page to return, starting at 1.
+     * @param {number} [query.limit] - The number of users per page, capped at 100.
+     * @param {string} [query.sort] - The field to sort by, prefixed with '-' for descending order. Defaults to '-createdAt'.
+     * @returns {object} An object containing the `users` of the page, each with their role names, and the `pagination` details.
+     */
+    async listUsers({ email, role, page = 1, limit = DEFAULT_PAGE_SIZE, sort = '-createdAt' } = {}) {
+        try {
+            page = Number(page);
+            limit = Math.min(Number(limit), MAX_PAGE_SIZE);
+            const descending = sort.startsWith('-');
+            const field = descending ? sort.slice(1) : sort;
+            const { count, users } = await this.userRepository.search({
+                email,
+                role,
+                // The ID breaks ties so that pages do not overlap when many users share a value.
+                order: [[field, descending ? 'DESC' : 'ASC'], ['id', 'ASC']],
+                offset: (page - 1) * limit,
+                limit
+            });
+            return {
+                users: users.map((user) => {
+                    const { Roles: userRoles, ...attributes } = user.get({ plain: true });
+                    return { ...attributes, roles: userRoles.map((userRole) => userRole.name) };
+                }),
+                pagination: {
+                    page,
+                    limit,
+                    total: count,
+                    totalPages: Math.ceil(count / limit)
+                }
+            };
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Deactivates a user. They can no longer sign in and all of their sessions end right away.
+     * @param {number} userId - The ID of the user to deactivate.
+     * @param {number} adminId - The ID of the admin doing it, who cannot deactivate themselves.
+     * @param {object} context - Details about the request, the `ip` and `userAgent` it came from.
+     * @returns {object} The user with the new status.
+     * @throws {AppErrors} A 404 error if the user does not exist, 400 if admins target themselves.
+     */
+    async deactivateUser(userId, adminId, context = {}) {
+        try {
+            this.#assertNotSelf(userId, adminId, 'deactivate');
+            const user = await this.#getUserOrFail(userId);
+            await this.userRepository.updateStatus(userId, UserStatuses.DEACTIVATED);
+            await this.sessionService.endAllSessions(userId);
+            await this.auditService.record({
+                type: AuditEventTypes.TOKEN_REVOKED,
+                userId: user.id,
+                email: user.email,
+                actorId: adminId,
+                details: { reason: 'user_deactivated', scope: 'all_sessions' },
+                context
+            });
+            return await this.userRepository.getById(userId);
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Reactivates a deactivated user, who can then sign in again.
+     * @param {number} userId - The ID of the user to reactivate.
+     * @returns {object} The user with the new status.
+     * @throws {AppErrors} A 404 error if the user does not exist, 409 if the account was erased.
+     */
+    async reactivateUser(userId) {
+        try {
+            const user = await this.#getUserOrFail(userId);
+            if (user.status === UserStatuses.ERASED) {
+                throw new AppErrors(
+                    'ConflictError',
+                    'Account erased',
+                    'Erased accounts cannot be reactivated',
+                    StatusCodes.CONFLICT
+                );
+            }
+            await this.userRepository.updateStatus(userId, UserStatuses.ACTIVE);
+            return await this.userRepository.getById(userId);
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Permanently deletes a user together with their roles, tokens and recovery codes.
+     * @param {number} userId - The ID of the user to delete.
+     * @param {number} adminId - The ID of the admin doing it, who cannot delete themselves.
+     * @returns {boolean} True if the user was deleted.
+     * @throws {AppErrors} A 404 error if the user does not exist, 400 if admins target themselves.
+     */
+    async deleteUser(userId, adminId) {
+        try {
+            this.#assertNotSelf(userId, adminId, 'delete');
+            await this.#getUserOrFail(userId);
+            return await this.userRepository.destroy(userId);
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Builds the RFC 7662-style introspection response for an authenticated token.
+     * Roles are read from the database rather than the token claims so that a role
+     * granted or revoked after the token was issued is reflected immediately.
+     * @param {object} payload - The decoded token payload.
+     * @param {object} user - The user the token was issued to.
+     * @returns {object} The introspection response.
+     */
+    async #buildIntrospection(payload, user) {
+        // Tokens of a third-party app are limited to their scope, so they do not report the roles of the user.
+        const roles = payload.client_id ? null : await this.userRepository.getRoles(user.id);
+        const permissions = await this.permissionService.getPermissions(user.id);
+        // The scope reflects the current permissions, which may have changed since the token was issued.
+        const scope = payload.client_id ? this.#grantedScope(payload.scope, permissions) : permissions.join(' ');
+        // Like the scope, the membership is looked up again, so removed members are reported without an organization.
+        const membership = await this.organizationRepository.getMembership(user.id);
+        return {
+            active: true,
+            sub: String(user.id),
+            email: user.email,
+            email_verified: Boolean(user.emailVerifiedAt),
+            ...(roles && { roles: roles.map((role) => role.name) }),
+            scope,
+            ...(membership && { organizationId: membership.organizationId, organizationRole: membership.role }),
+            exp: payload.exp,
+            iat: payload.iat,
+            ...(payload.client_id && { client_id: payload.client_id }),
+            // Impersonation tokens name the admin acting as the user, so downstream services can tell them apart.
+            ...(payload.act && { impersonated: true, act: payload.act })
+        };
+    }
+
+    /**
+     * Builds the claims of an access token.
+     * Tokens of a third-party app carry the app and the scopes the user granted it, less any permission the user lost since,
+     * first-party tokens the roles of the user and every permission they hold as their scope.
+     * Both carry the organization of the user, so downstream services can scope business data to it.
+     * @param {object} user - The user the token is issued to.
+     * @param {object} [session] - The session the token is issued in, if any.
+     * @returns {object} The claims.
+     */
+    async #buildClaims(user, session = null) {
+        const membership = await this.organizationRepository.getMembership(user.id);
+        const permissions = await this.permissionService.getPermissions(user.id);
+        let claims;
+        if (session && session.clientId) {
+            claims = { email: user.email, id: user.id, client_id: session.clientId, scope: this.#grantedScope(session.scope, permissions) };
+        } else {
+            const roles = await this.userRepository.getRoles(user.id);
+            claims = { email: user.email, id: user.id, roles: roles.map((role) => role.name), scope: permissions.join(' ') };
+        }
+        if (membership) {
+            claims.organizationId = membership.organizationId;
+        }
+        return claims;
+    }
+
+    // The scopes granted to a third-party app that the user still holds as permissions.
+    #grantedScope(scope, permissions) {
+        return scope.split(' ').filter((granted) => permissions.includes(granted)).join(' ');
+    }
+
+    /**
+     * Lifts the sign-in lockout of a user and clears their failed attempts.
+     * @param {number} userId - The ID of the user.
+     * @returns {boolean} True if the user was unlocked.
+     * @throws {AppErrors} A 404 error if the user does not exist.
+     */
+    async unlockUser(userId) {
+        try {
+            const user = await this.#getUserOrFail(userId);
+            return await this.loginThrottleService.unlock(user.email);
+        } catch (error) {
+            console.log("Something went wrong in service layer");
+            throw error;
+        }
+    }
+
+    /**
+     * Records a sign-in attempt in the audit log.
+     * @param {object} user - The user signing in, or an object with just the `email` that was tried.
+     * @param {string} outcome - One of the `AuditOutcomes`.
+     * @param {object} details - The sign-in `method` and, for failures, the `reason`.
+     * @param {object} context - The `ip` and `userAgent` of the request.
+     */
+    async #recordSignIn(user, outcome, details, context) {
+        await this.auditService.record({
+            type: AuditEventTypes.SIGN_IN,
+            outcome,
+            userId: user && user.id,
+            email: user && user.email,
+            details,
+            context
+        });
+    }
+
+    /**
+     * Remembers the device of a sign-in completed with a second factor or an emailed link,
+     * alerting the user if it is new. Those already prove more than a password, so they are never stepped up.
+     * Called before the tokens are issued, so a failure here cannot leave a session behind.
+     * @param {object} user - The user that signed in.
+     * @param {object} context - The `ip` and `userAgent` of the request.
+     */
+    async #trustSignIn(user, context) {
+        const assessment = await this.loginRiskService.assess(user, context);
+        await this.loginRiskService.recordTrustedSignIn(user, assessment);
+    }
+
+    /**
+     * Rejects the sign-in of a deactivated user. Only called once the credentials are known to be
+     * correct, so the status of an account is not revealed to anyone guessing passwords.
+     * @param {object} user - The user signing in.
+     * @throws {AppErrors} A 403 error if the user is not active.
+     */
+    #assertActive(user) {
+        if (user.status !== UserStatuses.ACTIVE) {
+            throw new AppErrors(
+                'AccountDeactivatedError',
+                'Account deactivated',
+                'This account has been deactivated, contact support to reactivate it',
+                StatusCodes.FORBIDDEN
+            );
+        }
+    }
+
+    /**
+     * Keeps admins from locking themselves out by deactivating or deleting their own account.
+     * @param {number} userId - The ID of the targeted user.
+     * @param {number} adminId - The ID of the admin.
+     * @param {string} action - The attempted action, for the error message.
+     * @throws {AppErrors} A 400 error if both IDs are the same.
+     */
+    #assertNotSelf(userId, adminId, action) {
+        if (String(userId) === String(adminId)) {
+            throw new AppErrors(
+                'InvalidRequestError',
+                `Cannot ${action} yourself`,
+                `Admins cannot ${action} their own account`,
+                StatusCodes.BAD_REQUEST
+            );
+        }
+    }
+
+    /**
+     * Fetches a user by ID, throwing a 404 error if it does not exist.
+     * @param {number} userId - The ID of the user.
+     * @returns {object} The user object.
+     */
+    async #getUserOrFail(userId) {
+        const user = await this.userRepository.getById(userId);
+        if (!user) {
+            throw new AppErrors('NotFoundError', 'User not found', `No user exists with the id ${userId}`, StatusCodes.NOT_FOUND);
+        }
+        return user;
+    }
+
+    /**
+     * Fetches a role by name, throwing a 404 error if it does not exist.
+     * @param {string} roleName - The name of the role.
+     * @returns {object} The role object.
+     */
+    async #getRoleOrFail(roleName) {
+        const role = await this.userRepository.getRoleByName(roleName);
+        if (!role) {
+            throw new AppErrors('NotFoundError', 'Role not found', `No role exists with the name ${roleName}`, StatusCodes.NOT_FOUND);
+        }
+        return role;
+    }
+
+    /**
+     * Builds a 401 error for failed authentication attempts.
+     * @param {string} message - A short description of the failure.
+     * @param {string} explanation - A detailed explanation of the failure.
+     * @returns {AppErrors}
+     */
+    #authError(message, explanation) {
+        return new AppErrors('AuthenticationError', message, explanation, StatusCodes.UNAUTHORIZED);
+    }
 }
 
 module.exports = UserService;
\ No newline at end of file
@@ -0,0 +1,29 @@
+/**
+ * The types of events written to the audit log.
+ */
+const AuditEventTypes = Object.freeze({
+    SIGNUP: 'SIGNUP',
+    SIGN_IN: 'SIGN_IN',
+    TOKEN_REVOKED: 'TOKEN_REVOKED',
+    ROLE_GRANTED: 'ROLE_GRANTED',
+    ROLE_REVOKED: 'ROLE_REVOKED',
+    BUSINESS_REQUEST_REJECTED: 'BUSINESS_REQUEST_REJECTED',
+    APP_AUTHORIZED: 'APP_AUTHORIZED',
+    IMPERSONATION_STARTED: 'IMPERSONATION_STARTED',
+    ERASURE_REQUESTED: 'ERASURE_REQUESTED',
+    ACCOUNT_ERASED: 'ACCOUNT_ERASED',
+    SUSPICIOUS_SIGN_IN: 'SUSPICIOUS_SIGN_IN'
+});
+
+/**
+ * Whether the audited action succeeded.
+ */
+const AuditOutcomes = Object.freeze({
+    SUCCESS: 'SUCCESS',
+    FAILURE: 'FAILURE'
+});
+
+module.exports = {
+    AuditEventTypes,
+    AuditOutcomes
+}
\ No newline at end of file
@@ -0,0 +1,13 @@
+/**
+ * The states of a request for an airline business account.
+ * A request starts PENDING and is decided once by an admin.
+ */
+const BusinessRequestStatuses = Object.freeze({
+    PENDING: 'PENDING',
+    APPROVED: 'APPROVED',
+    REJECTED: 'REJECTED'
+});
+
+module.exports = {
+    BusinessRequestStatuses
+}
\ No newline at end of file
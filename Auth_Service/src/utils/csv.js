@@ -0,0 +1,94 @@
+/**
+ * Builds a CSV document (RFC 4180) from a list of records.
+ * Values starting with '=', '+', '-' or '@' are prefixed with a single quote, so spreadsheet
+ * programs opening the file do not evaluate them as formulas.
+ * @param {Array<string>} columns - The record fields to export, in order. They also form the header row.
+ * @param {Array<object>} records - The records to export.
+ * @returns {string} The CSV document.
+ */
+function toCsv(columns, records) {
+    const escape = (value) => {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        let text = value instanceof Date ? value.toISOString() : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+        if (/^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [columns, ...records.map((record) => columns.map((column) => record[column]))]
+        .map((values) => values.map(escape).join(','));
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parses a CSV document (RFC 4180) into records keyed by the header row. Header names are trimmed
+ * and lower-cased, and blank lines are skipped. Quoted values may contain commas, quotes and line breaks.
+ * @param {string} text - The CSV document.
+ * @returns {Array<object>} The records, each with the `line` it started on.
+ * @throws {Error} If a quoted value is not closed.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+    const input = String(text).replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') {
+                    line++;
+                }
+                value += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(value);
+            rows.push({ values: row, line: rowLine });
+            row = [];
+            value = '';
+            rowLine = ++line;
+        } else {
+            value += char;
+        }
+    }
+    if (quoted) {
+        throw new Error(`Unterminated quoted value starting on line ${rowLine}`);
+    }
+    if (value !== '' || row.length > 0) {
+        row.push(value);
+        rows.push({ values: row, line: rowLine });
+    }
+    const nonBlank = rows.filter(({ values }) => values.some((cell) => cell.trim() !== ''));
+    if (nonBlank.length === 0) {
+        return [];
+    }
+    const [header, ...records] = nonBlank;
+    const columns = header.values.map((column) => column.trim().toLowerCase());
+    return records.map(({ values, line }) => ({
+        ...Object.fromEntries(columns.map((column, index) => [column, values[index] === undefined ? '' : values[index]])),
+        line
+    }));
+}
+
+module.exports = {
+    toCsv,
+    parseCsv
+}
\ No newline at end of file
@@ -0,0 +1,36 @@
+// Checked in order, so more specific names come before the ones they contain
+// (Edge and Opera user-agents also mention Chrome, Chrome's also mentions Safari).
+const BROWSERS = [
+    ['Edge', /Edg(e|A|iOS)?\//],
+    ['Opera', /OPR\//],
+    ['Firefox', /(Firefox|FxiOS)\//],
+    ['Chrome', /(Chrome|CriOS)\//],
+    ['Safari', /Safari\//]
+];
+
+const OPERATING_SYSTEMS = [
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+];
+
+/**
+ * Derives a human readable device label from a user-agent, e.g. 'Firefox on Windows'.
+ * @param {string} userAgent - The User-Agent header of the request.
+ * @returns {string} The label, or 'Unknown device' if neither browser nor operating system is recognised.
+ */
+function describeDevice(userAgent = '') {
+    const find = (candidates) => (candidates.find(([, pattern]) => pattern.test(userAgent)) || [])[0];
+    const browser = find(BROWSERS);
+    const operatingSystem = find(OPERATING_SYSTEMS);
+    if (browser && operatingSystem) {
+        return `${browser} on ${operatingSystem}`;
+    }
+    return browser || operatingSystem || 'Unknown device';
+}
+
+module.exports = {
+    describeDevice
+}
\ No newline at end of file
@@ -0,0 +1,14 @@
+/**
+ * The states of a request to erase an account.
+ * A request starts PENDING and is either cancelled by the user during the grace period
+ * or COMPLETED once an admin processes it after the grace period.
+ */
+const ErasureRequestStatuses = Object.freeze({
+    PENDING: 'PENDING',
+    CANCELLED: 'CANCELLED',
+    COMPLETED: 'COMPLETED'
+});
+
+module.exports = {
+    ErasureRequestStatuses
+}
\ No newline at end of file
@@ -0,0 +1,59 @@
+/**
+ * This file contains the locators the sign-in risk checks resolve IP addresses to places with.
+ * A locator is any object with an async `locate(ip)` method returning `{ country, latitude, longitude }`
+ * or null, which makes it easy to plug in a GeoIP database or service later. Without a location,
+ * the checks that need one (new country, impossible travel) are skipped.
+ */
+const fs = require('fs');
+
+/**
+ * Locates nothing; used when no GeoIP source is configured.
+ */
+class NoopLocator {
+    async locate() {
+        return null;
+    }
+}
+
+/**
+ * Looks IP addresses up in a JSON file mapping address prefixes to places, e.g.
+ * `{ "203.0.113.": { "country": "IN", "latitude": 28.6, "longitude": 77.2 } }`.
+ * The longest matching prefix wins. Meant for development and tests.
+ */
+class TableLocator {
+    /**
+     * @param {string} file - The path of the JSON file.
+     */
+    constructor(file) {
+        this.table = Object.entries(JSON.parse(fs.readFileSync(file, 'utf8')))
+            .sort(([a], [b]) => b.length - a.length);
+    }
+
+    async locate(ip) {
+        const match = ip && this.table.find(([prefix]) => ip.startsWith(prefix));
+        return match ? match[1] : null;
+    }
+}
+
+/**
+ * Creates the locator configured by name.
+ * @param {string} name - Either 'none' or 'table'.
+ * @param {object} options - Locator specific options, e.g. `{ file }` for the table locator.
+ * @returns {object} The locator.
+ */
+function createLocator(name, options = {}) {
+    switch (name) {
+        case 'none':
+            return new NoopLocator();
+        case 'table':
+            return new TableLocator(options.file);
+        default:
+            throw new Error(`Unknown GeoIP locator: ${name}`);
+    }
+}
+
+module.exports = {
+    NoopLocator,
+    TableLocator,
+    createLocator
+}
\ No newline at end of file
@@ -0,0 +1,13 @@
+/**
+ * The OAuth 2.0 grant types an API client can be allowed to use at the token endpoint.
+ * A client allowed 'authorization_code' may also use 'refresh_token' for the tokens it obtained that way.
+ */
+const GrantTypes = Object.freeze({
+    CLIENT_CREDENTIALS: 'client_credentials',
+    AUTHORIZATION_CODE: 'authorization_code',
+    REFRESH_TOKEN: 'refresh_token'
+});
+
+module.exports = {
+    GrantTypes
+}
\ No newline at end of file
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+
+/**
+ * Generates a cryptographically secure random token, suitable for refresh or one-time tokens.
+ * @param {number} bytes - The number of random bytes to generate.
+ * @returns {string} The token encoded as a hex string.
+ */
+function generateToken(bytes = 32) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * Hashes a token with SHA-256 so that only the digest is ever stored in the database.
+ * @param {string} token - The plain token.
+ * @returns {string} The hex encoded digest.
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Returns a Date that lies the given number of days in the future.
+ * @param {number} days - The number of days to add to the current time.
+ * @returns {Date}
+ */
+function addDays(days) {
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Returns a Date that lies the given number of minutes in the future.
+ * @param {number} minutes - The number of minutes to add to the current time.
+ * @returns {Date}
+ */
+function addMinutes(minutes) {
+    return new Date(Date.now() + minutes * 60 * 1000);
+}
+
+/**
+ * Collects the details about a request that are recorded with security relevant events and sessions.
+ * @param {object} req - The Express request object.
+ * @returns {object} An object containing the `ip` and `userAgent` of the request, and the
+ * `deviceName` a client may send in the body to label the session it signs in.
+ */
+function getRequestContext(req) {
+    return {
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        deviceName: req.body && req.body.deviceName
+    };
+}
+
+module.exports = {
+    generateToken,
+    hashToken,
+    addDays,
+    addMinutes,
+    getRequestContext
+}
\ No newline at end of file
@@ -0,0 +1,197 @@
+/**
+ * This file signs and verifies every JWT the service issues.
+ *
+ * With JWT_ALGORITHM 'RS256' tokens are signed with an RSA private key and carry its
+ * key ID (`kid`) in the header, so other services can verify them locally with the public keys
+ * published at `GET /.well-known/jwks.json`. The keys are the PEM files in JWT_KEYS_DIR, named
+ * `<kid>.pem`. Every key in the directory is published and accepted, but only the active one signs:
+ * JWT_ACTIVE_KID if set, otherwise the newest key that is at least JWT_KEY_ACTIVATION_SECONDS old, so
+ * verifiers have fetched it before they see tokens signed with it. The directory is re-read every
+ * JWT_KEYS_RELOAD_SECONDS and whenever a token names an unknown key, so running instances pick up
+ * new keys without a restart. To rotate, add a new key (`npm run keys:rotate`) and remove the old
+ * file once the tokens signed with it have expired.
+ *
+ * With JWT_ALGORITHM 'HS256' tokens are signed with the shared JWT_KEY secret instead and no keys are published.
+ * Without JWT_ALGORITHM, deployments that only have JWT_KEY and no JWT_KEYS_DIR keep using HS256, so upgrading
+ * does not invalidate their tokens; every other deployment uses RS256. See the README to move from HS256 to RS256.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const {
+    JWT_ALGORITHM,
+    JWT_KEY,
+    JWT_KEYS_DIR,
+    JWT_ACTIVE_KID,
+    JWT_KEYS_RELOAD_SECONDS,
+    JWT_KEY_ACTIVATION_SECONDS,
+    NODE_ENV
+} = require('../config/serverConfig');
+
+const KEY_FILE_EXTENSION = '.pem';
+
+const ALGORITHM = JWT_ALGORITHM || (JWT_KEY && !fs.existsSync(JWT_KEYS_DIR) ? 'HS256' : 'RS256');
+if (!JWT_ALGORITHM && ALGORITHM === 'HS256') {
+    console.log(`Signing tokens with HS256 and JWT_KEY, as ${JWT_KEYS_DIR} does not exist; see the README to move to RS256`);
+}
+
+// Key IDs created by `createSigningKey` are the UTC time the key was created, e.g. '20261019T043149Z'.
+const KEY_ID_PATTERN = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/;
+
+// Tokens naming an unknown key trigger a reload at most this often, so made-up key IDs cannot keep the service reading the directory.
+const MIN_RELOAD_INTERVAL_MS = 5 * 1000;
+
+// The keys loaded from JWT_KEYS_DIR and when they were loaded. Loaded on first use.
+let signingKeys = null;
+let loadedAt = 0;
+
+/**
+ * Creates a new RSA key pair and stores the private key in `directory`.
+ * Key IDs are UTC timestamps, so the newest key also has the highest ID.
+ * @param {string} directory - The directory to store the key in. It is created if missing.
+ * @returns {string} The key ID of the new key.
+ */
+const createSigningKey = (directory = JWT_KEYS_DIR) => {
+    const kid = new Date().toISOString().replace(/[-:]|\.\d+/g, '');
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(
+        path.join(directory, `${kid}${KEY_FILE_EXTENSION}`),
+        privateKey.export({ type: 'pkcs8', format: 'pem' }),
+        { mode: 0o600 }
+    );
+    signingKeys = null;
+    return kid;
+};
+
+/**
+ * Loads the keys from JWT_KEYS_DIR, re-reading the directory once the loaded keys are older than
+ * JWT_KEYS_RELOAD_SECONDS. In development a key is created when there is none yet; anywhere else a
+ * missing key is an error, since instances creating their own keys would not accept each other's tokens.
+ * @param {object} options - `refresh` re-reads the directory early, e.g. when a token names an unknown key.
+ * @returns {Map<string, object>} The `privateKey` and the time it `activatesAt` by key ID, sorted from oldest to newest.
+ * @throws {Error} If there is no key outside development, or JWT_ACTIVE_KID names a key that does not exist.
+ */
+const loadSigningKeys = ({ refresh = false } = {}) => {
+    const age = Date.now() - loadedAt;
+    if (signingKeys && age < JWT_KEYS_RELOAD_SECONDS * 1000 && !(refresh && age >= MIN_RELOAD_INTERVAL_MS)) {
+        return signingKeys;
+    }
+    const readKeyIds = () => (fs.existsSync(JWT_KEYS_DIR) ? fs.readdirSync(JWT_KEYS_DIR) : [])
+        .filter((file) => file.endsWith(KEY_FILE_EXTENSION))
+        .map((file) => path.basename(file, KEY_FILE_EXTENSION))
+        .sort();
+    let keyIds = readKeyIds();
+    if (keyIds.length === 0) {
+        if (NODE_ENV !== 'development') {
+            throw new Error(`No signing key found in ${JWT_KEYS_DIR}, create one with 'npm run keys:rotate'`);
+        }
+        console.log(`No signing key found in ${JWT_KEYS_DIR}, creating one`);
+        createSigningKey(JWT_KEYS_DIR);
+        keyIds = readKeyIds();
+    }
+    const keys = new Map(keyIds.map((kid) => {
+        const file = path.join(JWT_KEYS_DIR, `${kid}${KEY_FILE_EXTENSION}`);
+        return [kid, {
+            privateKey: crypto.createPrivateKey(fs.readFileSync(file)),
+            activatesAt: getCreationTime(kid, file) + JWT_KEY_ACTIVATION_SECONDS * 1000
+        }];
+    }));
+    if (JWT_ACTIVE_KID && !keys.has(JWT_ACTIVE_KID)) {
+        throw new Error(`The active signing key ${JWT_ACTIVE_KID} does not exist in ${JWT_KEYS_DIR}`);
+    }
+    signingKeys = keys;
+    loadedAt = Date.now();
+    return signingKeys;
+};
+
+/**
+ * Tells when a key was created: from its key ID if it was created by `createSigningKey`,
+ * otherwise from the modification time of its file.
+ * @returns {number} The time in milliseconds since the epoch.
+ */
+const getCreationTime = (kid, file) => {
+    const match = kid.match(KEY_ID_PATTERN);
+    if (match) {
+        const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+        return Date.UTC(year, month - 1, day, hours, minutes, seconds);
+    }
+    return fs.statSync(file).mtimeMs;
+};
+
+/**
+ * Picks the key that signs new tokens: JWT_ACTIVE_KID if set, otherwise the newest key whose activation
+ * time has passed. While no key has been published long enough, e.g. right after the very first key
+ * was created, the oldest key signs, as there is nothing better to fall back to.
+ * @returns {string} The key ID.
+ */
+const getActiveKeyId = (keys) => {
+    if (JWT_ACTIVE_KID) {
+        return JWT_ACTIVE_KID;
+    }
+    const now = Date.now();
+    const keyIds = [...keys.keys()];
+    return keyIds.filter((kid) => keys.get(kid).activatesAt <= now).pop() || keyIds[0];
+};
+
+/**
+ * Signs a payload with the active key.
+ * @param {object} payload - The claims of the token.
+ * @param {object} options - Options passed to `jwt.sign`, e.g. `expiresIn`, `jwtid` or `audience`.
+ * @returns {string} The signed JWT.
+ */
+const signJwt = (payload, options = {}) => {
+    if (ALGORITHM === 'HS256') {
+        return jwt.sign(payload, JWT_KEY, { ...options, algorithm: 'HS256' });
+    }
+    const keys = loadSigningKeys();
+    const kid = getActiveKeyId(keys);
+    return jwt.sign(payload, keys.get(kid).privateKey, { ...options, algorithm: 'RS256', keyid: kid });
+};
+
+/**
+ * Verifies the signature and expiration of a JWT. Only the configured algorithm is accepted,
+ * and RS256 tokens must name one of the known keys in their `kid` header.
+ * @param {string} token - The JWT to verify.
+ * @param {object} options - Options passed to `jwt.verify`, e.g. `audience`.
+ * @returns {object} The decoded payload.
+ * @throws {Error} A `jsonwebtoken` error if the token is not valid.
+ */
+const verifyJwt = (token, options = {}) => {
+    if (ALGORITHM === 'HS256') {
+        return jwt.verify(token, JWT_KEY, { ...options, algorithms: ['HS256'] });
+    }
+    const decoded = jwt.decode(token, { complete: true });
+    const kid = decoded && decoded.header.kid;
+    // A key another instance has just added may not have been loaded here yet.
+    const key = kid && (loadSigningKeys().get(kid) || loadSigningKeys({ refresh: true }).get(kid));
+    if (!key) {
+        throw new jwt.JsonWebTokenError('unknown signing key');
+    }
+    return jwt.verify(token, crypto.createPublicKey(key.privateKey), { ...options, algorithms: ['RS256'] });
+};
+
+/**
+ * Builds the JSON Web Key Set with the public part of every known key.
+ * @returns {object} The key set, `{ keys: [...] }`. Empty when tokens are signed with HS256.
+ */
+const getJwks = () => {
+    if (ALGORITHM === 'HS256') {
+        return { keys: [] };
+    }
+    const keys = [...loadSigningKeys()].map(([kid, { privateKey }]) => ({
+        ...crypto.createPublicKey(privateKey).export({ format: 'jwk' }),
+        kid,
+        use: 'sig',
+        alg: 'RS256'
+    }));
+    return { keys };
+};
+
+module.exports = {
+    createSigningKey,
+    signJwt,
+    verifyJwt,
+    getJwks
+};
\ No newline at end of file
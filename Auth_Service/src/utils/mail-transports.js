@@ -0,0 +1,67 @@
+/**
+ * This file contains the transports the MailService can deliver emails through.
+ * A transport is any object with an async `send(message)` method, which makes it easy
+ * to plug in an SMTP or API based transport later. The transports below work offline
+ * and are meant for development and tests.
+ */
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Logs every email to the console instead of delivering it.
+ */
+class ConsoleTransport {
+    async send(message) {
+        console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+        return true;
+    }
+}
+
+/**
+ * Writes every email as a JSON file into a directory, where tests and developers can read it.
+ */
+class FileTransport {
+    /**
+     * @param {string} directory - The directory the emails are written to. It is created if missing.
+     */
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    async send(message) {
+        await fs.mkdir(this.directory, { recursive: true });
+        const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@.-]/g, '_')}.json`;
+        await fs.writeFile(
+            path.join(this.directory, fileName),
+            JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+        );
+        return true;
+    }
+}
+
+/**
+ * Creates the transport configured by name.
+ * @param {string} name - Either 'console' or 'file'.
+ * @param {object} options - Transport specific options, e.g. `{ directory }` for the file transport.
+ * @returns {object} The transport.
+ * @throws {Error} If no transport or an unknown one is configured.
+ */
+function createTransport(name, options = {}) {
+    if (!name) {
+        throw new Error('No mail transport configured, set MAIL_TRANSPORT');
+    }
+    switch (name) {
+        case 'console':
+            return new ConsoleTransport();
+        case 'file':
+            return new FileTransport(options.directory);
+        default:
+            throw new Error(`Unknown mail transport: ${name}`);
+    }
+}
+
+module.exports = {
+    ConsoleTransport,
+    FileTransport,
+    createTransport
+}
\ No newline at end of file
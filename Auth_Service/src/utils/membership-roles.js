@@ -0,0 +1,12 @@
+/**
+ * The roles a user can have within their organization.
+ * Owners manage the members and invitations, members only act on behalf of the organization.
+ */
+const MembershipRoles = Object.freeze({
+    OWNER: 'OWNER',
+    MEMBER: 'MEMBER'
+});
+
+module.exports = {
+    MembershipRoles
+}
\ No newline at end of file
@@ -0,0 +1,22 @@
+const AppError = require('./error-handler');
+const { StatusCodes } = require('http-status-codes');
+
+class OAuthError extends AppError {
+    /**
+     * An error of the OAuth 2.0 token endpoint, answered as `{ error, error_description }` (RFC 6749, section 5.2).
+     * @param {string} error - The OAuth error code, e.g. 'invalid_client' or 'invalid_scope'.
+     * @param {string} description - A human readable explanation for the client.
+     * @param {number} statusCode - The HTTP status code, 400 unless the client failed to authenticate.
+     */
+    constructor(error, description, statusCode = StatusCodes.BAD_REQUEST) {
+        super(
+            'OAuthError',
+            error,
+            description,
+            statusCode
+        );
+        this.error = error;
+    }
+}
+
+module.exports = OAuthError;
\ No newline at end of file
@@ -0,0 +1,127 @@
+/**
+ * This file implements the password policy applied whenever a user chooses a password
+ * (signup, password reset and password change). Every rule is checked so that the client
+ * can show all problems with a password at once.
+ */
+const fs = require('fs');
+const {
+    PASSWORD_MIN_LENGTH,
+    PASSWORD_MAX_LENGTH,
+    PASSWORD_REQUIRE_LOWERCASE,
+    PASSWORD_REQUIRE_UPPERCASE,
+    PASSWORD_REQUIRE_DIGIT,
+    PASSWORD_REQUIRE_SYMBOL,
+    PASSWORD_DENY_LIST_PATH
+} = require('../config/serverConfig');
+const ValidationError = require('./validation-error');
+
+let denyList;
+
+/**
+ * Loads the breached password file (one password per line) on first use.
+ * @returns {Set<string>} The lower-cased breached passwords.
+ */
+function getDenyList() {
+    if (!denyList) {
+        const content = fs.existsSync(PASSWORD_DENY_LIST_PATH) ? fs.readFileSync(PASSWORD_DENY_LIST_PATH, 'utf8') : '';
+        denyList = new Set(
+            content.split(/\r?\n/)
+                .map((line) => line.trim().toLowerCase())
+                .filter((line) => line.length > 0)
+        );
+    }
+    return denyList;
+}
+
+/**
+ * Checks whether the password contains the user's email or the part of it before the '@'.
+ */
+function containsEmail(password, email) {
+    if (!email) {
+        return false;
+    }
+    const lowerPassword = password.toLowerCase();
+    const lowerEmail = email.toLowerCase();
+    const localPart = lowerEmail.split('@')[0];
+    return lowerPassword.includes(lowerEmail) || (localPart.length >= 3 && lowerPassword.includes(localPart));
+}
+
+/**
+ * The rules of the policy. Rules can be switched off through the PASSWORD_REQUIRE_* settings.
+ */
+const rules = [
+    {
+        enabled: true,
+        isSatisfied: (password) => password.length >= PASSWORD_MIN_LENGTH,
+        message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters long`
+    },
+    {
+        enabled: true,
+        isSatisfied: (password) => password.length <= PASSWORD_MAX_LENGTH,
+        message: `Password must be at most ${PASSWORD_MAX_LENGTH} characters long`
+    },
+    {
+        enabled: PASSWORD_REQUIRE_LOWERCASE,
+        isSatisfied: (password) => /[a-z]/.test(password),
+        message: 'Password must contain a lowercase letter'
+    },
+    {
+        enabled: PASSWORD_REQUIRE_UPPERCASE,
+        isSatisfied: (password) => /[A-Z]/.test(password),
+        message: 'Password must contain an uppercase letter'
+    },
+    {
+        enabled: PASSWORD_REQUIRE_DIGIT,
+        isSatisfied: (password) => /[0-9]/.test(password),
+        message: 'Password must contain a digit'
+    },
+    {
+        enabled: PASSWORD_REQUIRE_SYMBOL,
+        isSatisfied: (password) => /[^a-zA-Z0-9]/.test(password),
+        message: 'Password must contain a symbol'
+    },
+    {
+        enabled: true,
+        isSatisfied: (password, { email }) => !containsEmail(password, email),
+        message: 'Password must not contain your email'
+    },
+    {
+        enabled: true,
+        isSatisfied: (password) => !getDenyList().has(password.toLowerCase()),
+        message: 'Password is too common and has appeared in data breaches'
+    }
+];
+
+/**
+ * Lists every rule of the policy the password breaks.
+ * @param {string} password - The plain text password.
+ * @param {object} context - Details about the user, currently their `email`.
+ * @returns {Array<string>} The messages of the broken rules, empty if the password is acceptable.
+ */
+function getPasswordViolations(password, context = {}) {
+    const value = String(password);
+    return rules
+        .filter((rule) => rule.enabled && !rule.isSatisfied(value, context))
+        .map((rule) => rule.message);
+}
+
+/**
+ * Throws if the password breaks any rule of the policy.
+ * @param {string} password - The plain text password.
+ * @param {object} context - Details about the user, currently their `email`.
+ * @throws {ValidationError} Listing every broken rule.
+ */
+function assertPasswordPolicy(password, context = {}) {
+    const violations = getPasswordViolations(password, context);
+    if (violations.length > 0) {
+        throw new ValidationError({
+            name: 'PasswordPolicyError',
+            errors: violations.map((message) => ({ message }))
+        });
+    }
+}
+
+module.exports = {
+    getPasswordViolations,
+    assertPasswordPolicy
+}
\ No newline at end of file
@@ -0,0 +1,15 @@
+/**
+ * The names of the permissions seeded into the Permissions table, as checked by the routes of this service.
+ */
+const Permissions = Object.freeze({
+    USERS_READ: 'users:read',
+    USERS_WRITE: 'users:write',
+    ROLES_WRITE: 'roles:write',
+    CLIENTS_WRITE: 'clients:write',
+    AUDIT_READ: 'audit:read',
+    USERS_IMPERSONATE: 'users:impersonate'
+});
+
+module.exports = {
+    Permissions
+}
\ No newline at end of file
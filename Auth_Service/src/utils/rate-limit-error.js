@@ -0,0 +1,21 @@
+const AppError = require('./error-handler');
+const { StatusCodes } = require('http-status-codes');
+
+class RateLimitError extends AppError {
+    /**
+     * @param {string} message - A short description of the limit that was hit.
+     * @param {string} explanation - A detailed explanation for the client.
+     * @param {number} retryAfter - The number of seconds after which the client may try again.
+     */
+    constructor(message, explanation, retryAfter) {
+        super(
+            'RateLimitError',
+            message,
+            explanation,
+            StatusCodes.TOO_MANY_REQUESTS
+        );
+        this.retryAfter = retryAfter;
+    }
+}
+
+module.exports = RateLimitError;
\ No newline at end of file
@@ -0,0 +1,12 @@
+/**
+ * The names of the roles seeded into the Roles table.
+ */
+const Roles = Object.freeze({
+    ADMIN: 'ADMIN',
+    CUSTOMER: 'CUSTOMER',
+    AIRLINE_BUSINESS: 'AIRLINE_BUSINESS'
+});
+
+module.exports = {
+    Roles
+}
\ No newline at end of file
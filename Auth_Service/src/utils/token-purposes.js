@@ -0,0 +1,16 @@
+/**
+ * The purposes a one-time token stored in the UserTokens table can be issued for.
+ * A token is only ever accepted for the purpose it was issued for.
+ */
+const TokenPurposes = Object.freeze({
+    PASSWORD_RESET: 'PASSWORD_RESET',
+    EMAIL_VERIFICATION: 'EMAIL_VERIFICATION',
+    EMAIL_CHANGE: 'EMAIL_CHANGE',
+    MAGIC_LINK: 'MAGIC_LINK',
+    ACCOUNT_INVITE: 'ACCOUNT_INVITE',
+    SIGN_IN_STEP_UP: 'SIGN_IN_STEP_UP'
+});
+
+module.exports = {
+    TokenPurposes
+}
\ No newline at end of file
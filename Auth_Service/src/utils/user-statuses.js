@@ -0,0 +1,13 @@
+/**
+ * The account statuses a user can have. Only ACTIVE users can sign in or use their tokens.
+ * ERASED accounts had their personal data removed on request and cannot be reactivated.
+ */
+const UserStatuses = Object.freeze({
+    ACTIVE: 'ACTIVE',
+    DEACTIVATED: 'DEACTIVATED',
+    ERASED: 'ERASED'
+});
+
+module.exports = {
+    UserStatuses
+}
\ No newline at end of file
@@ -0,0 +1,26 @@
+/**
+ * Serves the API routes the way src/index.js does, on a free port, for the tests of the routes.
+ * Requires tests/helpers/setup.js to have been loaded first.
+ */
+const express = require('express');
+const bodyParser = require('body-parser');
+const apiRoutes = require('../../src/routes/index');
+
+/**
+ * Starts the server.
+ * @returns {object} The `server`, to close it after the tests, and the `baseUrl` of version 1 of the API.
+ */
+async function startServer() {
+    const app = express();
+    app.use(bodyParser.json());
+    app.use(bodyParser.urlencoded({ extended: true }));
+    app.use('/api', apiRoutes);
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    return { server, baseUrl: `http://127.0.0.1:${server.address().port}/api/v1` };
+}
+
+module.exports = {
+    startServer
+};
\ No newline at end of file
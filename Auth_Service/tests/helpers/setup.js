@@ -0,0 +1,85 @@
+/**
+ * Prepares the environment the service tests run in: a throwaway SQLite database, a throwaway
+ * signing key and an outbox that captures every email instead of sending it.
+ * Must be required before any module of the service, since the configuration is read on load.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-service-test-'));
+const dbConfigFile = path.join(tmpDir, 'config.json');
+// A database file rather than ':memory:', which shares one connection and so cannot run transactions side by side.
+// Transactions take the write lock right away and statements finding the database locked are retried,
+// so concurrent requests wait for each other like they would on the production database.
+fs.writeFileSync(dbConfigFile, JSON.stringify({
+    test: {
+        dialect: 'sqlite',
+        storage: path.join(tmpDir, 'database.sqlite'),
+        logging: false,
+        transactionType: 'IMMEDIATE',
+        retry: { match: ['SQLITE_BUSY: database is locked'], max: 50 }
+    }
+}));
+
+process.env.NODE_ENV = 'test';
+process.env.DB_CONFIG_FILE = dbConfigFile;
+process.env.JWT_KEYS_DIR = path.join(tmpDir, 'keys');
+process.env.MFA_REQUIRED_ROLES = process.env.MFA_REQUIRED_ROLES ?? '';
+// Every email ends up in `outbox`, see below; the transport is only there to be replaced.
+process.env.MAIL_TRANSPORT = 'console';
+
+const db = require('../../src/models/index');
+const MailService = require('../../src/services/mail-service');
+const UserService = require('../../src/services/user-service');
+const { createSigningKey } = require('../../src/utils/jwt-signer');
+
+const PASSWORD = 'Secret123x';
+const outbox = [];
+
+MailService.prototype.send = async function (message) {
+    outbox.push(message);
+    return true;
+};
+
+createSigningKey(process.env.JWT_KEYS_DIR);
+
+/**
+ * Recreates every table and runs the seeders, so each test file starts from an empty database.
+ */
+async function resetDatabase() {
+    await db.sequelize.sync({ force: true });
+    const seedersDir = path.join(__dirname, '../../src/seeders');
+    for (const file of fs.readdirSync(seedersDir).sort()) {
+        await require(path.join(seedersDir, file)).up(db.sequelize.getQueryInterface(), db.Sequelize);
+    }
+    outbox.length = 0;
+}
+
+/**
+ * Signs a customer up and marks their email verified, so they can sign in right away.
+ * @param {string} email - The email of the user.
+ * @returns {object} The user.
+ */
+async function createUser(email) {
+    const user = await new UserService().create({ email, password: PASSWORD });
+    await db.User.update({ emailVerifiedAt: new Date() }, { where: { id: user.id } });
+    return await db.User.findByPk(user.id);
+}
+
+/**
+ * @param {string} to - The recipient.
+ * @returns {object} The last email sent to the recipient, or undefined.
+ */
+function lastMail(to) {
+    return outbox.filter((message) => message.to === to).pop();
+}
+
+module.exports = {
+    db,
+    outbox,
+    PASSWORD,
+    resetDatabase,
+    createUser,
+    lastMail
+};
\ No newline at end of file
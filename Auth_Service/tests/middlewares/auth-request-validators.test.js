@@ -0,0 +1,70 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const AuthRequestValidators = require('../../src/middlewares/auth-request-validators');
+
+// Runs a validator and reports the status it answered with, or 'next' if it let the request through.
+const run = (validator, req) => {
+    let outcome;
+    const res = {
+        status(code) {
+            outcome = code;
+            return this;
+        },
+        json() {
+            return this;
+        }
+    };
+    validator({ body: {}, query: {}, ...req }, res, () => {
+        outcome = 'next';
+    });
+    return outcome;
+};
+
+describe('Token validators', () => {
+    const cases = [
+        ['validateRefreshRequest', (token) => ({ body: { refreshToken: token } })],
+        ['validateIntrospectRequest', (token) => ({ body: { token } })],
+        ['validateResetPasswordRequest', (token) => ({ body: { token, password: 'Secret123x' } })],
+        ['validateSetupAccountRequest', (token) => ({ body: { token, password: 'Secret123x' } })],
+        ['validateVerifyEmailRequest', (token) => ({ query: { token } })],
+        ['validateMfaSignInRequest', (mfaToken) => ({ body: { mfaToken, code: '123456' } })],
+        ['validateStepUpRequest', (stepUpToken) => ({ body: { stepUpToken, code: '123456' } })],
+        ['validateMagicLinkRequest', (token) => ({ body: { token } })],
+        ['validateAcceptInvitationRequest', (token) => ({ body: { token } })]
+    ];
+
+    for (const [name, buildRequest] of cases) {
+        test(`${name} only accepts a string token`, () => {
+            const validator = AuthRequestValidators[name];
+            assert.equal(run(validator, buildRequest('abc123')), 'next');
+            assert.equal(run(validator, buildRequest(undefined)), 400);
+            assert.equal(run(validator, buildRequest(['abc123'])), 400);
+            assert.equal(run(validator, buildRequest({ $gt: '' })), 400);
+            assert.equal(run(validator, buildRequest(42)), 400);
+        });
+    }
+});
+
+describe('validateImpersonationRequest', () => {
+    const validate = (body) => run(AuthRequestValidators.validateImpersonationRequest, { body });
+
+    test('requires a non-blank text reason of at most 500 characters', () => {
+        assert.equal(validate({ reason: 'Customer ticket 4521' }), 'next');
+        assert.equal(validate({}), 400);
+        assert.equal(validate({ reason: true }), 400);
+        assert.equal(validate({ reason: ['Customer ticket 4521'] }), 400);
+        assert.equal(validate({ reason: '   ' }), 400);
+        assert.equal(validate({ reason: 'x'.repeat(501) }), 400);
+    });
+
+    test('only accepts a whole number of minutes up to the maximum', () => {
+        const reason = 'Customer ticket 4521';
+        assert.equal(validate({ reason, durationMinutes: 5 }), 'next');
+        assert.equal(validate({ reason, durationMinutes: '5' }), 'next');
+        assert.equal(validate({ reason, durationMinutes: true }), 400);
+        assert.equal(validate({ reason, durationMinutes: [5] }), 400);
+        assert.equal(validate({ reason, durationMinutes: 0 }), 400);
+        assert.equal(validate({ reason, durationMinutes: 1.5 }), 400);
+        assert.equal(validate({ reason, durationMinutes: 100000 }), 400);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,54 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDatabase } = require('../helpers/setup');
+const { startServer } = require('../helpers/server');
+const ApiClientService = require('../../src/services/api-client-service');
+
+describe('OAuth token endpoint', () => {
+    const apiClientService = new ApiClientService();
+    let server;
+    let baseUrl;
+    let client;
+
+    const requestToken = (body, authorization) => fetch(`${baseUrl}/oauth/token`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...(authorization && { authorization }) },
+        body: JSON.stringify({ grant_type: 'client_credentials', ...body })
+    });
+    const basic = (credentials) => `Basic ${Buffer.from(credentials).toString('base64')}`;
+
+    before(async () => {
+        ({ server, baseUrl } = await startServer());
+    });
+
+    after(() => new Promise((resolve) => server.close(resolve)));
+
+    beforeEach(async () => {
+        await resetDatabase();
+        client = await apiClientService.createClient({ name: 'Booking service', scopes: ['flights:read', 'bookings:read'] });
+    });
+
+    test('issues a token to a client authenticating with Basic credentials', async () => {
+        const response = await requestToken({ scope: 'flights:read' }, basic(`${client.clientId}:${client.clientSecret}`));
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).scope, 'flights:read');
+    });
+
+    test('rejects a scope that is not a string', async () => {
+        const credentials = { client_id: client.clientId, client_secret: client.clientSecret };
+        for (const scope of [['flights:read'], 42]) {
+            const response = await requestToken({ ...credentials, scope });
+            assert.equal(response.status, 400);
+            assert.equal((await response.json()).error, 'invalid_request');
+        }
+    });
+
+    test('rejects malformed Basic credentials as an invalid client', async () => {
+        for (const credentials of [`${client.clientId}%E0%A4%A:${client.clientSecret}`, `${client.clientId}${client.clientSecret}`]) {
+            const response = await requestToken({}, basic(credentials));
+            assert.equal(response.status, 401);
+            assert.equal(response.headers.get('www-authenticate'), 'Basic realm="oauth"');
+            assert.equal((await response.json()).error, 'invalid_client');
+        }
+    });
+});
\ No newline at end of file
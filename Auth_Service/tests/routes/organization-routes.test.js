@@ -0,0 +1,56 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, resetDatabase, createUser, db } = require('../helpers/setup');
+const { startServer } = require('../helpers/server');
+const UserService = require('../../src/services/user-service');
+
+const context = { ip: '10.0.0.1', userAgent: 'test-agent' };
+
+describe('Organization routes', () => {
+    const userService = new UserService();
+    let server;
+    let baseUrl;
+    let bob;
+
+    const call = (method, path, accessToken, body = {}) => fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'content-type': 'application/json', 'x-access-token': accessToken },
+        body: JSON.stringify(body)
+    });
+
+    before(async () => {
+        ({ server, baseUrl } = await startServer());
+    });
+
+    after(() => new Promise((resolve) => server.close(resolve)));
+
+    beforeEach(async () => {
+        await resetDatabase();
+        bob = await createUser('bob@example.com');
+        await bob.addRole(await db.Role.findOne({ where: { name: 'AIRLINE_BUSINESS' } }));
+    });
+
+    const requests = [
+        ['POST', '/organizations', { name: 'Acme Air' }],
+        ['POST', '/organizations/1/invitations', { email: 'carol@example.com' }],
+        ['DELETE', '/organizations/1/invitations/1'],
+        ['DELETE', '/organizations/1/members/2'],
+        ['POST', '/invitations/accept', { token: 'abc123' }]
+    ];
+
+    for (const [method, path, body] of requests) {
+        test(`${method} ${path} rejects impersonation tokens`, async () => {
+            const admin = await createUser('admin@example.com');
+            const { accessToken } = await userService.impersonate(bob.id, admin.id, { reason: 'Customer ticket 4521' }, context);
+            const response = await call(method, path, accessToken, body);
+            assert.equal(response.status, 403);
+            assert.equal((await response.json()).message, 'Not allowed while impersonating');
+        });
+    }
+
+    test('lets the user create an organization with their own token', async () => {
+        const { accessToken } = await userService.signIn('bob@example.com', PASSWORD, context);
+        const response = await call('POST', '/organizations', accessToken, { name: 'Acme Air' });
+        assert.equal(response.status, 201);
+    });
+});
\ No newline at end of file
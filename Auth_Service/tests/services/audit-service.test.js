@@ -0,0 +1,26 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDatabase } = require('../helpers/setup');
+const AuditService = require('../../src/services/audit-service');
+const AuditEventRepository = require('../../src/repository/audit-event-repository');
+
+describe('AuditService CSV export', () => {
+    const auditService = new AuditService();
+
+    beforeEach(async () => {
+        await resetDatabase();
+        await auditService.record({ type: 'SIGNUP', email: 'alice@example.com' });
+        await auditService.record({ type: 'SIGN_IN', email: 'alice@example.com' });
+    });
+
+    test('exports every matching event', async () => {
+        const lines = (await auditService.exportEvents({ email: 'alice@example.com' })).trim().split(/\r?\n/);
+        assert.equal(lines.length, 3);
+        assert.match(lines[0], /^id,createdAt,type/);
+    });
+
+    test('refuses an export that would leave matching events out', async (t) => {
+        t.mock.method(AuditEventRepository.prototype, 'search', async () => ({ count: 10001, rows: [] }));
+        await assert.rejects(auditService.exportEvents({}), { statusCode: 400, name: 'ExportTooLargeError' });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,90 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDatabase, createUser, db } = require('../helpers/setup');
+const BusinessAccountService = require('../../src/services/business-account-service');
+const MailService = require('../../src/services/mail-service');
+const UserService = require('../../src/services/user-service');
+const BusinessAccountRequestRepository = require('../../src/repository/business-account-request-repository');
+
+const company = { name: 'Acme Travel', registrationNumber: 'REG-123456' };
+
+describe('BusinessAccountService review', () => {
+    const businessAccountService = new BusinessAccountService();
+    let user;
+    let request;
+
+    const roleNames = async () => (await db.User.findByPk(user.id, { include: [db.Role] })).Roles.map((role) => role.name).sort();
+    const failMail = (t) => t.mock.method(MailService.prototype, 'send', async () => {
+        throw new Error('The mail server is down');
+    });
+
+    beforeEach(async () => {
+        await resetDatabase();
+        user = await createUser('alice@example.com');
+        request = await businessAccountService.submitRequest(user.id, company);
+    });
+
+    test('grants the business role on approval', async () => {
+        const approved = await businessAccountService.approveRequest(request.id, null);
+        assert.equal(approved.status, 'APPROVED');
+        assert.deepEqual(await roleNames(), ['AIRLINE_BUSINESS', 'CUSTOMER']);
+    });
+
+    test('leaves the request pending if the role cannot be granted', async (t) => {
+        const addRole = t.mock.method(db.User.prototype, 'addRole', async () => {
+            throw new Error('The database went away');
+        });
+        await assert.rejects(businessAccountService.approveRequest(request.id, null), /The database went away/);
+        assert.equal((await db.BusinessAccountRequest.findByPk(request.id)).status, 'PENDING');
+
+        addRole.mock.restore();
+        assert.equal((await businessAccountService.approveRequest(request.id, null)).status, 'APPROVED');
+        assert.deepEqual(await roleNames(), ['AIRLINE_BUSINESS', 'CUSTOMER']);
+    });
+
+    test('approves the request even if the email cannot be sent', async (t) => {
+        failMail(t);
+        assert.equal((await businessAccountService.approveRequest(request.id, null)).status, 'APPROVED');
+        assert.deepEqual(await roleNames(), ['AIRLINE_BUSINESS', 'CUSTOMER']);
+    });
+
+    test('rejects the request even if the email cannot be sent', async (t) => {
+        failMail(t);
+        assert.equal((await businessAccountService.rejectRequest(request.id, null, 'Unknown company')).status, 'REJECTED');
+        assert.deepEqual(await roleNames(), ['CUSTOMER']);
+    });
+
+    test('records the rejection with the admin who decided it', async () => {
+        const admin = await createUser('admin@example.com');
+        await businessAccountService.rejectRequest(request.id, admin.id, 'Unknown company');
+        const event = await db.AuditEvent.findOne({ where: { type: 'BUSINESS_REQUEST_REJECTED' } });
+        assert.equal(event.userId, user.id);
+        assert.equal(event.actorId, admin.id);
+    });
+
+    test('does not decide a request twice', async () => {
+        await businessAccountService.approveRequest(request.id, null);
+        await assert.rejects(businessAccountService.rejectRequest(request.id, null, 'Too late'), { statusCode: 409 });
+    });
+});
+
+describe('Business account signup', () => {
+    const userService = new UserService();
+
+    beforeEach(async () => {
+        await resetDatabase();
+    });
+
+    test('creates no account if the request cannot be stored, so the signup can be retried', async (t) => {
+        const create = t.mock.method(BusinessAccountRequestRepository.prototype, 'create', async () => {
+            throw new Error('The database went away');
+        });
+        const data = { email: 'alice@example.com', password: 'Secret123x' };
+        await assert.rejects(userService.create(data, {}, company));
+        assert.equal(await db.User.count({ where: { email: 'alice@example.com' } }), 0);
+
+        create.mock.restore();
+        const user = await userService.create(data, {}, company);
+        assert.equal((await db.BusinessAccountRequest.findOne({ where: { userId: user.id } })).status, 'PENDING');
+    });
+});
\ No newline at end of file
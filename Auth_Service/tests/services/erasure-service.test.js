@@ -0,0 +1,54 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, resetDatabase, createUser, db } = require('../helpers/setup');
+const ErasureService = require('../../src/services/erasure-service');
+const MailService = require('../../src/services/mail-service');
+
+describe('ErasureService processing', () => {
+    const erasureService = new ErasureService();
+    let user;
+    let request;
+
+    beforeEach(async () => {
+        await resetDatabase();
+        user = await createUser('alice@example.com');
+        await erasureService.requestErasure(user.id, PASSWORD);
+        request = await db.ErasureRequest.findOne({ where: { userId: user.id } });
+        await request.update({ scheduledFor: new Date(Date.now() - 1000) });
+    });
+
+    test('erases the account once the grace period is over', async () => {
+        assert.deepEqual(await erasureService.processDueRequests(null), { processed: [request.id], failed: [] });
+        await user.reload();
+        assert.equal(user.status, 'ERASED');
+        assert.equal(user.email, `erased-${user.id}@erased.invalid`);
+        assert.equal((await request.reload()).status, 'COMPLETED');
+    });
+
+    test('keeps a request pending when the erasure fails, so the next run retries it', async (t) => {
+        const destroy = t.mock.method(db.RecoveryCode, 'destroy', async () => {
+            throw new Error('The database went away');
+        });
+        assert.deepEqual(await erasureService.processDueRequests(null), { processed: [], failed: [request.id] });
+        assert.equal((await request.reload()).status, 'PENDING');
+        assert.equal((await user.reload()).email, 'alice@example.com');
+
+        destroy.mock.restore();
+        assert.deepEqual(await erasureService.processDueRequests(null), { processed: [request.id], failed: [] });
+        assert.equal((await user.reload()).status, 'ERASED');
+    });
+
+    test('counts the request as processed when only the confirmation email fails', async (t) => {
+        t.mock.method(MailService.prototype, 'send', async () => {
+            throw new Error('The mail server is down');
+        });
+        assert.deepEqual(await erasureService.processDueRequests(null), { processed: [request.id], failed: [] });
+        assert.equal((await request.reload()).status, 'COMPLETED');
+    });
+
+    test('does not erase an account whose request was cancelled', async () => {
+        await erasureService.cancelErasure(user.id);
+        assert.deepEqual(await erasureService.processDueRequests(null), { processed: [], failed: [] });
+        assert.equal((await user.reload()).status, 'ACTIVE');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,94 @@
+process.env.LOGIN_DELAY_AFTER_FAILURES = '10';
+
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { PASSWORD, resetDatabase, createUser, lastMail, db } = require('../helpers/setup');
+const UserService = require('../../src/services/user-service');
+const MailService = require('../../src/services/mail-service');
+
+const FIREFOX = 'Mozilla/5.0 (Windows NT 10.0; rv:118.0) Gecko/20100101 Firefox/118.0';
+const CHROME = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 Chrome/118.0 Safari/537.36';
+const home = { ip: '10.0.0.1', userAgent: FIREFOX };
+const elsewhere = { ip: '10.9.9.9', userAgent: CHROME };
+
+const codeOf = (mail) => mail.text.match(/^(\d{6})$/m)[1];
+const failThreeTimes = async (userService, context) => {
+    for (let i = 0; i < 3; i++) {
+        await assert.rejects(userService.signIn('alice@example.com', 'wrong-password', context));
+    }
+};
+
+describe('Suspicious sign-in detection', () => {
+    const userService = new UserService();
+
+    beforeEach(async () => {
+        await resetDatabase();
+        await createUser('alice@example.com');
+        await userService.signIn('alice@example.com', PASSWORD, home);
+    });
+
+    test('alerts the user about a sign-in from a new device', async () => {
+        const tokens = await userService.signIn('alice@example.com', PASSWORD, { ...home, userAgent: CHROME });
+        assert.ok(tokens.accessToken);
+        assert.equal(lastMail('alice@example.com').subject, 'New sign-in to your account');
+        assert.equal(await db.LoginFingerprint.count(), 2);
+    });
+
+    test('signs the user in even if the new device alert cannot be sent', async (t) => {
+        t.mock.method(MailService.prototype, 'send', async () => {
+            throw new Error('The mail server is down');
+        });
+        const tokens = await userService.signIn('alice@example.com', PASSWORD, { ...home, userAgent: CHROME });
+        assert.ok(tokens.accessToken);
+        assert.equal(await db.LoginFingerprint.count(), 2);
+    });
+
+    test('requires a step-up after a burst of failures from a new device', async () => {
+        for (let i = 0; i < 3; i++) {
+            await assert.rejects(userService.signIn('alice@example.com', 'wrong-password', elsewhere));
+        }
+        const challenge = await userService.signIn('alice@example.com', PASSWORD, elsewhere);
+        assert.equal(challenge.stepUpRequired, true);
+        assert.deepEqual(challenge.reasons, ['new_device', 'new_ip', 'failure_burst']);
+        assert.equal(challenge.accessToken, undefined);
+        assert.equal(await db.AuditEvent.count({ where: { type: 'SUSPICIOUS_SIGN_IN' } }), 1);
+
+        const code = codeOf(lastMail('alice@example.com'));
+        const wrongCode = code === '000000' ? '111111' : '000000';
+        await assert.rejects(userService.completeStepUpSignIn(challenge.stepUpToken, wrongCode, elsewhere), { statusCode: 401 });
+        const tokens = await userService.completeStepUpSignIn(challenge.stepUpToken, code, elsewhere);
+        assert.ok(tokens.accessToken);
+        await assert.rejects(userService.completeStepUpSignIn(challenge.stepUpToken, code, elsewhere), { statusCode: 401 });
+    });
+
+    test('trusts a device once the step-up is completed', async () => {
+        for (let i = 0; i < 3; i++) {
+            await assert.rejects(userService.signIn('alice@example.com', 'wrong-password', elsewhere));
+        }
+        const challenge = await userService.signIn('alice@example.com', PASSWORD, elsewhere);
+        await userService.completeStepUpSignIn(challenge.stepUpToken, codeOf(lastMail('alice@example.com')), elsewhere);
+        const tokens = await userService.signIn('alice@example.com', PASSWORD, elsewhere);
+        assert.ok(tokens.accessToken);
+    });
+
+    test('copes with the same code being issued to a user again', async (t) => {
+        t.mock.method(crypto, 'randomInt', () => 424242);
+        await failThreeTimes(userService, elsewhere);
+        await userService.signIn('alice@example.com', PASSWORD, elsewhere);
+        await failThreeTimes(userService, elsewhere);
+        const superseding = await userService.signIn('alice@example.com', PASSWORD, elsewhere);
+        assert.equal(codeOf(lastMail('alice@example.com')), '424242');
+        assert.ok((await userService.completeStepUpSignIn(superseding.stepUpToken, '424242', elsewhere)).accessToken);
+
+        const laptop = { ip: '10.8.8.8', userAgent: 'Mozilla/5.0 (X11; Linux x86_64) Gecko/20100101 Firefox/118.0' };
+        await failThreeTimes(userService, laptop);
+        const next = await userService.signIn('alice@example.com', PASSWORD, laptop);
+        assert.equal(next.stepUpRequired, true);
+        assert.ok((await userService.completeStepUpSignIn(next.stepUpToken, '424242', laptop)).accessToken);
+    });
+
+    test('rejects an invalid step-up token', async () => {
+        await assert.rejects(userService.completeStepUpSignIn('not-a-token', '123456', elsewhere), { statusCode: 401 });
+    });
+});
\ No newline at end of file
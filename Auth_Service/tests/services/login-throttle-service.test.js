@@ -0,0 +1,61 @@
+process.env.LOGIN_DELAY_AFTER_FAILURES = '10';
+process.env.LOGIN_LOCKOUT_THRESHOLD = '3';
+process.env.LOGIN_LOCKOUT_MINUTES = '15';
+
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, resetDatabase, createUser } = require('../helpers/setup');
+const LoginThrottleService = require('../../src/services/login-throttle-service');
+const UserService = require('../../src/services/user-service');
+const RateLimitError = require('../../src/utils/rate-limit-error');
+
+describe('LoginThrottleService lockout', () => {
+    const loginThrottleService = new LoginThrottleService();
+    const userService = new UserService();
+
+    beforeEach(async () => {
+        await resetDatabase();
+        await createUser('alice@example.com');
+    });
+
+    test('locks an email out once the threshold is reached', async () => {
+        for (let i = 0; i < 3; i++) {
+            await assert.rejects(userService.signIn('alice@example.com', 'wrong-password', { ip: `10.0.0.${i}` }), { statusCode: 401 });
+        }
+        await assert.rejects(
+            userService.signIn('alice@example.com', PASSWORD, { ip: '10.0.0.9' }),
+            (error) => error instanceof RateLimitError && error.retryAfter > 14 * 60
+        );
+    });
+
+    test('counts every failure of a burst of parallel attempts', async () => {
+        const attempts = Array.from({ length: 5 }, () => userService.signIn('alice@example.com', 'wrong-password', { ip: '10.0.0.1' }));
+        const results = await Promise.allSettled(attempts);
+        assert.ok(results.every((result) => result.status === 'rejected' && result.reason.statusCode === 401));
+        assert.equal(await loginThrottleService.countRecentFailures('alice@example.com'), 5);
+        await assert.rejects(loginThrottleService.assertCanAttempt('alice@example.com'), RateLimitError);
+    });
+
+    test('does not lock other emails out', async () => {
+        for (let i = 0; i < 3; i++) {
+            await loginThrottleService.recordFailure('alice@example.com');
+        }
+        await assert.doesNotReject(loginThrottleService.assertCanAttempt('bob@example.com'));
+    });
+
+    test('treats emails case-insensitively', async () => {
+        for (let i = 0; i < 3; i++) {
+            await loginThrottleService.recordFailure('Alice@Example.com');
+        }
+        await assert.rejects(loginThrottleService.assertCanAttempt('alice@example.com'), RateLimitError);
+    });
+
+    test('lets the user in again once unlocked', async () => {
+        for (let i = 0; i < 3; i++) {
+            await loginThrottleService.recordFailure('alice@example.com');
+        }
+        assert.equal(await loginThrottleService.unlock('alice@example.com'), true);
+        const tokens = await userService.signIn('alice@example.com', PASSWORD, { ip: '10.0.0.1' });
+        assert.ok(tokens.accessToken);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,29 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDatabase, createUser, outbox } = require('../helpers/setup');
+const MagicLinkService = require('../../src/services/magic-link-service');
+
+describe('MagicLinkService requests', () => {
+    const magicLinkService = new MagicLinkService();
+
+    beforeEach(async () => {
+        await resetDatabase();
+        await createUser('alice@example.com');
+        outbox.length = 0;
+    });
+
+    test('answers registered and unknown emails alike, also past the limit', async () => {
+        for (let i = 0; i < 5; i++) {
+            assert.equal(await magicLinkService.sendLink('alice@example.com'), true);
+            assert.equal(await magicLinkService.sendLink('nobody@example.com'), true);
+        }
+    });
+
+    test('stops sending links once the limit is reached', async () => {
+        for (let i = 0; i < 5; i++) {
+            await magicLinkService.sendLink('alice@example.com');
+        }
+        assert.equal(outbox.filter((message) => message.to === 'alice@example.com').length, 3);
+        assert.equal(outbox.filter((message) => message.to === 'nobody@example.com').length, 0);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,49 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { authenticator } = require('otplib');
+const { PASSWORD, resetDatabase, createUser, db } = require('../helpers/setup');
+const MfaService = require('../../src/services/mfa-service');
+const UserService = require('../../src/services/user-service');
+
+const context = { ip: '10.0.0.1', userAgent: 'test-agent' };
+
+describe('MfaService TOTP codes', () => {
+    const mfaService = new MfaService();
+    const userService = new UserService();
+    let user;
+    let code;
+    let recoveryCodes;
+
+    beforeEach(async () => {
+        await resetDatabase();
+        user = await createUser('alice@example.com');
+        const { secret } = await mfaService.enroll(user.id);
+        code = authenticator.generate(secret);
+        recoveryCodes = await mfaService.activate(user.id, code);
+    });
+
+    test('requires a second step at sign-in', async () => {
+        const challenge = await userService.signIn('alice@example.com', PASSWORD, context);
+        assert.equal(challenge.mfaRequired, true);
+        assert.ok(challenge.mfaToken);
+        assert.equal(challenge.accessToken, undefined);
+    });
+
+    test('rejects a TOTP code that was already used', async () => {
+        const { mfaToken } = await userService.signIn('alice@example.com', PASSWORD, context);
+        await assert.rejects(userService.completeMfaSignIn(mfaToken, code, context), { statusCode: 401 });
+        assert.equal(await mfaService.verifyCode(await db.User.findByPk(user.id), code), false);
+    });
+
+    test('accepts a recovery code only once', async () => {
+        const { mfaToken } = await userService.signIn('alice@example.com', PASSWORD, context);
+        const tokens = await userService.completeMfaSignIn(mfaToken, recoveryCodes[0], context);
+        assert.ok(tokens.accessToken);
+        await assert.rejects(userService.completeMfaSignIn(mfaToken, recoveryCodes[0], context), { statusCode: 401 });
+    });
+
+    test('does not accept the challenge token as an access token', async () => {
+        const { mfaToken } = await userService.signIn('alice@example.com', PASSWORD, context);
+        await assert.rejects(userService.authenticate(mfaToken), { statusCode: 401 });
+    });
+});
\ No newline at end of file
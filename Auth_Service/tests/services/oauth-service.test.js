@@ -0,0 +1,105 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { resetDatabase, createUser } = require('../helpers/setup');
+const OAuthService = require('../../src/services/oauth-service');
+const ApiClientService = require('../../src/services/api-client-service');
+const PermissionService = require('../../src/services/permission-service');
+const UserService = require('../../src/services/user-service');
+const { GrantTypes } = require('../../src/utils/grant-types');
+
+const REDIRECT_URI = 'https://app.example.com/callback';
+const context = { ip: '10.0.0.1', userAgent: 'test-agent' };
+
+describe('OAuthService authorization code grant with PKCE', () => {
+    const oauthService = new OAuthService();
+    const apiClientService = new ApiClientService();
+    let client;
+    let user;
+    let codeVerifier;
+
+    const authorize = async (scope = 'bookings:read') => {
+        const { redirectTo } = await oauthService.authorize(user.id, {
+            response_type: 'code',
+            client_id: client.clientId,
+            redirect_uri: REDIRECT_URI,
+            scope,
+            state: 'xyz',
+            code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+            code_challenge_method: 'S256'
+        }, true, context);
+        return new URL(redirectTo).searchParams.get('code');
+    };
+    const credentials = () => ({ clientId: client.clientId, clientSecret: client.clientSecret });
+
+    beforeEach(async () => {
+        await resetDatabase();
+        user = await createUser('alice@example.com');
+        client = await apiClientService.createClient({
+            name: 'Test app',
+            scopes: ['bookings:read', 'bookings:write', 'users:read'],
+            grantTypes: [GrantTypes.AUTHORIZATION_CODE],
+            redirectUris: [REDIRECT_URI]
+        });
+        codeVerifier = crypto.randomBytes(32).toString('base64url');
+    });
+
+    test('exchanges a code for tokens with the matching code verifier', async () => {
+        const code = await authorize();
+        const response = await oauthService.exchangeCode(credentials(), { code, codeVerifier, redirectUri: REDIRECT_URI }, context);
+        assert.equal(response.token_type, 'Bearer');
+        assert.equal(response.scope, 'bookings:read');
+        assert.ok(response.access_token);
+        assert.ok(response.refresh_token);
+    });
+
+    test('rejects a code verifier that does not match the challenge', async () => {
+        const code = await authorize();
+        await assert.rejects(
+            oauthService.exchangeCode(credentials(), { code, codeVerifier: 'wrong-verifier' }, context),
+            { error: 'invalid_grant' }
+        );
+    });
+
+    test('rejects a reused code and ends the session started with it', async () => {
+        const code = await authorize();
+        const response = await oauthService.exchangeCode(credentials(), { code, codeVerifier }, context);
+        await assert.rejects(
+            oauthService.exchangeCode(credentials(), { code, codeVerifier }, context),
+            { error: 'invalid_grant' }
+        );
+        await assert.rejects(oauthService.refreshToken(credentials(), response.refresh_token, context));
+    });
+
+    test('rejects a redirect URI that differs from the authorization request', async () => {
+        const code = await authorize();
+        await assert.rejects(
+            oauthService.exchangeCode(credentials(), { code, codeVerifier, redirectUri: 'https://evil.example.com/' }, context),
+            { error: 'invalid_grant' }
+        );
+    });
+
+    test('grants only the requested scopes the user holds', async () => {
+        const code = await authorize('bookings:read users:read');
+        const response = await oauthService.exchangeCode(credentials(), { code, codeVerifier }, context);
+        assert.equal(response.scope, 'bookings:read');
+
+        const introspection = await new UserService().introspect(response.access_token);
+        assert.equal(introspection.scope, 'bookings:read');
+        assert.equal(introspection.roles, undefined);
+    });
+
+    test('rejects a request for scopes the user holds none of', async () => {
+        await assert.rejects(authorize('users:read'), { error: 'invalid_scope' });
+    });
+
+    test('drops the scopes the user no longer holds on refresh', async (t) => {
+        const code = await authorize('bookings:read bookings:write');
+        const response = await oauthService.exchangeCode(credentials(), { code, codeVerifier }, context);
+        assert.equal(response.scope, 'bookings:read bookings:write');
+
+        t.mock.method(PermissionService.prototype, 'getPermissions', async () => ['bookings:read', 'flights:read']);
+        const refreshed = await oauthService.refreshToken(credentials(), response.refresh_token, context);
+        assert.equal(refreshed.scope, 'bookings:read');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,59 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDatabase, createUser, lastMail, db } = require('../helpers/setup');
+const OrganizationService = require('../../src/services/organization-service');
+const OrganizationRepository = require('../../src/repository/organization-repository');
+
+const tokenOf = (mail) => mail.text.match(/accept-invitation\?token=(\S+)/)[1];
+
+describe('OrganizationService invitations', () => {
+    const organizationService = new OrganizationService();
+    let bob;
+
+    const invite = async (ownerEmail, name) => {
+        const owner = await createUser(ownerEmail);
+        const organization = await organizationService.createOrganization(owner.id, { name });
+        const invitation = await organizationService.inviteMember(owner.id, organization.id, { email: 'bob@example.com' });
+        return { organization, invitation, token: tokenOf(lastMail('bob@example.com')) };
+    };
+
+    beforeEach(async () => {
+        await resetDatabase();
+        bob = await createUser('bob@example.com');
+    });
+
+    test('adds the user to the organization of the invitation', async () => {
+        const { organization, token } = await invite('alice@example.com', 'Acme Air');
+        const joined = await organizationService.acceptInvitation(bob.id, token);
+        assert.equal(joined.id, organization.id);
+        assert.equal((await db.OrganizationMembership.findOne({ where: { userId: bob.id } })).organizationId, organization.id);
+        await assert.rejects(organizationService.acceptInvitation(bob.id, token), { statusCode: 400 });
+    });
+
+    test('grants the business role with the membership and leaves both out if the grant fails', async (t) => {
+        const { organization, invitation, token } = await invite('alice@example.com', 'Acme Air');
+        const addRole = t.mock.method(db.User.prototype, 'addRole', async () => {
+            throw new Error('The database went away');
+        });
+        await assert.rejects(organizationService.acceptInvitation(bob.id, token), /The database went away/);
+        assert.equal((await db.OrganizationInvitation.findByPk(invitation.id)).acceptedAt, null);
+        assert.equal(await db.OrganizationMembership.findOne({ where: { userId: bob.id } }), null);
+
+        addRole.mock.restore();
+        assert.equal((await organizationService.acceptInvitation(bob.id, token)).id, organization.id);
+        const roles = (await db.User.findByPk(bob.id, { include: [db.Role] })).Roles.map((role) => role.name).sort();
+        assert.deepEqual(roles, ['AIRLINE_BUSINESS', 'CUSTOMER']);
+    });
+
+    test('keeps the invitation pending if the user joined another organization meanwhile', async (t) => {
+        const first = await invite('alice@example.com', 'Acme Air');
+        const second = await invite('carol@example.com', 'Bravo Air');
+        await organizationService.acceptInvitation(bob.id, first.token);
+
+        // Simulates a concurrent accept that passed the membership check before the first one committed.
+        t.mock.method(OrganizationRepository.prototype, 'getMembership', async () => null);
+        await assert.rejects(organizationService.acceptInvitation(bob.id, second.token), { statusCode: 409 });
+        assert.equal((await db.OrganizationInvitation.findByPk(second.invitation.id)).acceptedAt, null);
+        assert.equal((await db.OrganizationMembership.findOne({ where: { userId: bob.id } })).organizationId, first.organization.id);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,50 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDatabase, createUser, lastMail, db } = require('../helpers/setup');
+const ProvisioningService = require('../../src/services/provisioning-service');
+
+describe('ProvisioningService imports', () => {
+    const provisioningService = new ProvisioningService();
+
+    beforeEach(async () => {
+        await resetDatabase();
+    });
+
+    test('creates the users of a file and emails their invite links', async () => {
+        const report = await provisioningService.importUsers('email,name\nbob@example.com,Bob\ncarol@example.com,Carol');
+        assert.equal(report.created, 2);
+        assert.equal(report.failed, 0);
+        assert.match(lastMail('carol@example.com').text, /setup-account\?token=/);
+    });
+
+    test('reports existing emails against their row', async () => {
+        await createUser('bob@example.com');
+        const report = await provisioningService.importUsers('email\nbob@example.com\ncarol@example.com');
+        assert.equal(report.created, 1);
+        assert.deepEqual(report.rows[0].errors, ['A user with this email already exists']);
+    });
+
+    test('does not grant the business role, which needs an approved business account request', async () => {
+        const report = await provisioningService.importUsers('email,roles\nbob@example.com,AIRLINE_BUSINESS');
+        assert.equal(report.created, 0);
+        assert.deepEqual(report.rows[0].errors, ['Roles must be among CUSTOMER, got AIRLINE_BUSINESS']);
+    });
+
+    test('reports an email registered during the import against its row', async (t) => {
+        await createUser('bob@example.com');
+        // Lets the row through the up-front check, as if the user signed up right after it.
+        t.mock.method(provisioningService.userRepository, 'getByEmail', async () => null);
+        const report = await provisioningService.importUsers('email\nbob@example.com\ncarol@example.com');
+        assert.equal(report.created, 1);
+        assert.equal(report.failed, 1);
+        assert.deepEqual(report.rows[0], {
+            line: 2,
+            email: 'bob@example.com',
+            success: false,
+            errors: ['A user with this email already exists']
+        });
+        assert.equal(report.rows[1].success, true);
+        assert.ok(await db.User.findOne({ where: { email: 'carol@example.com' } }));
+        assert.equal(await db.UserToken.count({ where: { purpose: 'ACCOUNT_INVITE' } }), 1);
+    });
+});
\ No newline at end of file
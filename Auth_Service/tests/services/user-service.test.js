@@ -0,0 +1,39 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, resetDatabase, createUser } = require('../helpers/setup');
+const UserService = require('../../src/services/user-service');
+
+const context = { ip: '10.0.0.1', userAgent: 'test-agent' };
+
+describe('UserService refresh token rotation', () => {
+    const userService = new UserService();
+
+    beforeEach(async () => {
+        await resetDatabase();
+        await createUser('alice@example.com');
+    });
+
+    test('rotates the refresh token on every refresh', async () => {
+        const first = await userService.signIn('alice@example.com', PASSWORD, context);
+        const second = await userService.refresh(first.refreshToken, context);
+        assert.notEqual(second.refreshToken, first.refreshToken);
+        assert.ok(second.accessToken);
+        const third = await userService.refresh(second.refreshToken, context);
+        assert.ok(third.accessToken);
+    });
+
+    test('ends every session when a rotated refresh token is presented again', async () => {
+        const first = await userService.signIn('alice@example.com', PASSWORD, context);
+        const other = await userService.signIn('alice@example.com', PASSWORD, context);
+        const second = await userService.refresh(first.refreshToken, context);
+
+        await assert.rejects(userService.refresh(first.refreshToken, context), { statusCode: 401 });
+        await assert.rejects(userService.refresh(second.refreshToken, context), { statusCode: 401 });
+        await assert.rejects(userService.refresh(other.refreshToken, context), { statusCode: 401 });
+        await assert.rejects(userService.authenticate(second.accessToken), { statusCode: 401 });
+    });
+
+    test('rejects unknown refresh tokens', async () => {
+        await assert.rejects(userService.refresh('not-a-token', context), { statusCode: 401 });
+    });
+});
\ No newline at end of file
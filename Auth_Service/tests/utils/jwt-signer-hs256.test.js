@@ -0,0 +1,23 @@
+const os = require('os');
+const path = require('path');
+
+// A deployment from before RS256: only the HS256 secret, no keys directory.
+process.env.NODE_ENV = 'production';
+delete process.env.JWT_ALGORITHM;
+process.env.JWT_KEY = 'legacy-secret';
+process.env.JWT_KEYS_DIR = path.join(os.tmpdir(), `auth-service-no-keys-${process.pid}`);
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { signJwt, verifyJwt, getJwks } = require('../../src/utils/jwt-signer');
+
+describe('Signing without a keys directory', () => {
+    test('keeps signing with HS256 and JWT_KEY', () => {
+        const token = signJwt({ sub: '1' });
+        assert.equal(jwt.decode(token, { complete: true }).header.alg, 'HS256');
+        assert.equal(verifyJwt(token).sub, '1');
+        assert.equal(verifyJwt(jwt.sign({ sub: '2' }, 'legacy-secret')).sub, '2');
+        assert.deepEqual(getJwks(), { keys: [] });
+    });
+});
\ No newline at end of file
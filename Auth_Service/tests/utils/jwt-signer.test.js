@@ -0,0 +1,73 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-service-keys-'));
+process.env.NODE_ENV = 'production';
+// The keys directory exists, so RS256 is used even though the HS256 secret of older deployments is set.
+delete process.env.JWT_ALGORITHM;
+process.env.JWT_KEY = 'legacy-secret';
+process.env.JWT_KEYS_DIR = keysDir;
+process.env.JWT_KEYS_RELOAD_SECONDS = '60';
+process.env.JWT_KEY_ACTIVATION_SECONDS = '600';
+
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createSigningKey, signJwt, verifyJwt, getJwks } = require('../../src/utils/jwt-signer');
+
+// Adds a key the way another instance or `npm run keys:rotate` would, without this process noticing.
+const addKeyFile = (createdAt) => {
+    const kid = new Date(createdAt).toISOString().replace(/[-:]|\.\d+/g, '');
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    fs.writeFileSync(path.join(keysDir, `${kid}.pem`), privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    return { kid, privateKey };
+};
+const kidOf = (token) => jwt.decode(token, { complete: true }).header.kid;
+const publishedKids = () => getJwks().keys.map((key) => key.kid);
+
+describe('Signing keys', () => {
+    // The clock only moves when a test moves it, so the reload and activation periods can be stepped through.
+    before(() => mock.timers.enable({ apis: ['Date'], now: Date.now() }));
+    after(() => mock.timers.reset());
+
+    test('refuses to create a missing key outside development', () => {
+        assert.throws(() => signJwt({ sub: '1' }), /No signing key found/);
+        assert.deepEqual(fs.readdirSync(keysDir), []);
+    });
+
+    test('publishes a new key within the reload period and only signs with it once activated', () => {
+        const start = Date.now();
+        const first = createSigningKey(keysDir);
+        assert.equal(kidOf(signJwt({ sub: '1' })), first);
+
+        const { kid: second } = addKeyFile(start + 10 * 1000);
+        assert.deepEqual(publishedKids(), [first]);
+
+        mock.timers.tick(61 * 1000);
+        assert.deepEqual(publishedKids(), [first, second]);
+        assert.equal(kidOf(signJwt({ sub: '1' })), first);
+
+        mock.timers.tick(544 * 1000);
+        assert.equal(kidOf(signJwt({ sub: '1' })), first);
+
+        mock.timers.tick(15 * 1000);
+        assert.equal(kidOf(signJwt({ sub: '1' })), second);
+    });
+
+    test('reloads the keys when a token names a key that is not loaded yet', () => {
+        mock.timers.tick(61 * 1000);
+        signJwt({ sub: '1' });
+        const { kid, privateKey } = addKeyFile(Date.now() + 3600 * 1000);
+        const token = jwt.sign({ sub: '1' }, privateKey, { algorithm: 'RS256', keyid: kid });
+        mock.timers.tick(6 * 1000);
+        assert.equal(verifyJwt(token).sub, '1');
+    });
+
+    test('rejects tokens signed with an unknown key', () => {
+        const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        const token = jwt.sign({ sub: '1' }, privateKey, { algorithm: 'RS256', keyid: 'unknown' });
+        assert.throws(() => verifyJwt(token), /unknown signing key/);
+    });
+});
\ No newline at end of file
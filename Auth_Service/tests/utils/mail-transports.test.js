@@ -0,0 +1,20 @@
+process.env.NODE_ENV = 'production';
+delete process.env.MAIL_TRANSPORT;
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAIL_TRANSPORT } = require('../../src/config/serverConfig');
+const { createTransport, ConsoleTransport } = require('../../src/utils/mail-transports');
+const MailService = require('../../src/services/mail-service');
+
+describe('Mail transports', () => {
+    test('has no default transport outside development', () => {
+        assert.equal(MAIL_TRANSPORT, undefined);
+        assert.throws(() => new MailService(), /No mail transport configured/);
+    });
+
+    test('creates the transport chosen explicitly', () => {
+        assert.ok(createTransport('console') instanceof ConsoleTransport);
+        assert.throws(() => createTransport('carrier-pigeon'), /Unknown mail transport/);
+    });
+});
\ No newline at end of file